@@ -1,3 +1,4 @@
+var fs = require('fs');
 var path = require('path');
 var express = require('express');
 var webpack = require('webpack');
@@ -13,6 +14,57 @@ app.use(require('webpack-dev-middleware')(compiler, {
 
 app.use(require('webpack-hot-middleware')(compiler));
 
+// game assets loaded at runtime by scenes
+['audio', 'fonts', 'icon', 'img'].forEach(function(dir) {
+  app.use('/' + dir, express.static(path.join(__dirname, dir)));
+});
+
+// data files are revalidated on every request, so reloads get the new contents
+app.use('/data', express.static(path.join(__dirname, 'data'), {
+  setHeaders: function(res) {
+    res.setHeader('Cache-Control', 'no-cache');
+  }
+}));
+
+// push changes to data/*.json to the running game (see src/DataReloader.js)
+var dataClients = [];
+var dataTimers = {};
+
+app.get('/__data_reload', function(req, res) {
+  req.socket.setTimeout(0);
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.write('\n');
+  dataClients.push(res);
+  req.on('close', function() {
+    dataClients.splice(dataClients.indexOf(res), 1);
+  });
+});
+
+setInterval(function() {
+  dataClients.forEach(function(res) {
+    res.write(':heartbeat\n\n');
+  });
+}, 10000).unref();
+
+fs.watch(path.join(__dirname, 'data'), function(event, file) {
+  if (!file || !/\.json$/.test(file)) {
+    return;
+  }
+  // editors save in several steps, so wait for the file to settle
+  clearTimeout(dataTimers[file]);
+  dataTimers[file] = setTimeout(function() {
+    delete dataTimers[file];
+    console.log('data/' + file + ' changed');
+    dataClients.forEach(function(res) {
+      res.write('data: ' + JSON.stringify({ file: file }) + '\n\n');
+    });
+  }, 100);
+});
+
 app.get('*', function(req, res) {
   res.sendFile(path.join(__dirname, 'index.html'));
 });
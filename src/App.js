@@ -1,19 +1,16 @@
-import React, { Component } from 'react';
-import { Stage, Sprite, Text } from 'react-pixi';
+import React from 'react';
+import { Sprite, Text } from 'react-pixi';
+import SceneBase from './scenes/SceneBase';
+import SceneStage from './scenes/SceneStage';
 
 const SPEED = 0.005;
 
-export default class App extends Component {
-  constructor() {
-    super();
-    this.isReady = true;
-  }
-
+export default class App extends SceneBase {
   render() {
     return (
-      <Stage>
+      <SceneStage>
         <Text text={'lol'} />
-      </Stage>
+      </SceneStage>
     )
   }
 }
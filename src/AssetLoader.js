@@ -0,0 +1,260 @@
+import Graphics from './Graphics';
+
+//-----------------------------------------------------------------------------
+/**
+ * Loads the assets that a scene declares in its manifest and tracks their
+ * progress.
+ *
+ * A manifest is an object with any of the following lists:
+ *
+ *     {
+ *       images: ['img/system/Window.png'],
+ *       audio: ['audio/se/Cursor1.ogg'],
+ *       data: ['data/System.json'],
+ *       fonts: [{ name: 'GameFont', url: 'fonts/mplus-1m-regular.ttf' }]
+ *     }
+ *
+ * @class AssetLoader
+ * @constructor
+ * @param {Object} manifest The assets to load
+ */
+//-----------------------------------------------------------------------------
+
+export default class AssetLoader {
+
+	/**
+	 * The time in milliseconds after which a font that has not been
+	 * detected is reported as failed.
+	 *
+	 * @static
+	 * @property fontTimeout
+	 * @type Number
+	 */
+	static fontTimeout = 10000;
+
+	constructor(manifest) {
+		manifest = manifest || {};
+		this._entries = [];
+		(manifest.images || []).forEach(url => this._addEntry('image', url));
+		(manifest.audio || []).forEach(url => this._addEntry('audio', url));
+		(manifest.data || []).forEach(url => this._addEntry('data', url));
+		(manifest.fonts || []).forEach(font => this._addEntry('font', font.url, font.name));
+	}
+
+	/**
+	 * Starts loading all the assets.
+	 *
+	 * @method load
+	 */
+	load() {
+		this._entries.forEach(entry => {
+			switch (entry.type) {
+				case 'image':
+					this._loadImage(entry);
+					break;
+				case 'font':
+					this._loadFont(entry);
+					break;
+				case 'audio':
+					this._loadFile(entry, 'arraybuffer');
+					break;
+				default:
+					this._loadFile(entry, 'json');
+					break;
+			}
+		});
+	}
+
+	/**
+	 * Checks whether all the assets have been loaded.
+	 *
+	 * @method isReady
+	 * @return {Boolean} True if nothing is loading any more
+	 */
+	isReady() {
+		this._updateFonts();
+		return this._entries.every(entry => entry.state !== 'loading');
+	}
+
+	/**
+	 * Gets the loading progress.
+	 *
+	 * @method progress
+	 * @return {Number} The rate of settled assets in the range (0, 1)
+	 */
+	progress() {
+		if (this._entries.length === 0) {
+			return 1;
+		}
+		var settled = this._entries.filter(entry => entry.state !== 'loading');
+		return settled.length / this._entries.length;
+	}
+
+	/**
+	 * Gets the assets that failed to load.
+	 *
+	 * @method failedAssets
+	 * @return {Array} The entries with the type and url of each asset
+	 */
+	failedAssets() {
+		return this._entries.filter(entry => entry.state === 'failed');
+	}
+
+	/**
+	 * Throws an error naming every asset that failed to load.
+	 *
+	 * @method checkErrors
+	 */
+	checkErrors() {
+		var failed = this.failedAssets();
+		if (failed.length > 0) {
+			var names = failed.map(entry => entry.type + ' ' + entry.url);
+			throw new Error('Failed to load: ' + names.join(', '));
+		}
+	}
+
+	/**
+	 * Gets a loaded image.
+	 *
+	 * @method image
+	 * @param {String} url The url in the manifest
+	 * @return {HTMLImageElement} The image, or null if it is not loaded
+	 */
+	image(url) {
+		return this._valueOf('image', url);
+	}
+
+	/**
+	 * Gets a loaded data file.
+	 *
+	 * @method data
+	 * @param {String} url The url in the manifest
+	 * @return {Object} The parsed JSON, or null if it is not loaded
+	 */
+	data(url) {
+		return this._valueOf('data', url);
+	}
+
+	/**
+	 * Gets a loaded audio file.
+	 *
+	 * @method audio
+	 * @param {String} url The url in the manifest
+	 * @return {ArrayBuffer} The file contents, or null if it is not loaded
+	 */
+	audio(url) {
+		return this._valueOf('audio', url);
+	}
+
+	/**
+	 * @method _addEntry
+	 * @param {String} type
+	 * @param {String} url
+	 * @param {String} name
+	 * @private
+	 */
+	_addEntry(type, url, name) {
+		this._entries.push({
+			type: type,
+			url: url,
+			name: name || null,
+			state: 'loading',
+			value: null,
+			startTime: 0
+		});
+	}
+
+	/**
+	 * @method _valueOf
+	 * @param {String} type
+	 * @param {String} url
+	 * @return {Object}
+	 * @private
+	 */
+	_valueOf(type, url) {
+		for (var i = 0; i < this._entries.length; i++) {
+			var entry = this._entries[i];
+			if (entry.type === type && entry.url === url) {
+				return entry.value;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * @method _loadImage
+	 * @param {Object} entry
+	 * @private
+	 */
+	_loadImage(entry) {
+		var image = new Image();
+		image.onload = () => {
+			entry.value = image;
+			entry.state = 'loaded';
+		};
+		image.onerror = () => {
+			entry.state = 'failed';
+		};
+		image.src = entry.url;
+	}
+
+	/**
+	 * @method _loadFile
+	 * @param {Object} entry
+	 * @param {String} responseType
+	 * @private
+	 */
+	_loadFile(entry, responseType) {
+		var xhr = new XMLHttpRequest();
+		xhr.open('GET', entry.url);
+		if (responseType === 'json') {
+			xhr.overrideMimeType('application/json');
+		} else {
+			xhr.responseType = responseType;
+		}
+		xhr.onload = () => {
+			if (xhr.status < 400) {
+				try {
+					entry.value = responseType === 'json' ? JSON.parse(xhr.responseText) : xhr.response;
+					entry.state = 'loaded';
+				} catch (e) {
+					entry.state = 'failed';
+				}
+			} else {
+				entry.state = 'failed';
+			}
+		};
+		xhr.onerror = () => {
+			entry.state = 'failed';
+		};
+		xhr.send();
+	}
+
+	/**
+	 * @method _loadFont
+	 * @param {Object} entry
+	 * @private
+	 */
+	_loadFont(entry) {
+		entry.startTime = Date.now();
+		if (!Graphics.isFontLoaded(entry.name)) {
+			Graphics.loadFont(entry.name, entry.url);
+		}
+	}
+
+	/**
+	 * @method _updateFonts
+	 * @private
+	 */
+	_updateFonts() {
+		this._entries.forEach(entry => {
+			if (entry.type === 'font' && entry.state === 'loading') {
+				if (Graphics.isFontLoaded(entry.name)) {
+					entry.state = 'loaded';
+				} else if (Date.now() - entry.startTime > AssetLoader.fontTimeout) {
+					entry.state = 'failed';
+				}
+			}
+		});
+	}
+}
@@ -1,37 +1,38 @@
-import React, { Component } from 'react';
+import React from 'react';
 import PIXI from 'pixi.js';
-import { Stage, Sprite, VectorText } from 'react-pixi';
+import { Sprite, VectorText } from 'react-pixi';
+import ImageManager from './ImageManager';
+import SceneBase from './scenes/SceneBase';
+import SceneStage from './scenes/SceneStage';
 
 const SPEED = 0.005;
 
-export default class Cupcake extends Component {
-  constructor() {
-    super();
-    this.state = { rotation: 0 };
+export default class Cupcake extends SceneBase {
+  constructor(props) {
+    super(props);
+    this._sprite = null;
+    this._bitmap = ImageManager.loadNormalBitmap(require('../assets/cupcake.png'), 0);
   }
 
-  componentDidMount() {
-    const tick = () => {
-      this.setState({
-        rotation: this.state.rotation + Math.PI * SPEED
-      });
-      requestAnimationFrame(tick);
-    };
-    tick();
+  update(delta) {
+    super.update(delta);
+    if (this._sprite) {
+      this._sprite.rotation += Math.PI * SPEED;
+    }
   }
 
   render() {
     return (
-        <Stage>
+        <SceneStage>
           <VectorText text={'lol'} />
           <Sprite
-            image={require('../assets/cupcake.png')}
+            ref={sprite => this._sprite = sprite}
+            texture={this._bitmap.texture()}
             x={400}
             y={300}
-            rotation={this.state.rotation}
             pivot={new PIXI.Point(640/2, 577/2)}
           />
-        </Stage>
+        </SceneStage>
     );
   }
 }
@@ -0,0 +1,301 @@
+import DataSchema from './DataSchema';
+import GameState from './GameState';
+import LaunchOptions from './LaunchOptions';
+import NoteTags from './NoteTags';
+import SceneManager from './SceneManager';
+import StorageManager from './StorageManager';
+import GameParty from './objects/GameParty';
+
+//-----------------------------------------------------------------------------
+/**
+ * The static class that loads the database files and stores them in the
+ * `$data` global variables.
+ *
+ * Each file is checked against its schema (see DataSchema) when it arrives,
+ * and the notes of its records are parsed into `meta` objects (see
+ * NoteTags). A file that is missing or malformed is reported through
+ * SceneManager.catchException with the file, id and field at fault. The
+ * stored data is frozen, so the game cannot change the database by mistake.
+ *
+ * @class DataManager
+ */
+//-----------------------------------------------------------------------------
+
+export default class DataManager {
+	constructor() {
+		throw new Error('This is a static class');
+	}
+
+	/**
+	 * The database files, with the global variable each one is stored in.
+	 *
+	 * @static
+	 * @property databaseFiles
+	 * @type Array
+	 */
+	static databaseFiles = [
+		{ name: '$dataActors', src: 'Actors.json' },
+		{ name: '$dataClasses', src: 'Classes.json' },
+		{ name: '$dataSkills', src: 'Skills.json' },
+		{ name: '$dataItems', src: 'Items.json' },
+		{ name: '$dataWeapons', src: 'Weapons.json' },
+		{ name: '$dataArmors', src: 'Armors.json' },
+		{ name: '$dataEnemies', src: 'Enemies.json' },
+		{ name: '$dataTroops', src: 'Troops.json' },
+		{ name: '$dataStates', src: 'States.json' },
+		{ name: '$dataAnimations', src: 'Animations.json' },
+		{ name: '$dataTilesets', src: 'Tilesets.json' },
+		{ name: '$dataCommonEvents', src: 'CommonEvents.json' },
+		{ name: '$dataSystem', src: 'System.json' },
+		{ name: '$dataMapInfos', src: 'MapInfos.json' }
+	];
+
+	static _loading = [];
+	static _failed = [];
+
+	/**
+	 * Starts loading all the database files, plus the test data in the
+	 * battle and event test modes.
+	 *
+	 * @static
+	 * @method loadDatabase
+	 */
+	static loadDatabase() {
+		var files = DataManager.databaseFiles.slice();
+		if (LaunchOptions.get('btest')) {
+			files.push({ name: '$testBattler', src: 'Test_Battler.json' });
+		}
+		if (LaunchOptions.get('etest')) {
+			files.push({ name: '$testEvent', src: 'Test_Event.json' });
+		}
+		DataManager._loading = [];
+		DataManager._failed = [];
+		files.forEach(file => {
+			window[file.name] = null;
+			DataManager.loadDataFile(file.name, file.src);
+		});
+	}
+
+	/**
+	 * Loads a file from the data folder into a global variable.
+	 *
+	 * @static
+	 * @method loadDataFile
+	 * @param {String} name The name of the global variable
+	 * @param {String} src The file name, such as 'Actors.json'
+	 */
+	static loadDataFile(name, src) {
+		DataManager._loading.push(src);
+		DataManager.fetchDataFile(src).then(object => {
+			window[name] = object;
+			DataManager._finish(src);
+		}, error => {
+			DataManager._fail(src, error);
+		});
+	}
+
+	/**
+	 * Fetches a file from the data folder and prepares it with prepareData.
+	 *
+	 * @static
+	 * @method fetchDataFile
+	 * @param {String} src The file name, such as 'Map001.json'
+	 * @return {Promise} Resolves with the prepared contents, or rejects with
+	 *                   an error that has the file, id and field
+	 */
+	static fetchDataFile(src) {
+		return new Promise((resolve, reject) => {
+			var xhr = new XMLHttpRequest();
+			xhr.open('GET', 'data/' + src);
+			xhr.overrideMimeType('application/json');
+			xhr.onload = () => {
+				if (xhr.status >= 400) {
+					reject(DataManager._fileError(src, 'the file is missing'));
+					return;
+				}
+				var object;
+				try {
+					object = JSON.parse(xhr.responseText);
+				} catch (e) {
+					reject(DataManager._fileError(src, 'the file is not valid JSON (' + e.message + ')'));
+					return;
+				}
+				try {
+					resolve(DataManager.prepareData(src, object));
+				} catch (e) {
+					reject(e);
+				}
+			};
+			xhr.onerror = () => {
+				reject(DataManager._fileError(src, 'the file could not be read'));
+			};
+			xhr.send();
+		});
+	}
+
+	/**
+	 * Checks whether all the requested files have been loaded and stored.
+	 * Stays false after a file has failed, until loadDatabase is called
+	 * again.
+	 *
+	 * @static
+	 * @method isDatabaseLoaded
+	 * @return {Boolean} True if the database is ready
+	 */
+	static isDatabaseLoaded() {
+		return DataManager._loading.length === 0 && DataManager._failed.length === 0;
+	}
+
+	/**
+	 * Checks the contents of a file and stores them in their global variable.
+	 * Called for anything that supplies database contents without going
+	 * through loadDataFile.
+	 *
+	 * @static
+	 * @method onLoad
+	 * @param {String} name The name of the global variable
+	 * @param {String} src The file name
+	 * @param {Object} object The contents of the file
+	 */
+	static onLoad(name, src, object) {
+		window[name] = DataManager.prepareData(src, object);
+	}
+
+	/**
+	 * Checks the contents of a file against its schema, parses the notes and
+	 * freezes the result. Throws an error for the first problem found.
+	 *
+	 * @static
+	 * @method prepareData
+	 * @param {String} src The file name
+	 * @param {Object} object The contents of the file
+	 * @return {Object} The same object, read-only
+	 */
+	static prepareData(src, object) {
+		var problems = DataSchema.validate(src, object);
+		if (problems.length > 0) {
+			problems.forEach(problem => console.error(problem.text));
+			throw DataSchema.makeError(problems[0]);
+		}
+		NoteTags.extractAll(object, src);
+		if (DataManager.isMapFile(src)) {
+			NoteTags.extractAll(object.events, src);
+		}
+		return DataManager.deepFreeze(object);
+	}
+
+	/**
+	 * Checks whether a file name is the name of a map file.
+	 *
+	 * @static
+	 * @method isMapFile
+	 * @param {String} src The file name
+	 * @return {Boolean} True for names such as 'Map001.json'
+	 */
+	static isMapFile(src) {
+		return /^Map\d{3,}\.json$/.test(src);
+	}
+
+	/**
+	 * Makes an object and everything it contains read-only.
+	 *
+	 * @static
+	 * @method deepFreeze
+	 * @param {Object} object The object to freeze
+	 * @return {Object} The same object
+	 */
+	static deepFreeze(object) {
+		if (object !== null && typeof object === 'object' && !Object.isFrozen(object)) {
+			Object.freeze(object);
+			Object.keys(object).forEach(key => DataManager.deepFreeze(object[key]));
+		}
+		return object;
+	}
+
+	/**
+	 * Creates the game objects that are kept in `$game` global variables:
+	 * `$gameParty`.
+	 *
+	 * @static
+	 * @method createGameObjects
+	 */
+	static createGameObjects() {
+		window.$gameParty = new GameParty();
+	}
+
+	/**
+	 * Starts a new game: creates the game objects, puts the starting party
+	 * together, resets the game state and the playtime, and enables the
+	 * autosave. Called when the player picks New Game, not at boot, so that
+	 * the autosave of the previous game is kept until the new one begins.
+	 *
+	 * @static
+	 * @method setupNewGame
+	 * @param {Number} [mapId] The map the player starts on; the start map of
+	 *        System.json by default
+	 */
+	static setupNewGame(mapId) {
+		DataManager.createGameObjects();
+		$gameParty.setupStartingMembers();
+		GameState.reset();
+		GameState.setMapId(mapId || $dataSystem.startMapId);
+		StorageManager.resetPlaytime();
+		StorageManager.setAutosaveEnabled(true);
+	}
+
+	/**
+	 * Continues a saved game: creates the game objects and loads the
+	 * savefile into them.
+	 *
+	 * @static
+	 * @method loadGame
+	 * @param {Number} savefileId The savefile ID, 0 for the autosave
+	 * @return {Boolean} True if the game has been loaded
+	 */
+	static loadGame(savefileId) {
+		DataManager.createGameObjects();
+		return StorageManager.loadGame(savefileId);
+	}
+
+	/**
+	 * @static
+	 * @method _fileError
+	 * @param {String} src
+	 * @param {String} reason
+	 * @return {Error}
+	 * @private
+	 */
+	static _fileError(src, reason) {
+		var error = new Error(src + ': ' + reason);
+		error.file = src;
+		error.id = null;
+		error.field = null;
+		return error;
+	}
+
+	/**
+	 * @static
+	 * @method _fail
+	 * @param {String} src
+	 * @param {Error} error
+	 * @private
+	 */
+	static _fail(src, error) {
+		DataManager._finish(src);
+		DataManager._failed.push(src);
+		SceneManager.catchException(error);
+	}
+
+	/**
+	 * @static
+	 * @method _finish
+	 * @param {String} src
+	 * @private
+	 */
+	static _finish(src) {
+		var index = DataManager._loading.indexOf(src);
+		if (index >= 0) {
+			DataManager._loading.splice(index, 1);
+		}
+	}
+}
@@ -0,0 +1,156 @@
+import DataManager from './DataManager';
+import MapLoader from './MapLoader';
+
+//-----------------------------------------------------------------------------
+/**
+ * The static class that reloads the database and map files while the game
+ * runs, when devServer.js reports that they have changed.
+ *
+ * A changed database file replaces its `$data` global. A changed map file is
+ * dropped from the MapLoader cache and, if it is the current map ($dataMap),
+ * loaded again in its place. The game objects are not touched, so the
+ * player keeps their position and the game state. Components that show
+ * data can redraw by adding a listener.
+ *
+ * @class DataReloader
+ */
+//-----------------------------------------------------------------------------
+
+export default class DataReloader {
+	constructor() {
+		throw new Error('This is a static class');
+	}
+
+	/**
+	 * The URL of the change notifications sent by devServer.js.
+	 *
+	 * @static
+	 * @property url
+	 * @type String
+	 */
+	static url = '/__data_reload';
+
+	static _source = null;
+	static _listeners = [];
+
+	/**
+	 * Starts listening to the dev server. Does nothing when the page has no
+	 * EventSource or has already connected.
+	 *
+	 * @static
+	 * @method connect
+	 */
+	static connect() {
+		if (DataReloader._source || typeof EventSource === 'undefined') {
+			return;
+		}
+		DataReloader._source = new EventSource(DataReloader.url);
+		DataReloader._source.onmessage = event => {
+			DataReloader.reload(JSON.parse(event.data).file);
+		};
+	}
+
+	/**
+	 * Stops listening to the dev server.
+	 *
+	 * @static
+	 * @method disconnect
+	 */
+	static disconnect() {
+		if (DataReloader._source) {
+			DataReloader._source.close();
+			DataReloader._source = null;
+		}
+	}
+
+	/**
+	 * Adds a function called after a file has been reloaded, with an object
+	 * that has the file, the name of the global variable (name), the map ID
+	 * for map files (mapId) and the new contents (data).
+	 *
+	 * @static
+	 * @method addListener
+	 * @param {Function} listener The function to call
+	 */
+	static addListener(listener) {
+		DataReloader._listeners.push(listener);
+	}
+
+	/**
+	 * @static
+	 * @method removeListener
+	 * @param {Function} listener The function to remove
+	 */
+	static removeListener(listener) {
+		var index = DataReloader._listeners.indexOf(listener);
+		if (index >= 0) {
+			DataReloader._listeners.splice(index, 1);
+		}
+	}
+
+	/**
+	 * Reloads a file from the data folder. A file that fails to load or to
+	 * validate is logged and the old contents are kept.
+	 *
+	 * @static
+	 * @method reload
+	 * @param {String} file The file name, such as 'Actors.json'
+	 * @return {Promise} Resolves once the file has been reloaded
+	 */
+	static reload(file) {
+		if (DataManager.isMapFile(file)) {
+			return DataReloader._reloadMap(file);
+		}
+		var entry = DataManager.databaseFiles.filter(e => e.src === file)[0];
+		if (!entry || !window[entry.name]) {
+			return Promise.resolve();
+		}
+		return DataManager.fetchDataFile(file).then(data => {
+			window[entry.name] = data;
+			console.info('Reloaded ' + file + ' into ' + entry.name);
+			DataReloader._notify({ file: file, name: entry.name, mapId: null, data: data });
+		}, DataReloader._onError);
+	}
+
+	/**
+	 * @static
+	 * @method _reloadMap
+	 * @param {String} file
+	 * @return {Promise}
+	 * @private
+	 */
+	static _reloadMap(file) {
+		var mapId = Number(file.match(/\d+/)[0]);
+		var isCurrent = !!window.$dataMap && MapLoader.cachedMap(mapId) === window.$dataMap;
+		MapLoader.evict(mapId);
+		if (!isCurrent) {
+			console.info('Dropped ' + file + ' from the map cache');
+			return Promise.resolve();
+		}
+		return MapLoader.loadMap(mapId, { prefetch: false }).then(data => {
+			window.$dataMap = data;
+			console.info('Reloaded ' + file + ', the current map');
+			DataReloader._notify({ file: file, name: '$dataMap', mapId: mapId, data: data });
+		}, DataReloader._onError);
+	}
+
+	/**
+	 * @static
+	 * @method _notify
+	 * @param {Object} change
+	 * @private
+	 */
+	static _notify(change) {
+		DataReloader._listeners.slice().forEach(listener => listener(change));
+	}
+
+	/**
+	 * @static
+	 * @method _onError
+	 * @param {Error} error
+	 * @private
+	 */
+	static _onError(error) {
+		console.error('Reload failed: ' + error.message + ' (keeping the old data)');
+	}
+}
@@ -0,0 +1,396 @@
+/**
+ * The static class that describes the expected shape of the database files
+ * and checks loaded data against it.
+ *
+ * A list file is an array of records indexed by id, where null marks an
+ * unused id. An object file is a single record. The fields of a schema name
+ * the required fields of each record with their types: 'number', 'string',
+ * 'boolean', 'array' or 'object'. Fields that are not listed are allowed.
+ *
+ * @class DataSchema
+ */
+
+export default class DataSchema {
+	constructor() {
+		throw new Error('This is a static class');
+	}
+
+	static _traitObject = {
+		id: 'number',
+		name: 'string',
+		note: 'string',
+		traits: 'array'
+	};
+
+	static _usableItem = {
+		id: 'number',
+		name: 'string',
+		note: 'string',
+		iconIndex: 'number',
+		description: 'string',
+		animationId: 'number',
+		damage: 'object',
+		effects: 'array',
+		scope: 'number',
+		occasion: 'number',
+		speed: 'number',
+		successRate: 'number',
+		repeats: 'number',
+		tpGain: 'number',
+		hitType: 'number'
+	};
+
+	/**
+	 * The schemas of the database files, keyed by file name.
+	 *
+	 * @static
+	 * @property schemas
+	 * @type Object
+	 */
+	static schemas = {
+		'Actors.json': {
+			list: true,
+			fields: {
+				id: 'number',
+				name: 'string',
+				nickname: 'string',
+				profile: 'string',
+				note: 'string',
+				classId: 'number',
+				initialLevel: 'number',
+				maxLevel: 'number',
+				characterName: 'string',
+				characterIndex: 'number',
+				faceName: 'string',
+				faceIndex: 'number',
+				battlerName: 'string',
+				equips: 'array',
+				traits: 'array'
+			}
+		},
+		'Classes.json': {
+			list: true,
+			fields: {
+				id: 'number',
+				name: 'string',
+				note: 'string',
+				expParams: 'array',
+				params: 'array',
+				learnings: 'array',
+				traits: 'array'
+			}
+		},
+		'Skills.json': {
+			list: true,
+			fields: Object.assign({}, DataSchema._usableItem, {
+				stypeId: 'number',
+				mpCost: 'number',
+				tpCost: 'number',
+				message1: 'string',
+				message2: 'string',
+				requiredWtypeId1: 'number',
+				requiredWtypeId2: 'number'
+			})
+		},
+		'Items.json': {
+			list: true,
+			fields: Object.assign({}, DataSchema._usableItem, {
+				itypeId: 'number',
+				price: 'number',
+				consumable: 'boolean'
+			})
+		},
+		'Weapons.json': {
+			list: true,
+			fields: Object.assign({}, DataSchema._traitObject, {
+				iconIndex: 'number',
+				description: 'string',
+				wtypeId: 'number',
+				etypeId: 'number',
+				animationId: 'number',
+				params: 'array',
+				price: 'number'
+			})
+		},
+		'Armors.json': {
+			list: true,
+			fields: Object.assign({}, DataSchema._traitObject, {
+				iconIndex: 'number',
+				description: 'string',
+				atypeId: 'number',
+				etypeId: 'number',
+				params: 'array',
+				price: 'number'
+			})
+		},
+		'Enemies.json': {
+			list: true,
+			fields: Object.assign({}, DataSchema._traitObject, {
+				battlerName: 'string',
+				battlerHue: 'number',
+				params: 'array',
+				exp: 'number',
+				gold: 'number',
+				dropItems: 'array',
+				actions: 'array'
+			})
+		},
+		'Troops.json': {
+			list: true,
+			fields: {
+				id: 'number',
+				name: 'string',
+				members: 'array',
+				pages: 'array'
+			}
+		},
+		'States.json': {
+			list: true,
+			fields: Object.assign({}, DataSchema._traitObject, {
+				iconIndex: 'number',
+				restriction: 'number',
+				priority: 'number',
+				autoRemovalTiming: 'number',
+				minTurns: 'number',
+				maxTurns: 'number'
+			})
+		},
+		'Animations.json': {
+			list: true,
+			fields: {
+				id: 'number',
+				name: 'string',
+				animation1Name: 'string',
+				animation1Hue: 'number',
+				animation2Name: 'string',
+				animation2Hue: 'number',
+				frames: 'array',
+				timings: 'array',
+				position: 'number'
+			}
+		},
+		'Tilesets.json': {
+			list: true,
+			fields: {
+				id: 'number',
+				name: 'string',
+				note: 'string',
+				mode: 'number',
+				tilesetNames: 'array',
+				flags: 'array'
+			}
+		},
+		'CommonEvents.json': {
+			list: true,
+			fields: {
+				id: 'number',
+				name: 'string',
+				trigger: 'number',
+				switchId: 'number',
+				list: 'array'
+			}
+		},
+		'System.json': {
+			list: false,
+			fields: {
+				gameTitle: 'string',
+				versionId: 'number',
+				locale: 'string',
+				currencyUnit: 'string',
+				startMapId: 'number',
+				startX: 'number',
+				startY: 'number',
+				partyMembers: 'array',
+				switches: 'array',
+				variables: 'array',
+				elements: 'array',
+				skillTypes: 'array',
+				weaponTypes: 'array',
+				armorTypes: 'array',
+				equipTypes: 'array',
+				terms: 'object',
+				sounds: 'array',
+				title1Name: 'string',
+				title2Name: 'string',
+				titleBgm: 'object',
+				battleBgm: 'object',
+				windowTone: 'array'
+			}
+		},
+		'MapInfos.json': {
+			list: true,
+			fields: {
+				id: 'number',
+				name: 'string',
+				parentId: 'number',
+				order: 'number',
+				expanded: 'boolean'
+			}
+		}
+	};
+
+	/**
+	 * The schema of the map files, such as Map001.json.
+	 *
+	 * @static
+	 * @property mapSchema
+	 * @type Object
+	 */
+	static mapSchema = {
+		list: false,
+		fields: {
+			displayName: 'string',
+			note: 'string',
+			tilesetId: 'number',
+			width: 'number',
+			height: 'number',
+			scrollType: 'number',
+			encounterList: 'array',
+			encounterStep: 'number',
+			bgm: 'object',
+			bgs: 'object',
+			data: 'array',
+			events: 'array'
+		}
+	};
+
+	/**
+	 * Gets the schema of a database file. Files of the test modes share the
+	 * schema of the file they stand in for, and all map files share
+	 * mapSchema.
+	 *
+	 * @static
+	 * @method schemaFor
+	 * @param {String} src The file name, such as 'Actors.json'
+	 * @return {Object} The schema, or null if the file has none
+	 */
+	static schemaFor(src) {
+		if (/^Map\d{3,}\.json$/.test(src)) {
+			return DataSchema.mapSchema;
+		}
+		return DataSchema.schemas[src.replace(/^Test_/, '')] || null;
+	}
+
+	/**
+	 * Checks the contents of a database file against its schema.
+	 *
+	 * @static
+	 * @method validate
+	 * @param {String} src The file name
+	 * @param {Any} data The parsed contents of the file
+	 * @return {Array} The problems found, each with the file, id, field and
+	 *                 message; empty if the data is valid
+	 */
+	static validate(src, data) {
+		var schema = DataSchema.schemaFor(src);
+		var problems = [];
+		if (!schema) {
+			return problems;
+		}
+		if (schema.list) {
+			if (!Array.isArray(data)) {
+				problems.push(DataSchema._problem(src, null, null, 'expected a list of records'));
+				return problems;
+			}
+			data.forEach((record, index) => {
+				if (record !== null) {
+					DataSchema._validateRecord(src, index, record, schema, problems);
+					if (DataSchema._typeOf(record) === 'object' && record.id !== index) {
+						problems.push(DataSchema._problem(src, index, 'id',
+							'expected ' + index + ' to match the position in the list but got ' + record.id));
+					}
+				}
+			});
+		} else {
+			DataSchema._validateRecord(src, null, data, schema, problems);
+		}
+		return problems;
+	}
+
+	/**
+	 * Makes an error from a problem returned by validate.
+	 *
+	 * @static
+	 * @method makeError
+	 * @param {Object} problem The problem
+	 * @return {Error} The error, with the file, id and field as properties
+	 */
+	static makeError(problem) {
+		var error = new Error(problem.text);
+		error.file = problem.file;
+		error.id = problem.id;
+		error.field = problem.field;
+		return error;
+	}
+
+	/**
+	 * @static
+	 * @method _validateRecord
+	 * @param {String} src
+	 * @param {Number} id
+	 * @param {Object} record
+	 * @param {Object} schema
+	 * @param {Array} problems
+	 * @private
+	 */
+	static _validateRecord(src, id, record, schema, problems) {
+		if (DataSchema._typeOf(record) !== 'object') {
+			problems.push(DataSchema._problem(src, id, null,
+				'expected a record but got ' + DataSchema._typeOf(record)));
+			return;
+		}
+		Object.keys(schema.fields).forEach(field => {
+			var expected = schema.fields[field];
+			if (!record.hasOwnProperty(field)) {
+				problems.push(DataSchema._problem(src, id, field, 'is missing'));
+			} else if (DataSchema._typeOf(record[field]) !== expected) {
+				problems.push(DataSchema._problem(src, id, field,
+					'expected ' + expected + ' but got ' + DataSchema._typeOf(record[field])));
+			}
+		});
+	}
+
+	/**
+	 * @static
+	 * @method _typeOf
+	 * @param {Any} value
+	 * @return {String}
+	 * @private
+	 */
+	static _typeOf(value) {
+		if (value === null) {
+			return 'null';
+		} else if (Array.isArray(value)) {
+			return 'array';
+		} else {
+			return typeof value;
+		}
+	}
+
+	/**
+	 * @static
+	 * @method _problem
+	 * @param {String} file
+	 * @param {Number} id
+	 * @param {String} field
+	 * @param {String} message
+	 * @return {Object}
+	 * @private
+	 */
+	static _problem(file, id, field, message) {
+		var location = file;
+		if (id !== null) {
+			location += ', id ' + id;
+		}
+		if (field !== null) {
+			location += ', field "' + field + '"';
+		}
+		return {
+			file: file,
+			id: id,
+			field: field,
+			message: message,
+			text: location + ': ' + message
+		};
+	}
+}
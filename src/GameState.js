@@ -0,0 +1,483 @@
+//-----------------------------------------------------------------------------
+/**
+ * The static class that holds the state of the game that events and menus
+ * change: switches, variables, self switches, the map the player is on, gold
+ * and the items of the party.
+ *
+ * The state is a tree of plain, frozen objects. Every change replaces the
+ * objects on its path and keeps the rest, so a selector that returns a part
+ * of the state returns the same object until that part changes:
+ *
+ *     GameState.subscribe(state => state.gold, gold => {
+ *       this.setState({ gold: gold });
+ *     });
+ *
+ * The listener of a subscription is only called when the value of its
+ * selector changes. React components can extend GameStateComponent instead
+ * of subscribing by hand.
+ *
+ * Since the state is plain JSON it goes into save files as it is, and with
+ * the history enabled every change can be inspected and undone for
+ * debugging.
+ *
+ * @class GameState
+ */
+//-----------------------------------------------------------------------------
+
+export default class GameState {
+	constructor() {
+		throw new Error('This is a static class');
+	}
+
+	/**
+	 * @static
+	 * @property maxGold
+	 * @type Number
+	 */
+	static maxGold = 99999999;
+
+	/**
+	 * @static
+	 * @property maxItems
+	 * @type Number
+	 */
+	static maxItems = 99;
+
+	static _state = null;
+	static _subscriptions = [];
+	static _batchDepth = 0;
+	static _historyLimit = 0;
+	static _history = [];
+
+	/**
+	 * Makes the state of a new game.
+	 *
+	 * @static
+	 * @method initialState
+	 * @return {Object} The state
+	 */
+	static initialState() {
+		return GameState._freeze({
+			switches: GameState._freeze({}),
+			variables: GameState._freeze({}),
+			selfSwitches: GameState._freeze({}),
+			mapId: 0,
+			gold: 0,
+			items: GameState._freeze({}),
+			weapons: GameState._freeze({}),
+			armors: GameState._freeze({})
+		});
+	}
+
+	/**
+	 * Gets the whole state.
+	 *
+	 * @static
+	 * @method getState
+	 * @return {Object} The state, which is read-only
+	 */
+	static getState() {
+		if (!GameState._state) {
+			GameState._state = GameState.initialState();
+		}
+		return GameState._state;
+	}
+
+	/**
+	 * Replaces the whole state, such as when a savefile is loaded.
+	 *
+	 * @static
+	 * @method replaceState
+	 * @param {Object} state The new state, as returned by getState
+	 */
+	static replaceState(state) {
+		var initial = GameState.initialState();
+		var next = {};
+		Object.keys(initial).forEach(key => {
+			var value = state && state.hasOwnProperty(key) ? state[key] : initial[key];
+			next[key] = typeof value === 'object' ? GameState._freeze(Object.assign({}, value)) : value;
+		});
+		GameState._commit({ type: 'replaceState' }, GameState._freeze(next));
+	}
+
+	/**
+	 * Resets the state for a new game.
+	 *
+	 * @static
+	 * @method reset
+	 */
+	static reset() {
+		GameState._commit({ type: 'reset' }, GameState.initialState());
+	}
+
+	/**
+	 * Subscribes to a part of the state.
+	 *
+	 * @static
+	 * @method subscribe
+	 * @param {Function} selector Gets the part from the state
+	 * @param {Function} listener Called with the new and the old value of
+	 *        the part when it changes
+	 * @param {Function} [equals] Compares two values of the part; strict
+	 *        equality by default, shallowEqual for selectors that build a
+	 *        new object
+	 * @return {Function} A function that ends the subscription
+	 */
+	static subscribe(selector, listener, equals) {
+		var subscription = {
+			selector: selector,
+			listener: listener,
+			equals: equals || ((a, b) => a === b),
+			value: selector(GameState.getState())
+		};
+		GameState._subscriptions.push(subscription);
+		return () => {
+			var index = GameState._subscriptions.indexOf(subscription);
+			if (index >= 0) {
+				GameState._subscriptions.splice(index, 1);
+			}
+		};
+	}
+
+	/**
+	 * Makes several changes and notifies the subscribers once at the end.
+	 *
+	 * @static
+	 * @method batch
+	 * @param {Function} callback Makes the changes
+	 */
+	static batch(callback) {
+		GameState._batchDepth++;
+		try {
+			callback();
+		} finally {
+			GameState._batchDepth--;
+			if (GameState._batchDepth === 0) {
+				GameState._notify();
+			}
+		}
+	}
+
+	/**
+	 * @static
+	 * @method switchValue
+	 * @param {Number} switchId The switch ID
+	 * @return {Boolean} True if the switch is on
+	 */
+	static switchValue(switchId) {
+		return !!GameState.getState().switches[switchId];
+	}
+
+	/**
+	 * @static
+	 * @method setSwitch
+	 * @param {Number} switchId The switch ID
+	 * @param {Boolean} value True to turn the switch on
+	 */
+	static setSwitch(switchId, value) {
+		GameState._setEntry('switches', switchId, !!value, false,
+			{ type: 'setSwitch', switchId: switchId, value: !!value });
+	}
+
+	/**
+	 * @static
+	 * @method variable
+	 * @param {Number} variableId The variable ID
+	 * @return {Any} The value, 0 if it has not been set
+	 */
+	static variable(variableId) {
+		return GameState.getState().variables[variableId] || 0;
+	}
+
+	/**
+	 * Sets a variable. Numbers are truncated to integers like in RPG Maker.
+	 * The value must be JSON, so that it can be saved.
+	 *
+	 * @static
+	 * @method setVariable
+	 * @param {Number} variableId The variable ID
+	 * @param {Any} value The value
+	 */
+	static setVariable(variableId, value) {
+		if (typeof value === 'number') {
+			value = Math.floor(value);
+		}
+		GameState._setEntry('variables', variableId, value, 0,
+			{ type: 'setVariable', variableId: variableId, value: value });
+	}
+
+	/**
+	 * @static
+	 * @method selfSwitch
+	 * @param {Number} mapId The map ID
+	 * @param {Number} eventId The event ID
+	 * @param {String} letter 'A', 'B', 'C' or 'D'
+	 * @return {Boolean} True if the self switch is on
+	 */
+	static selfSwitch(mapId, eventId, letter) {
+		return !!GameState.getState().selfSwitches[GameState.selfSwitchKey(mapId, eventId, letter)];
+	}
+
+	/**
+	 * @static
+	 * @method setSelfSwitch
+	 * @param {Number} mapId The map ID
+	 * @param {Number} eventId The event ID
+	 * @param {String} letter 'A', 'B', 'C' or 'D'
+	 * @param {Boolean} value True to turn the self switch on
+	 */
+	static setSelfSwitch(mapId, eventId, letter, value) {
+		var key = GameState.selfSwitchKey(mapId, eventId, letter);
+		GameState._setEntry('selfSwitches', key, !!value, false,
+			{ type: 'setSelfSwitch', key: key, value: !!value });
+	}
+
+	/**
+	 * Gets the key of a self switch in state.selfSwitches.
+	 *
+	 * @static
+	 * @method selfSwitchKey
+	 * @param {Number} mapId The map ID
+	 * @param {Number} eventId The event ID
+	 * @param {String} letter 'A', 'B', 'C' or 'D'
+	 * @return {String} The key, such as '1,3,A'
+	 */
+	static selfSwitchKey(mapId, eventId, letter) {
+		return [mapId, eventId, letter].join(',');
+	}
+
+	/**
+	 * @static
+	 * @method mapId
+	 * @return {Number} The ID of the map the player is on, 0 before the game
+	 *                  has started
+	 */
+	static mapId() {
+		return GameState.getState().mapId;
+	}
+
+	/**
+	 * Moves the player to another map.
+	 *
+	 * @static
+	 * @method setMapId
+	 * @param {Number} mapId The map ID
+	 */
+	static setMapId(mapId) {
+		if (mapId !== GameState.mapId()) {
+			var next = Object.assign({}, GameState.getState(), { mapId: mapId });
+			GameState._commit({ type: 'setMapId', mapId: mapId }, GameState._freeze(next));
+		}
+	}
+
+	/**
+	 * @static
+	 * @method gold
+	 * @return {Number} The gold of the party
+	 */
+	static gold() {
+		return GameState.getState().gold;
+	}
+
+	/**
+	 * Adds gold to the party, or takes it away with a negative amount.
+	 *
+	 * @static
+	 * @method gainGold
+	 * @param {Number} amount The amount
+	 */
+	static gainGold(amount) {
+		var gold = (GameState.gold() + amount).clamp(0, GameState.maxGold);
+		if (gold !== GameState.gold()) {
+			var next = Object.assign({}, GameState.getState(), { gold: gold });
+			GameState._commit({ type: 'gainGold', amount: amount }, GameState._freeze(next));
+		}
+	}
+
+	/**
+	 * @static
+	 * @method numItems
+	 * @param {String} kind 'item', 'weapon' or 'armor'
+	 * @param {Number} id The ID of the item in the database
+	 * @return {Number} The number the party has
+	 */
+	static numItems(kind, id) {
+		return GameState.getState()[GameState._itemSlice(kind)][id] || 0;
+	}
+
+	/**
+	 * Adds items to the party, or takes them away with a negative amount.
+	 *
+	 * @static
+	 * @method gainItem
+	 * @param {String} kind 'item', 'weapon' or 'armor'
+	 * @param {Number} id The ID of the item in the database
+	 * @param {Number} amount The amount
+	 */
+	static gainItem(kind, id, amount) {
+		var count = (GameState.numItems(kind, id) + amount).clamp(0, GameState.maxItems);
+		GameState._setEntry(GameState._itemSlice(kind), id, count, 0,
+			{ type: 'gainItem', kind: kind, id: id, amount: amount });
+	}
+
+	/**
+	 * Keeps the most recent changes, with the state after each of them, for
+	 * debugging. A limit of 0 turns the history off.
+	 *
+	 * @static
+	 * @method setHistoryLimit
+	 * @param {Number} limit The number of changes to keep
+	 */
+	static setHistoryLimit(limit) {
+		GameState._historyLimit = limit;
+		GameState._history = limit > 0 ? GameState._history.slice(-limit) : [];
+	}
+
+	/**
+	 * Gets the recorded changes.
+	 *
+	 * @static
+	 * @method history
+	 * @return {Array} Objects with the action and the state after it, oldest
+	 *                 first
+	 */
+	static history() {
+		return GameState._history.slice();
+	}
+
+	/**
+	 * Goes back to the state after a recorded change. The changes after it
+	 * stay in the history, so the debugger can go forward again.
+	 *
+	 * @static
+	 * @method travelTo
+	 * @param {Number} index The index in history
+	 */
+	static travelTo(index) {
+		var entry = GameState._history[index];
+		if (!entry) {
+			throw new Error('No state at history index ' + index);
+		}
+		GameState._state = entry.state;
+		GameState._notify();
+	}
+
+	/**
+	 * Compares two objects by their own properties.
+	 *
+	 * @static
+	 * @method shallowEqual
+	 * @param {Object} a
+	 * @param {Object} b
+	 * @return {Boolean} True if both have the same properties with the same
+	 *                   values
+	 */
+	static shallowEqual(a, b) {
+		if (a === b) {
+			return true;
+		}
+		if (!a || !b || typeof a !== 'object' || typeof b !== 'object') {
+			return false;
+		}
+		var keysA = Object.keys(a);
+		var keysB = Object.keys(b);
+		return keysA.length === keysB.length && keysA.every(key => {
+			return b.hasOwnProperty(key) && a[key] === b[key];
+		});
+	}
+
+	/**
+	 * @static
+	 * @method _setEntry
+	 * @param {String} slice
+	 * @param {String|Number} key
+	 * @param {Any} value
+	 * @param {Any} defaultValue
+	 * @param {Object} action
+	 * @private
+	 */
+	static _setEntry(slice, key, value, defaultValue, action) {
+		var state = GameState.getState();
+		var current = state[slice].hasOwnProperty(key) ? state[slice][key] : defaultValue;
+		if (current === value) {
+			return;
+		}
+		var entries = Object.assign({}, state[slice]);
+		if (value === defaultValue) {
+			delete entries[key];
+		} else {
+			entries[key] = value;
+		}
+		var next = Object.assign({}, state);
+		next[slice] = GameState._freeze(entries);
+		GameState._commit(action, GameState._freeze(next));
+	}
+
+	/**
+	 * @static
+	 * @method _commit
+	 * @param {Object} action
+	 * @param {Object} state
+	 * @private
+	 */
+	static _commit(action, state) {
+		GameState._state = state;
+		if (GameState._historyLimit > 0) {
+			GameState._history.push({ action: action, state: state });
+			if (GameState._history.length > GameState._historyLimit) {
+				GameState._history.shift();
+			}
+		}
+		if (GameState._batchDepth === 0) {
+			GameState._notify();
+		}
+	}
+
+	/**
+	 * @static
+	 * @method _notify
+	 * @private
+	 */
+	static _notify() {
+		var state = GameState.getState();
+		GameState._subscriptions.slice().forEach(subscription => {
+			var value = subscription.selector(state);
+			if (!subscription.equals(value, subscription.value)) {
+				var previous = subscription.value;
+				subscription.value = value;
+				subscription.listener(value, previous);
+			}
+		});
+	}
+
+	/**
+	 * @static
+	 * @method _itemSlice
+	 * @param {String} kind
+	 * @return {String}
+	 * @private
+	 */
+	static _itemSlice(kind) {
+		switch (kind) {
+			case 'item':
+				return 'items';
+			case 'weapon':
+				return 'weapons';
+			case 'armor':
+				return 'armors';
+			default:
+				throw new Error('Unknown item kind: ' + kind);
+		}
+	}
+
+	/**
+	 * @static
+	 * @method _freeze
+	 * @param {Object} object
+	 * @return {Object}
+	 * @private
+	 */
+	static _freeze(object) {
+		return Object.freeze(object);
+	}
+}
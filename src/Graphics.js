@@ -1,7 +1,3 @@
-import React from 'react';
-import ReactPIXI from 'react-pixi';
-import { render } from 'react-dom';
-import App from './App';
 import Utils from './Utils';
 
 /**
@@ -85,6 +81,7 @@ export default class Graphics {
 		Graphics._realScale = 1;
 
 		Graphics._errorPrinter = null;
+		Graphics._errorReportShown = false;
 		Graphics._canvas = null;
 		Graphics._video = null;
 		Graphics._upperCanvas = null;
@@ -96,6 +93,7 @@ export default class Graphics {
 		Graphics._rendered = false;
 		Graphics._loadingImage = null;
 		Graphics._loadingCount = 0;
+		Graphics._loadingProgress = null;
 		Graphics._fpsMeterToggled = false;
 		Graphics._stretchEnabled = Graphics._defaultStretchMode();
 
@@ -146,7 +144,7 @@ export default class Graphics {
 	static render(stage) {
 		if (Graphics._skipCount === 0) {
 			var startTime = Date.now();
-			if (stage) {
+			if (stage && Graphics._renderer) {
 				Graphics._renderer.render(stage);
 			}
 			var endTime = Date.now();
@@ -160,6 +158,21 @@ export default class Graphics {
 		Graphics.frameCount++;
 	}
 
+	/**
+	 * Sets the renderer of the current scene's stage. Its view becomes the
+	 * game canvas.
+	 *
+	 * @static
+	 * @method setRenderer
+	 * @param {PIXI.SystemRenderer} renderer The renderer of the mounted stage
+	 */
+	static setRenderer(renderer) {
+		Graphics._renderer = renderer;
+		Graphics._canvas = renderer ? renderer.view : null;
+		Graphics._updateCanvas();
+		Graphics._updateRenderer();
+	}
+
 	/**
 	 * Checks whether the renderer type is WebGL.
 	 *
@@ -216,8 +229,8 @@ export default class Graphics {
 	 * @method setLoadingImage
 	 */
 	static setLoadingImage(src) {
-		// Graphics._loadingImage = new Image();
-		// Graphics._loadingImage.src = src;
+		Graphics._loadingImage = new Image();
+		Graphics._loadingImage.src = src;
 	}
 
 	/**
@@ -228,6 +241,18 @@ export default class Graphics {
 	 */
 	static startLoading() {
 		Graphics._loadingCount = 0;
+		Graphics._loadingProgress = null;
+	}
+
+	/**
+	 * Sets the rate of loaded assets shown by the loading progress bar.
+	 *
+	 * @static
+	 * @method setLoadingProgress
+	 * @param {Number} rate The progress in the range (0, 1)
+	 */
+	static setLoadingProgress(rate) {
+		Graphics._loadingProgress = rate;
 	}
 
 	/**
@@ -253,6 +278,40 @@ export default class Graphics {
 		Graphics._upperCanvas.style.opacity = 0;
 	}
 
+	/**
+	 * Covers the game screen with a color or an image on the upper canvas.
+	 *
+	 * @static
+	 * @method drawOverlay
+	 * @param {String|HTMLCanvasElement} source A CSS color or an image
+	 * @param {Number} alpha The opacity in the range (0, 1)
+	 */
+	static drawOverlay(source, alpha) {
+		var context = Graphics._upperCanvas.getContext('2d');
+		Graphics._clearUpperCanvas();
+		context.save();
+		context.globalAlpha = alpha.clamp(0, 1);
+		if (typeof source === 'string') {
+			context.fillStyle = source;
+			context.fillRect(0, 0, Graphics._width, Graphics._height);
+		} else {
+			context.drawImage(source, 0, 0);
+		}
+		context.restore();
+		Graphics._upperCanvas.style.opacity = 1;
+	}
+
+	/**
+	 * Erases the overlay drawn by drawOverlay.
+	 *
+	 * @static
+	 * @method clearOverlay
+	 */
+	static clearOverlay() {
+		Graphics._clearUpperCanvas();
+		Graphics._upperCanvas.style.opacity = 0;
+	}
+
 	/**
 	 * Displays the error text to the screen.
 	 *
@@ -269,6 +328,55 @@ export default class Graphics {
 		Graphics._clearUpperCanvas();
 	}
 
+	/**
+	 * Displays an error report with its details and action buttons.
+	 *
+	 * @static
+	 * @method printErrorReport
+	 * @param {String} name The name of the error
+	 * @param {String} message The message of the error
+	 * @param {String} details The details shown below the message
+	 * @param {Array} actions Objects with the label and handler of each button
+	 */
+	static printErrorReport(name, message, details, actions) {
+		if (Graphics._errorPrinter) {
+			var printer = Graphics._errorPrinter;
+			printer.innerHTML = Graphics._makeErrorHtml(name, message);
+			var buttons = document.createElement('div');
+			actions.forEach(action => {
+				buttons.appendChild(Graphics._makeErrorButton(action.label, action.handler));
+			});
+			printer.appendChild(buttons);
+			var pre = document.createElement('pre');
+			pre.textContent = details;
+			pre.style.textAlign = 'left';
+			pre.style.fontSize = '12px';
+			pre.style.color = 'white';
+			pre.style.whiteSpace = 'pre-wrap';
+			printer.appendChild(pre);
+			Graphics._errorReportShown = true;
+			Graphics._updateErrorPrinter();
+		}
+		Graphics._applyCanvasFilter();
+		Graphics._clearUpperCanvas();
+	}
+
+	/**
+	 * Erases the error text and the error report, and removes the filter
+	 * applied to the game screen.
+	 *
+	 * @static
+	 * @method clearError
+	 */
+	static clearError() {
+		if (Graphics._errorPrinter) {
+			Graphics._errorPrinter.innerHTML = '';
+			Graphics._errorReportShown = false;
+			Graphics._updateErrorPrinter();
+		}
+		Graphics._removeCanvasFilter();
+	}
+
 	/**
 	 * Shows the FPSMeter element.
 	 *
@@ -438,7 +546,6 @@ export default class Graphics {
 	 */
 	static _createAllElements() {
 		Graphics._createErrorPrinter();
-		Graphics._createCanvas();
 		Graphics._createVideo();
 		Graphics._createUpperCanvas();
 		// Graphics._createRenderer();
@@ -490,6 +597,26 @@ export default class Graphics {
 			'<font color="white">' + message + '</font><br>');
 	}
 
+	/**
+	 * @static
+	 * @method _makeErrorButton
+	 * @param {String} label
+	 * @param {Function} handler
+	 * @return {HTMLButtonElement}
+	 * @private
+	 */
+	static _makeErrorButton(label, handler) {
+		var button = document.createElement('button');
+		button.textContent = label;
+		button.style.margin = '8px 4px';
+		button.style.fontSize = '16px';
+		button.addEventListener('click', event => {
+			event.preventDefault();
+			handler();
+		});
+		return button;
+	}
+
 	/**
 	 * @static
 	 * @method _defaultStretchMode
@@ -510,6 +637,9 @@ export default class Graphics {
 		canvas.width = 1;
 		canvas.height = 1;
 		context = canvas.getContext('2d');
+		if (!context) {
+			return;
+		}
 		context.globalCompositeOperation = 'source-over';
 		context.fillStyle = 'white';
 		context.fillRect(0, 0, 1, 1);
@@ -548,7 +678,7 @@ export default class Graphics {
 	 * @private
 	 */
 	static _createErrorPrinter() {
-		Graphics._errorPrinter = document.createElement('p');
+		Graphics._errorPrinter = document.createElement('div');
 		Graphics._errorPrinter.id = 'ErrorPrinter';
 		Graphics._updateErrorPrinter();
 		document.body.appendChild(Graphics._errorPrinter);
@@ -561,7 +691,8 @@ export default class Graphics {
 	 */
 	static _updateErrorPrinter() {
 		Graphics._errorPrinter.width = Graphics._width * 0.9;
-		Graphics._errorPrinter.height = 40;
+		Graphics._errorPrinter.height = Graphics._errorReportShown ? Graphics._height * 0.9 : 40;
+		Graphics._errorPrinter.style.overflowY = Graphics._errorReportShown ? 'auto' : 'visible';
 		Graphics._errorPrinter.style.textAlign = 'center';
 		Graphics._errorPrinter.style.textShadow = '1px 1px 3px #000';
 		Graphics._errorPrinter.style.fontSize = '20px';
@@ -569,29 +700,18 @@ export default class Graphics {
 		Graphics._centerElement(Graphics._errorPrinter);
 	}
 
-	/**
-	 * @static
-	 * @method _createCanvas
-	 * @private
-	 */
-	static _createCanvas() {
-    const renderelement = document.getElementById('game');
-    const stageElement = <App />;
-    ReactPIXI.render(stageElement, renderelement);
-		Graphics._canvas = document.getElementsByTagName('canvas')[0];
-		Graphics._updateCanvas();
-	}
-
 	/**
 	 * @static
 	 * @method _updateCanvas
 	 * @private
 	 */
 	static _updateCanvas() {
-		Graphics._canvas.width = Graphics._width;
-		Graphics._canvas.height = Graphics._height;
-		Graphics._canvas.style.zIndex = 1;
-		Graphics._centerElement(Graphics._canvas);
+		if (Graphics._canvas) {
+			Graphics._canvas.width = Graphics._width;
+			Graphics._canvas.height = Graphics._height;
+			Graphics._canvas.style.zIndex = 1;
+			Graphics._centerElement(Graphics._canvas);
+		}
 	}
 
 	/**
@@ -670,6 +790,35 @@ export default class Graphics {
 			context.drawImage(Graphics._loadingImage, dx, dy);
 			context.restore();
 		}
+		if (Graphics._loadingProgress !== null && Graphics._loadingCount >= 20) {
+			Graphics._paintLoadingProgress();
+		}
+	}
+
+	/**
+	 * @static
+	 * @method _paintLoadingProgress
+	 * @private
+	 */
+	static _paintLoadingProgress() {
+		var context = Graphics._upperCanvas.getContext('2d');
+		var rate = Graphics._loadingProgress.clamp(0, 1);
+		var width = Math.floor(Graphics._width / 2);
+		var height = 12;
+		var x = Math.floor((Graphics._width - width) / 2);
+		var y = Graphics._height - 80;
+		var alpha = ((Graphics._loadingCount - 20) / 30).clamp(0, 1);
+		context.save();
+		context.globalAlpha = alpha;
+		context.fillStyle = 'rgba(0,0,0,0.6)';
+		context.fillRect(x - 2, y - 2, width + 4, height + 4);
+		context.fillStyle = 'white';
+		context.fillRect(x, y, Math.floor(width * rate), height);
+		context.font = '16px GameFont, sans-serif';
+		context.textAlign = 'center';
+		context.textBaseline = 'bottom';
+		context.fillText(Math.floor(rate * 100) + '%', Graphics._width / 2, y - 6);
+		context.restore();
 	}
 
 	/**
@@ -724,8 +873,10 @@ export default class Graphics {
 			theme: 'transparent',
 			toggleOn: null
 		};
-		Graphics._fpsMeter = new FPSMeter(options);
-		Graphics._fpsMeter.hide();
+		if (typeof FPSMeter !== 'undefined') {
+			Graphics._fpsMeter = new FPSMeter(options);
+			Graphics._fpsMeter.hide();
+		}
 	}
 
 	/**
@@ -855,6 +1006,19 @@ export default class Graphics {
 		}
 	}
 
+	/**
+	 * @static
+	 * @method _removeCanvasFilter
+	 * @private
+	 */
+	static _removeCanvasFilter() {
+		if (Graphics._canvas) {
+			Graphics._canvas.style.opacity = 1;
+			Graphics._canvas.style.filter = '';
+			Graphics._canvas.style.webkitFilter = '';
+		}
+	}
+
 	/**
 	 * @static
 	 * @method _onVideoLoad
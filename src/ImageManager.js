@@ -0,0 +1,371 @@
+import Bitmap from './core/Bitmap';
+import ImageCache from './core/ImageCache';
+
+/**
+ * The static class that loads images, creates bitmap objects and keeps them
+ * in a cache.
+ *
+ * Images are looked up by folder and file name without the extension, as in
+ * the database. A hue other than 0 gives a copy of the image with its hue
+ * rotated, which is cached on its own so the file is only loaded once.
+ * Bitmaps that a scene cannot do without can be reserved, so that the cache
+ * does not drop them before their reservation is released.
+ *
+ * @class ImageManager
+ */
+
+export default class ImageManager {
+	constructor() {
+		throw new Error('This is a static class');
+	}
+
+	/**
+	 * The cache of the loaded bitmaps.
+	 *
+	 * @static
+	 * @property cache
+	 * @type ImageCache
+	 */
+	static cache = new ImageCache(ImageCache.defaultLimit);
+
+	/**
+	 * The reservation id used when none is given.
+	 *
+	 * @static
+	 * @property _defaultReservationId
+	 * @type String
+	 * @private
+	 */
+	static _defaultReservationId = 'default';
+
+	/**
+	 * The folders that get smooth scaling.
+	 *
+	 * @static
+	 * @property _smoothFolders
+	 * @type Array
+	 * @private
+	 */
+	static _smoothFolders = ['battlebacks1', 'battlebacks2', 'parallaxes', 'titles1', 'titles2'];
+
+	/**
+	 * Sets the budget of the cache in bytes. Bitmaps over the budget are
+	 * dropped on the next update.
+	 *
+	 * @static
+	 * @method setCacheLimit
+	 * @param {Number} bytes The budget in bytes
+	 */
+	static setCacheLimit(bytes) {
+		ImageManager.cache.limit = bytes;
+	}
+
+	/**
+	 * @static
+	 * @method loadAnimation
+	 * @param {String} filename The file name without the extension
+	 * @param {Number} hue The hue offset in 360 degrees
+	 * @return {Bitmap} The bitmap
+	 */
+	static loadAnimation(filename, hue) {
+		return ImageManager.loadBitmap('animations', filename, hue);
+	}
+
+	/**
+	 * @static
+	 * @method loadBattleback1
+	 * @param {String} filename The file name without the extension
+	 * @param {Number} hue The hue offset in 360 degrees
+	 * @return {Bitmap} The bitmap
+	 */
+	static loadBattleback1(filename, hue) {
+		return ImageManager.loadBitmap('battlebacks1', filename, hue);
+	}
+
+	/**
+	 * @static
+	 * @method loadBattleback2
+	 * @param {String} filename The file name without the extension
+	 * @param {Number} hue The hue offset in 360 degrees
+	 * @return {Bitmap} The bitmap
+	 */
+	static loadBattleback2(filename, hue) {
+		return ImageManager.loadBitmap('battlebacks2', filename, hue);
+	}
+
+	/**
+	 * @static
+	 * @method loadEnemy
+	 * @param {String} filename The file name without the extension
+	 * @param {Number} hue The hue offset in 360 degrees
+	 * @return {Bitmap} The bitmap
+	 */
+	static loadEnemy(filename, hue) {
+		return ImageManager.loadBitmap('enemies', filename, hue);
+	}
+
+	/**
+	 * @static
+	 * @method loadCharacter
+	 * @param {String} filename The file name without the extension
+	 * @param {Number} hue The hue offset in 360 degrees
+	 * @return {Bitmap} The bitmap
+	 */
+	static loadCharacter(filename, hue) {
+		return ImageManager.loadBitmap('characters', filename, hue);
+	}
+
+	/**
+	 * @static
+	 * @method loadFace
+	 * @param {String} filename The file name without the extension
+	 * @param {Number} hue The hue offset in 360 degrees
+	 * @return {Bitmap} The bitmap
+	 */
+	static loadFace(filename, hue) {
+		return ImageManager.loadBitmap('faces', filename, hue);
+	}
+
+	/**
+	 * @static
+	 * @method loadParallax
+	 * @param {String} filename The file name without the extension
+	 * @param {Number} hue The hue offset in 360 degrees
+	 * @return {Bitmap} The bitmap
+	 */
+	static loadParallax(filename, hue) {
+		return ImageManager.loadBitmap('parallaxes', filename, hue);
+	}
+
+	/**
+	 * @static
+	 * @method loadSvActor
+	 * @param {String} filename The file name without the extension
+	 * @param {Number} hue The hue offset in 360 degrees
+	 * @return {Bitmap} The bitmap
+	 */
+	static loadSvActor(filename, hue) {
+		return ImageManager.loadBitmap('sv_actors', filename, hue);
+	}
+
+	/**
+	 * @static
+	 * @method loadSvEnemy
+	 * @param {String} filename The file name without the extension
+	 * @param {Number} hue The hue offset in 360 degrees
+	 * @return {Bitmap} The bitmap
+	 */
+	static loadSvEnemy(filename, hue) {
+		return ImageManager.loadBitmap('sv_enemies', filename, hue);
+	}
+
+	/**
+	 * @static
+	 * @method loadSystem
+	 * @param {String} filename The file name without the extension
+	 * @param {Number} hue The hue offset in 360 degrees
+	 * @return {Bitmap} The bitmap
+	 */
+	static loadSystem(filename, hue) {
+		return ImageManager.loadBitmap('system', filename, hue);
+	}
+
+	/**
+	 * @static
+	 * @method loadTileset
+	 * @param {String} filename The file name without the extension
+	 * @param {Number} hue The hue offset in 360 degrees
+	 * @return {Bitmap} The bitmap
+	 */
+	static loadTileset(filename, hue) {
+		return ImageManager.loadBitmap('tilesets', filename, hue);
+	}
+
+	/**
+	 * @static
+	 * @method loadTitle1
+	 * @param {String} filename The file name without the extension
+	 * @param {Number} hue The hue offset in 360 degrees
+	 * @return {Bitmap} The bitmap
+	 */
+	static loadTitle1(filename, hue) {
+		return ImageManager.loadBitmap('titles1', filename, hue);
+	}
+
+	/**
+	 * @static
+	 * @method loadTitle2
+	 * @param {String} filename The file name without the extension
+	 * @param {Number} hue The hue offset in 360 degrees
+	 * @return {Bitmap} The bitmap
+	 */
+	static loadTitle2(filename, hue) {
+		return ImageManager.loadBitmap('titles2', filename, hue);
+	}
+
+	/**
+	 * Loads an image from a folder of img/. An empty file name gives an
+	 * empty bitmap, which is not cached.
+	 *
+	 * @static
+	 * @method loadBitmap
+	 * @param {String} folder The folder under img/, such as 'faces'
+	 * @param {String} filename The file name without the extension
+	 * @param {Number} hue The hue offset in 360 degrees
+	 * @return {Bitmap} The bitmap
+	 */
+	static loadBitmap(folder, filename, hue) {
+		if (filename) {
+			var bitmap = ImageManager.loadNormalBitmap(ImageManager.path(folder, filename), hue || 0);
+			bitmap.smooth = ImageManager._smoothFolders.contains(folder);
+			return bitmap;
+		}
+		return new Bitmap();
+	}
+
+	/**
+	 * Loads an image by its url, using the cache.
+	 *
+	 * @static
+	 * @method loadNormalBitmap
+	 * @param {String} url The url of the image
+	 * @param {Number} hue The hue offset in 360 degrees
+	 * @return {Bitmap} The bitmap
+	 */
+	static loadNormalBitmap(url, hue) {
+		hue = ImageManager._normalizeHue(hue);
+		var key = ImageManager.cacheKey(url, hue);
+		var bitmap = ImageManager.cache.get(key);
+		if (!bitmap) {
+			if (hue) {
+				bitmap = Bitmap.hueVariant(ImageManager.loadNormalBitmap(url, 0), hue);
+			} else {
+				bitmap = Bitmap.load(url);
+			}
+			ImageManager.cache.add(key, bitmap);
+		}
+		return bitmap;
+	}
+
+	/**
+	 * Loads an image from a folder of img/ and reserves it until the
+	 * reservation is released.
+	 *
+	 * @static
+	 * @method reserveBitmap
+	 * @param {String} folder The folder under img/, such as 'faces'
+	 * @param {String} filename The file name without the extension
+	 * @param {Number} hue The hue offset in 360 degrees
+	 * @param {String} [reservationId] The id to release the reservation with
+	 * @return {Bitmap} The bitmap
+	 */
+	static reserveBitmap(folder, filename, hue, reservationId) {
+		var bitmap = ImageManager.loadBitmap(folder, filename, hue);
+		if (filename) {
+			var url = ImageManager.path(folder, filename);
+			hue = ImageManager._normalizeHue(hue);
+			reservationId = reservationId || ImageManager._defaultReservationId;
+			ImageManager.cache.reserve(ImageManager.cacheKey(url, hue), null, reservationId);
+			if (hue) {
+				ImageManager.cache.reserve(ImageManager.cacheKey(url, 0), null, reservationId);
+			}
+		}
+		return bitmap;
+	}
+
+	/**
+	 * Releases all the reservations made with an id.
+	 *
+	 * @static
+	 * @method releaseReservation
+	 * @param {String} [reservationId] The id of the reservations
+	 */
+	static releaseReservation(reservationId) {
+		ImageManager.cache.releaseReservation(reservationId || ImageManager._defaultReservationId);
+	}
+
+	/**
+	 * Gets the url of an image in a folder of img/.
+	 *
+	 * @static
+	 * @method path
+	 * @param {String} folder The folder under img/
+	 * @param {String} filename The file name without the extension
+	 * @return {String} The url
+	 */
+	static path(folder, filename) {
+		return 'img/' + folder + '/' + encodeURIComponent(filename) + '.png';
+	}
+
+	/**
+	 * Gets the cache key of an image.
+	 *
+	 * @static
+	 * @method cacheKey
+	 * @param {String} url The url of the image
+	 * @param {Number} hue The hue offset in 360 degrees
+	 * @return {String} The key
+	 */
+	static cacheKey(url, hue) {
+		return url + ':' + (hue || 0);
+	}
+
+	/**
+	 * Checks whether all the cached images have loaded. Throws an error
+	 * naming the images that failed.
+	 *
+	 * @static
+	 * @method isReady
+	 * @return {Boolean} True if nothing is loading any more
+	 */
+	static isReady() {
+		return ImageManager.cache.isReady();
+	}
+
+	/**
+	 * Removes all the images from the cache.
+	 *
+	 * @static
+	 * @method clear
+	 */
+	static clear() {
+		ImageManager.cache.clear();
+	}
+
+	/**
+	 * Checks whether a character image is a single character, marked by a
+	 * '!' in its name, which is drawn without the 6 pixel offset.
+	 *
+	 * @static
+	 * @method isObjectCharacter
+	 * @param {String} filename The file name of the character image
+	 * @return {Boolean} True for an object character
+	 */
+	static isObjectCharacter(filename) {
+		var sign = filename.match(/^[\!\$]+/);
+		return !!sign && sign[0].indexOf('!') >= 0;
+	}
+
+	/**
+	 * Checks whether a character image holds one character instead of
+	 * eight, marked by a '$' in its name.
+	 *
+	 * @static
+	 * @method isBigCharacter
+	 * @param {String} filename The file name of the character image
+	 * @return {Boolean} True for a big character
+	 */
+	static isBigCharacter(filename) {
+		var sign = filename.match(/^[\!\$]+/);
+		return !!sign && sign[0].indexOf('$') >= 0;
+	}
+
+	/**
+	 * @static
+	 * @method _normalizeHue
+	 * @private
+	 */
+	static _normalizeHue(hue) {
+		return (((hue || 0) % 360) + 360) % 360;
+	}
+}
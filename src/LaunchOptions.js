@@ -0,0 +1,300 @@
+import Utils from './Utils';
+
+/**
+ * The static class that reads the options the game was launched with.
+ *
+ * Options come from the query string (`?renderer=canvas&showfps`) and,
+ * under NW.js, from the command line (`--renderer=canvas --showfps`). The
+ * command line wins when both set the same option. A boolean option may be
+ * given as a bare name. The bare names `canvas` and `webgl` are kept as
+ * shorthands for the renderer option.
+ *
+ * @class LaunchOptions
+ */
+
+export default class LaunchOptions {
+	constructor() {
+		throw new Error('This is a static class');
+	}
+
+	/**
+	 * The options the game understands, keyed by name. Each definition has
+	 * a type ('boolean', 'number', 'string', 'enum' or 'size'), a default
+	 * value and a description.
+	 *
+	 * @static
+	 * @property definitions
+	 * @type Object
+	 * @final
+	 */
+	static definitions = {
+		renderer: {
+			type: 'enum',
+			values: ['auto', 'canvas', 'webgl'],
+			defaultValue: 'auto',
+			description: 'The pixi.js renderer to use.'
+		},
+		showfps: {
+			type: 'boolean',
+			defaultValue: false,
+			description: 'Shows the FPS meter at startup.'
+		},
+		noaudio: {
+			type: 'boolean',
+			defaultValue: false,
+			description: 'Runs the game without Web Audio.'
+		},
+		test: {
+			type: 'boolean',
+			defaultValue: false,
+			description: 'Play test mode, which enables the debug keys.'
+		},
+		btest: {
+			type: 'boolean',
+			defaultValue: false,
+			description: 'Battle test mode.'
+		},
+		etest: {
+			type: 'boolean',
+			defaultValue: false,
+			description: 'Event test mode.'
+		},
+		startMapId: {
+			type: 'number',
+			defaultValue: 0,
+			description: 'The map to start on, instead of the one in System.json.'
+		},
+		startX: {
+			type: 'number',
+			defaultValue: null,
+			description: 'The x coordinate to start at on the start map.'
+		},
+		startY: {
+			type: 'number',
+			defaultValue: null,
+			description: 'The y coordinate to start at on the start map.'
+		},
+		resolution: {
+			type: 'size',
+			defaultValue: null,
+			description: 'The size of the game screen, as WIDTHxHEIGHT.'
+		},
+		logLevel: {
+			type: 'enum',
+			values: ['error', 'warn', 'info', 'debug'],
+			defaultValue: 'warn',
+			description: 'The most verbose kind of message written to the console.'
+		},
+		locale: {
+			type: 'string',
+			defaultValue: null,
+			description: 'The language to start in, such as ja or pt_BR.'
+		}
+	};
+
+	static _options = null;
+	static _unknown = [];
+	static _invalid = [];
+
+	/**
+	 * Reads the options from the query string and the NW.js command line,
+	 * and warns about the ones that are unknown or invalid.
+	 *
+	 * @static
+	 * @method initialize
+	 */
+	static initialize() {
+		var result = LaunchOptions.parse(location.search, LaunchOptions._nwjsArgv());
+		LaunchOptions._options = result.options;
+		LaunchOptions._unknown = result.unknown;
+		LaunchOptions._invalid = result.invalid;
+		if (LaunchOptions.isLogEnabled('warn')) {
+			result.unknown.forEach(name => {
+				console.warn('Unknown launch option: ' + name);
+			});
+			result.invalid.forEach(message => {
+				console.warn('Invalid launch option: ' + message);
+			});
+		}
+	}
+
+	/**
+	 * Parses a query string and a list of command line arguments.
+	 *
+	 * @static
+	 * @method parse
+	 * @param {String} search The query string, with or without the leading '?'
+	 * @param {Array} [argv] The command line arguments
+	 * @return {Object} The options, and the unknown names and invalid values
+	 */
+	static parse(search, argv) {
+		var result = {
+			options: {},
+			unknown: [],
+			invalid: []
+		};
+		Object.keys(LaunchOptions.definitions).forEach(name => {
+			result.options[name] = LaunchOptions.definitions[name].defaultValue;
+		});
+		var query = search.replace(/^\?/, '').split('&');
+		var args = (argv || []).filter(arg => /^--/.test(arg)).map(arg => arg.slice(2));
+		query.concat(args).forEach(token => {
+			if (token) {
+				LaunchOptions._parseToken(token, result);
+			}
+		});
+		return result;
+	}
+
+	/**
+	 * Gets the value of an option.
+	 *
+	 * @static
+	 * @method get
+	 * @param {String} name The name of the option
+	 * @return {Any} The value, or the default if it was not given
+	 */
+	static get(name) {
+		if (!LaunchOptions._options) {
+			LaunchOptions.initialize();
+		}
+		if (!LaunchOptions.definitions.hasOwnProperty(name)) {
+			throw new Error('Unknown launch option: ' + name);
+		}
+		return LaunchOptions._options[name];
+	}
+
+	/**
+	 * Gets the names of the options that were given but are not known.
+	 *
+	 * @static
+	 * @method unknownOptions
+	 * @return {Array} The unknown option names
+	 */
+	static unknownOptions() {
+		if (!LaunchOptions._options) {
+			LaunchOptions.initialize();
+		}
+		return LaunchOptions._unknown.clone();
+	}
+
+	/**
+	 * Gets the messages about option values that could not be parsed.
+	 *
+	 * @static
+	 * @method invalidOptions
+	 * @return {Array} The messages
+	 */
+	static invalidOptions() {
+		if (!LaunchOptions._options) {
+			LaunchOptions.initialize();
+		}
+		return LaunchOptions._invalid.clone();
+	}
+
+	/**
+	 * Checks whether messages of the given level should be written to the
+	 * console under the logLevel option.
+	 *
+	 * @static
+	 * @method isLogEnabled
+	 * @param {String} level 'error', 'warn', 'info' or 'debug'
+	 * @return {Boolean} True if the level is enabled
+	 */
+	static isLogEnabled(level) {
+		var levels = LaunchOptions.definitions.logLevel.values;
+		var current = LaunchOptions._options ? LaunchOptions._options.logLevel : 'warn';
+		return levels.indexOf(level) <= levels.indexOf(current);
+	}
+
+	/**
+	 * @static
+	 * @method _nwjsArgv
+	 * @return {Array}
+	 * @private
+	 */
+	static _nwjsArgv() {
+		if (Utils.isNwjs()) {
+			return window.require('nw.gui').App.argv;
+		}
+		return [];
+	}
+
+	/**
+	 * @static
+	 * @method _findName
+	 * @param {String} key
+	 * @return {String}
+	 * @private
+	 */
+	static _findName(key) {
+		var lowerKey = key.toLowerCase();
+		var names = Object.keys(LaunchOptions.definitions);
+		for (var i = 0; i < names.length; i++) {
+			if (names[i].toLowerCase() === lowerKey) {
+				return names[i];
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * @static
+	 * @method _parseToken
+	 * @param {String} token
+	 * @param {Object} result
+	 * @private
+	 */
+	static _parseToken(token, result) {
+		var index = token.indexOf('=');
+		var key = decodeURIComponent(index >= 0 ? token.slice(0, index) : token);
+		var value = index >= 0 ? decodeURIComponent(token.slice(index + 1)) : null;
+		if (value === null && (key === 'canvas' || key === 'webgl')) {
+			result.options.renderer = key;
+			return;
+		}
+		var name = LaunchOptions._findName(key);
+		if (!name) {
+			result.unknown.push(key);
+			return;
+		}
+		var parsed = LaunchOptions._parseValue(LaunchOptions.definitions[name], value);
+		if (parsed === undefined) {
+			result.invalid.push(name + '=' + value);
+		} else {
+			result.options[name] = parsed;
+		}
+	}
+
+	/**
+	 * @static
+	 * @method _parseValue
+	 * @param {Object} definition
+	 * @param {String} value
+	 * @return {Any} The parsed value, or undefined if it is invalid
+	 * @private
+	 */
+	static _parseValue(definition, value) {
+		switch (definition.type) {
+			case 'boolean':
+				if (value === null || value === 'true' || value === '1') {
+					return true;
+				} else if (value === 'false' || value === '0') {
+					return false;
+				}
+				return undefined;
+			case 'number':
+				var number = Number(value);
+				return value !== null && value !== '' && isFinite(number) ? number : undefined;
+			case 'string':
+				return value !== null && value !== '' ? value : undefined;
+			case 'enum':
+				return definition.values.contains(value) ? value : undefined;
+			case 'size':
+				var match = /^(\d+)x(\d+)$/.exec(value || '');
+				return match ? { width: Number(match[1]), height: Number(match[2]) } : undefined;
+			default:
+				return undefined;
+		}
+	}
+}
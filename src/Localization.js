@@ -0,0 +1,459 @@
+import AssetLoader from './AssetLoader';
+import DataManager from './DataManager';
+import LaunchOptions from './LaunchOptions';
+
+//-----------------------------------------------------------------------------
+/**
+ * The static class that translates the text of the game at runtime.
+ *
+ * The database is written in the locale of System.json (the source locale).
+ * Every other locale has an override file in data/locales, such as
+ * data/locales/ja.json:
+ *
+ *     {
+ *       "fallback": "en",
+ *       "font": "fonts/NotoSansJP-Regular.otf",
+ *       "terms": {
+ *         "basic": { "0": "レベル" },
+ *         "messages": { "actionFailure": "%1には効かなかった！" }
+ *       },
+ *       "system": { "gameTitle": "冒険", "elements": [null, "物理"] },
+ *       "database": {
+ *         "Actors.json": { "1": { "name": "ハロルド" } }
+ *       },
+ *       "messages": { "Welcome to the castle!": "城へようこそ！" }
+ *     }
+ *
+ * Terms, system strings and database fields are found by their key; event
+ * message text is found by the text in the source locale. A text that a
+ * locale does not have comes from the next locale in its fallback chain:
+ * the `fallback` of the file, then the language without the region
+ * ('pt_BR' to 'pt'), and finally the database itself. Text that reaches the
+ * database without being translated is recorded in untranslatedKeys.
+ *
+ * A locale can bring a font for its characters. It is loaded the same way
+ * as GameFont and put in front of it in fontFamily.
+ *
+ * @class Localization
+ */
+//-----------------------------------------------------------------------------
+
+export default class Localization {
+	constructor() {
+		throw new Error('This is a static class');
+	}
+
+	/**
+	 * The database fields that are translated, used by audit.
+	 *
+	 * @static
+	 * @property databaseFields
+	 * @type Array
+	 */
+	static databaseFields = [
+		'name', 'nickname', 'profile', 'description',
+		'message1', 'message2', 'message3', 'message4'
+	];
+
+	/**
+	 * The System.json strings and lists of strings that are translated.
+	 *
+	 * @static
+	 * @property systemFields
+	 * @type Array
+	 */
+	static systemFields = [
+		'gameTitle', 'currencyUnit', 'elements', 'skillTypes',
+		'weaponTypes', 'armorTypes', 'equipTypes'
+	];
+
+	static _locale = null;
+	static _chain = [];
+	static _fonts = [];
+	static _loadedFonts = [];
+	static _loading = false;
+	static _untranslated = {};
+	static _listeners = [];
+
+	/**
+	 * Gets the locale the database is written in.
+	 *
+	 * @static
+	 * @method sourceLocale
+	 * @return {String} The locale of System.json, such as 'en_US'
+	 */
+	static sourceLocale() {
+		return Localization.normalize((window.$dataSystem && $dataSystem.locale) || 'en_US');
+	}
+
+	/**
+	 * Gets the current locale.
+	 *
+	 * @static
+	 * @method locale
+	 * @return {String} The locale
+	 */
+	static locale() {
+		return Localization._locale || Localization.sourceLocale();
+	}
+
+	/**
+	 * Gets the locales that text is looked up in, not counting the source
+	 * locale at the end.
+	 *
+	 * @static
+	 * @method chain
+	 * @return {Array} The locales, current first
+	 */
+	static chain() {
+		return Localization._chain.map(entry => entry.locale);
+	}
+
+	/**
+	 * Switches to another locale. The files of the locale and its fallback
+	 * chain, and its font, are loaded first. If the locale cannot be loaded
+	 * the current one is kept.
+	 *
+	 * @static
+	 * @method setLocale
+	 * @param {String} locale The locale, such as 'ja' or 'pt_BR'
+	 * @return {Promise} Resolves once the locale is in use
+	 */
+	static setLocale(locale) {
+		locale = Localization.normalize(locale);
+		Localization._loading = true;
+		return Localization._loadChain(locale, []).then(chain => {
+			return Localization._loadFonts(chain).then(fonts => {
+				Localization._locale = locale;
+				Localization._chain = chain;
+				Localization._fonts = fonts;
+				Localization._untranslated = {};
+				Localization._loading = false;
+				if (LaunchOptions.isLogEnabled('info')) {
+					console.info('Locale: ' + [locale].concat(Localization._fallbacks(chain)).join(' > '));
+				}
+				Localization._listeners.slice().forEach(listener => listener(locale));
+			});
+		}).catch(error => {
+			Localization._loading = false;
+			console.error('Could not switch to the locale ' + locale + ': ' + error.message);
+			throw error;
+		});
+	}
+
+	/**
+	 * Checks whether no locale is being loaded.
+	 *
+	 * @static
+	 * @method isReady
+	 * @return {Boolean} True if setLocale has finished
+	 */
+	static isReady() {
+		return !Localization._loading;
+	}
+
+	/**
+	 * Adds a function called with the new locale whenever it changes, so
+	 * that the text on screen can be redrawn.
+	 *
+	 * @static
+	 * @method addListener
+	 * @param {Function} listener The function to call
+	 */
+	static addListener(listener) {
+		Localization._listeners.push(listener);
+	}
+
+	/**
+	 * @static
+	 * @method removeListener
+	 * @param {Function} listener The function to remove
+	 */
+	static removeListener(listener) {
+		var index = Localization._listeners.indexOf(listener);
+		if (index >= 0) {
+			Localization._listeners.splice(index, 1);
+		}
+	}
+
+	/**
+	 * Gets a term of System.json.
+	 *
+	 * @static
+	 * @method term
+	 * @param {String} category 'basic', 'commands', 'params' or 'messages'
+	 * @param {Number|String} key The index, or the name of a message
+	 * @return {String} The translated term
+	 */
+	static term(category, key) {
+		var original = $dataSystem.terms[category][key];
+		return Localization._lookup(['terms', category, key], original);
+	}
+
+	/**
+	 * Gets one of the strings of System.json listed in systemFields.
+	 *
+	 * @static
+	 * @method system
+	 * @param {String} field The field, such as 'gameTitle' or 'elements'
+	 * @param {Number} [index] The index, for the fields that are lists
+	 * @return {String} The translated string
+	 */
+	static system(field, index) {
+		if (index === undefined) {
+			return Localization._lookup(['system', field], $dataSystem[field]);
+		}
+		return Localization._lookup(['system', field, index], $dataSystem[field][index]);
+	}
+
+	/**
+	 * Gets a text field of a database record.
+	 *
+	 * @static
+	 * @method databaseText
+	 * @param {String} file The database file, such as 'Actors.json'
+	 * @param {Number} id The record ID
+	 * @param {String} [field='name'] The field
+	 * @return {String} The translated text
+	 */
+	static databaseText(file, id, field) {
+		field = field || 'name';
+		var record = Localization._table(file)[id];
+		return Localization._lookup(['database', file, id, field], record ? record[field] : '');
+	}
+
+	/**
+	 * Gets the translation of a message, such as the text of a Show Text
+	 * command.
+	 *
+	 * @static
+	 * @method message
+	 * @param {String} text The text in the source locale
+	 * @return {String} The translated text
+	 */
+	static message(text) {
+		return Localization._lookup(['messages', text], text);
+	}
+
+	/**
+	 * Gets the font family to draw text with: the fonts of the locale chain,
+	 * then GameFont.
+	 *
+	 * @static
+	 * @method fontFamily
+	 * @return {String} The CSS font family
+	 */
+	static fontFamily() {
+		return Localization._fonts.concat(['GameFont']).join(', ');
+	}
+
+	/**
+	 * Gets the text that was looked up without a translation since the
+	 * locale was set.
+	 *
+	 * @static
+	 * @method untranslatedKeys
+	 * @return {Array} The keys, such as 'terms.basic.0' or
+	 *                 'database.Actors.json.1.name'
+	 */
+	static untranslatedKeys() {
+		return Object.keys(Localization._untranslated).sort();
+	}
+
+	/**
+	 * Lists every term, system string and translatable database field that
+	 * the current locale does not translate. Event messages are not
+	 * included; they are recorded in untranslatedKeys as they are shown.
+	 *
+	 * @static
+	 * @method audit
+	 * @return {Array} The keys, in the same form as untranslatedKeys
+	 */
+	static audit() {
+		var missing = [];
+		var check = (keys, original) => {
+			if (original && Localization._find(keys) === undefined) {
+				missing.push(keys.join('.'));
+			}
+		};
+		if (Localization._chain.length === 0) {
+			return missing;
+		}
+		Object.keys($dataSystem.terms).forEach(category => {
+			var terms = $dataSystem.terms[category];
+			Object.keys(terms).forEach(key => check(['terms', category, key], terms[key]));
+		});
+		Localization.systemFields.forEach(field => {
+			var value = $dataSystem[field];
+			if (Array.isArray(value)) {
+				value.forEach((text, index) => check(['system', field, index], text));
+			} else {
+				check(['system', field], value);
+			}
+		});
+		DataManager.databaseFiles.forEach(entry => {
+			var table = window[entry.name];
+			if (Array.isArray(table)) {
+				table.forEach(record => {
+					if (record) {
+						Localization.databaseFields.forEach(field => {
+							check(['database', entry.src, record.id, field], record[field]);
+						});
+					}
+				});
+			}
+		});
+		return missing;
+	}
+
+	/**
+	 * Converts a locale to the form used in file names ('en-US' to 'en_US').
+	 *
+	 * @static
+	 * @method normalize
+	 * @param {String} locale The locale
+	 * @return {String} The normalized locale
+	 */
+	static normalize(locale) {
+		return String(locale).replace(/-/g, '_');
+	}
+
+	/**
+	 * @static
+	 * @method _lookup
+	 * @param {Array} keys
+	 * @param {String} original
+	 * @return {String}
+	 * @private
+	 */
+	static _lookup(keys, original) {
+		var translated = Localization._find(keys);
+		if (translated !== undefined) {
+			return translated;
+		}
+		if (Localization._chain.length > 0 && original) {
+			var key = keys.join('.');
+			if (!Localization._untranslated[key]) {
+				Localization._untranslated[key] = true;
+				if (LaunchOptions.isLogEnabled('debug')) {
+					console.info('Untranslated in ' + Localization.locale() + ': ' + key);
+				}
+			}
+		}
+		return original;
+	}
+
+	/**
+	 * @static
+	 * @method _find
+	 * @param {Array} keys
+	 * @return {String}
+	 * @private
+	 */
+	static _find(keys) {
+		for (var i = 0; i < Localization._chain.length; i++) {
+			var value = Localization._chain[i].data;
+			for (var j = 0; j < keys.length && value; j++) {
+				value = value[keys[j]];
+			}
+			if (typeof value === 'string') {
+				return value;
+			}
+		}
+		return undefined;
+	}
+
+	/**
+	 * @static
+	 * @method _table
+	 * @param {String} file
+	 * @return {Array}
+	 * @private
+	 */
+	static _table(file) {
+		var entry = DataManager.databaseFiles.filter(e => e.src === file)[0];
+		if (!entry) {
+			throw new Error('Unknown database file: ' + file);
+		}
+		return window[entry.name] || [];
+	}
+
+	/**
+	 * @static
+	 * @method _loadChain
+	 * @param {String} locale
+	 * @param {Array} chain
+	 * @param {Boolean} [optional]
+	 * @return {Promise}
+	 * @private
+	 */
+	static _loadChain(locale, chain, optional) {
+		var visited = chain.some(entry => entry.locale === locale);
+		if (locale === Localization.sourceLocale() || visited) {
+			return Promise.resolve(chain);
+		}
+		return DataManager.fetchDataFile('locales/' + locale + '.json').then(data => {
+			chain.push({ locale: locale, data: data });
+			if (data.fallback) {
+				return Localization._loadChain(Localization.normalize(data.fallback), chain);
+			}
+			var language = locale.split('_')[0];
+			if (language !== locale) {
+				return Localization._loadChain(language, chain, true);
+			}
+			return chain;
+		}, error => {
+			if (optional) {
+				return chain;
+			}
+			throw error;
+		});
+	}
+
+	/**
+	 * @static
+	 * @method _loadFonts
+	 * @param {Array} chain
+	 * @return {Promise}
+	 * @private
+	 */
+	static _loadFonts(chain) {
+		var fonts = chain.filter(entry => entry.data.font).map(entry => {
+			return { name: 'GameFont-' + entry.locale, url: entry.data.font };
+		});
+		var pending = fonts.filter(font => Localization._loadedFonts.indexOf(font.name) < 0);
+		if (pending.length === 0) {
+			return Promise.resolve(fonts.map(font => font.name));
+		}
+		var loader = new AssetLoader({ fonts: pending });
+		loader.load();
+		return new Promise((resolve, reject) => {
+			var poll = () => {
+				if (!loader.isReady()) {
+					setTimeout(poll, 100);
+				} else if (loader.failedAssets().length > 0) {
+					try {
+						loader.checkErrors();
+					} catch (e) {
+						reject(e);
+					}
+				} else {
+					pending.forEach(font => Localization._loadedFonts.push(font.name));
+					resolve(fonts.map(font => font.name));
+				}
+			};
+			poll();
+		});
+	}
+
+	/**
+	 * @static
+	 * @method _fallbacks
+	 * @param {Array} chain
+	 * @return {Array}
+	 * @private
+	 */
+	static _fallbacks(chain) {
+		return chain.slice(1).map(entry => entry.locale).concat([Localization.sourceLocale()]);
+	}
+}
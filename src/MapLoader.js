@@ -0,0 +1,253 @@
+import DataManager from './DataManager';
+import MapTree from './MapTree';
+
+//-----------------------------------------------------------------------------
+/**
+ * The static class that loads map files by ID and keeps the most recently
+ * used ones in memory.
+ *
+ * After a map has been loaded, the maps the player is likely to go to next
+ * are fetched in the background: the destinations of its Transfer Player
+ * commands, then its parent, children and adjacent siblings in MapInfos.
+ *
+ * @class MapLoader
+ */
+//-----------------------------------------------------------------------------
+
+export default class MapLoader {
+	constructor() {
+		throw new Error('This is a static class');
+	}
+
+	/**
+	 * The number of maps kept in memory.
+	 *
+	 * @static
+	 * @property cacheSize
+	 * @type Number
+	 */
+	static cacheSize = 8;
+
+	/**
+	 * The number of neighbouring maps fetched after a map has been loaded.
+	 *
+	 * @static
+	 * @property prefetchLimit
+	 * @type Number
+	 */
+	static prefetchLimit = 4;
+
+	static _requests = {};
+	static _maps = {};
+	static _usage = [];
+
+	/**
+	 * Loads a map, from the cache if it is there.
+	 *
+	 * @static
+	 * @method loadMap
+	 * @param {Number} mapId The map ID
+	 * @param {Object} [options] The load options
+	 * @param {Boolean} [options.prefetch=true] Whether to fetch the
+	 *        neighbouring maps afterwards
+	 * @return {Promise} Resolves with the read-only map data, or rejects
+	 *                   with an error naming the file
+	 */
+	static loadMap(mapId, options) {
+		options = options || {};
+		if (!MapTree.exists(mapId)) {
+			return Promise.reject(new Error('Map ' + mapId + ' is not in MapInfos.json'));
+		}
+		MapLoader._touch(mapId);
+		var request = MapLoader._requests[mapId];
+		if (!request) {
+			request = DataManager.fetchDataFile(MapLoader.filename(mapId)).then(map => {
+				if (MapLoader._requests[mapId] === request) {
+					MapLoader._maps[mapId] = map;
+				}
+				return map;
+			}, error => {
+				if (MapLoader._requests[mapId] === request) {
+					MapLoader.evict(mapId);
+				}
+				throw error;
+			});
+			MapLoader._requests[mapId] = request;
+			MapLoader._trim();
+		}
+		if (options.prefetch !== false) {
+			request.then(map => MapLoader.prefetchNeighbours(mapId, map), () => {});
+		}
+		return request;
+	}
+
+	/**
+	 * Gets the file name of a map.
+	 *
+	 * @static
+	 * @method filename
+	 * @param {Number} mapId The map ID
+	 * @return {String} The file name, such as 'Map001.json'
+	 */
+	static filename(mapId) {
+		var id = String(mapId);
+		while (id.length < 3) {
+			id = '0' + id;
+		}
+		return 'Map' + id + '.json';
+	}
+
+	/**
+	 * Gets a map that has already been loaded.
+	 *
+	 * @static
+	 * @method cachedMap
+	 * @param {Number} mapId The map ID
+	 * @return {Object} The map data, or null if it is not in the cache
+	 */
+	static cachedMap(mapId) {
+		return MapLoader._maps[mapId] || null;
+	}
+
+	/**
+	 * Checks whether a map has been loaded and is still in the cache.
+	 *
+	 * @static
+	 * @method isMapCached
+	 * @param {Number} mapId The map ID
+	 * @return {Boolean} True if the map is in the cache
+	 */
+	static isMapCached(mapId) {
+		return !!MapLoader._maps[mapId];
+	}
+
+	/**
+	 * Gets the maps the player is likely to go to from a map.
+	 *
+	 * @static
+	 * @method neighbours
+	 * @param {Number} mapId The map ID
+	 * @param {Object} map The map data
+	 * @return {Array} The map IDs, most likely first
+	 */
+	static neighbours(mapId, map) {
+		var ids = MapLoader.transferDestinations(map);
+		var parent = MapTree.parent(mapId);
+		if (parent) {
+			ids.push(parent.id);
+		}
+		MapTree.children(mapId).forEach(info => ids.push(info.id));
+		var info = MapTree.info(mapId);
+		if (info) {
+			var siblings = MapTree.children(info.parentId);
+			var index = siblings.indexOf(info);
+			[siblings[index - 1], siblings[index + 1]].forEach(sibling => {
+				if (sibling) {
+					ids.push(sibling.id);
+				}
+			});
+		}
+		return ids.filter((id, index) => {
+			return id !== mapId && ids.indexOf(id) === index && MapTree.exists(id);
+		});
+	}
+
+	/**
+	 * Gets the maps that the Transfer Player commands of a map's events
+	 * send the player to. Transfers that take the map ID from a variable are
+	 * not included.
+	 *
+	 * @static
+	 * @method transferDestinations
+	 * @param {Object} map The map data
+	 * @return {Array} The map IDs
+	 */
+	static transferDestinations(map) {
+		var ids = [];
+		(map.events || []).forEach(event => {
+			if (event) {
+				event.pages.forEach(page => {
+					page.list.forEach(command => {
+						if (command.code === 201 && command.parameters[0] === 0) {
+							ids.push(command.parameters[1]);
+						}
+					});
+				});
+			}
+		});
+		return ids;
+	}
+
+	/**
+	 * Fetches the neighbours of a map that are not in the cache yet, up to
+	 * prefetchLimit of them.
+	 *
+	 * @static
+	 * @method prefetchNeighbours
+	 * @param {Number} mapId The map ID
+	 * @param {Object} map The map data
+	 */
+	static prefetchNeighbours(mapId, map) {
+		MapLoader.neighbours(mapId, map).filter(id => {
+			return !MapLoader._requests[id];
+		}).slice(0, MapLoader.prefetchLimit).forEach(id => {
+			MapLoader.loadMap(id, { prefetch: false }).catch(error => {
+				console.warn('Could not prefetch ' + MapLoader.filename(id) + ': ' + error.message);
+			});
+		});
+	}
+
+	/**
+	 * Removes a map from the cache, so that the next loadMap fetches it
+	 * again.
+	 *
+	 * @static
+	 * @method evict
+	 * @param {Number} mapId The map ID
+	 */
+	static evict(mapId) {
+		delete MapLoader._requests[mapId];
+		delete MapLoader._maps[mapId];
+		var index = MapLoader._usage.indexOf(mapId);
+		if (index >= 0) {
+			MapLoader._usage.splice(index, 1);
+		}
+	}
+
+	/**
+	 * Removes all the maps from the cache.
+	 *
+	 * @static
+	 * @method clearCache
+	 */
+	static clearCache() {
+		MapLoader._requests = {};
+		MapLoader._maps = {};
+		MapLoader._usage = [];
+	}
+
+	/**
+	 * @static
+	 * @method _touch
+	 * @param {Number} mapId
+	 * @private
+	 */
+	static _touch(mapId) {
+		var index = MapLoader._usage.indexOf(mapId);
+		if (index >= 0) {
+			MapLoader._usage.splice(index, 1);
+		}
+		MapLoader._usage.push(mapId);
+	}
+
+	/**
+	 * @static
+	 * @method _trim
+	 * @private
+	 */
+	static _trim() {
+		while (MapLoader._usage.length > MapLoader.cacheSize) {
+			MapLoader.evict(MapLoader._usage[0]);
+		}
+	}
+}
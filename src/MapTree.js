@@ -0,0 +1,171 @@
+//-----------------------------------------------------------------------------
+/**
+ * The static class that walks the map hierarchy described by
+ * MapInfos.json ($dataMapInfos).
+ *
+ * Each map has a parentId, which is 0 for the maps at the top level, and an
+ * order that sorts the maps the same way the editor lists them.
+ *
+ * @class MapTree
+ */
+//-----------------------------------------------------------------------------
+
+export default class MapTree {
+	constructor() {
+		throw new Error('This is a static class');
+	}
+
+	/**
+	 * Gets the MapInfos entry of a map.
+	 *
+	 * @static
+	 * @method info
+	 * @param {Number} mapId The map ID
+	 * @return {Object} The entry, or null if there is no such map
+	 */
+	static info(mapId) {
+		return (mapId > 0 && $dataMapInfos[mapId]) || null;
+	}
+
+	/**
+	 * Checks whether a map is in MapInfos.json.
+	 *
+	 * @static
+	 * @method exists
+	 * @param {Number} mapId The map ID
+	 * @return {Boolean} True if the map exists
+	 */
+	static exists(mapId) {
+		return !!MapTree.info(mapId);
+	}
+
+	/**
+	 * Gets the maps at the top level of the tree.
+	 *
+	 * @static
+	 * @method roots
+	 * @return {Array} The MapInfos entries, in order
+	 */
+	static roots() {
+		return MapTree.children(0);
+	}
+
+	/**
+	 * Gets the maps directly under a map.
+	 *
+	 * @static
+	 * @method children
+	 * @param {Number} mapId The map ID, or 0 for the top level
+	 * @return {Array} The MapInfos entries, in order
+	 */
+	static children(mapId) {
+		return MapTree._infos().filter(info => info.parentId === mapId).sort(MapTree._compare);
+	}
+
+	/**
+	 * Gets the map a map is under.
+	 *
+	 * @static
+	 * @method parent
+	 * @param {Number} mapId The map ID
+	 * @return {Object} The MapInfos entry, or null at the top level
+	 */
+	static parent(mapId) {
+		var info = MapTree.info(mapId);
+		return info ? MapTree.info(info.parentId) : null;
+	}
+
+	/**
+	 * Gets the maps a map is under, from its parent up to the top level.
+	 *
+	 * @static
+	 * @method ancestors
+	 * @param {Number} mapId The map ID
+	 * @return {Array} The MapInfos entries, nearest first
+	 */
+	static ancestors(mapId) {
+		var ancestors = [];
+		var info = MapTree.parent(mapId);
+		while (info && ancestors.indexOf(info) < 0 && info.id !== mapId) {
+			ancestors.push(info);
+			info = MapTree.parent(info.id);
+		}
+		return ancestors;
+	}
+
+	/**
+	 * Gets the other maps under the same parent as a map.
+	 *
+	 * @static
+	 * @method siblings
+	 * @param {Number} mapId The map ID
+	 * @return {Array} The MapInfos entries, in order
+	 */
+	static siblings(mapId) {
+		var info = MapTree.info(mapId);
+		if (!info) {
+			return [];
+		}
+		return MapTree.children(info.parentId).filter(sibling => sibling.id !== mapId);
+	}
+
+	/**
+	 * Gets all the maps under a map, depth first.
+	 *
+	 * @static
+	 * @method descendants
+	 * @param {Number} mapId The map ID, or 0 for the whole tree
+	 * @return {Array} The MapInfos entries, in the order of the editor
+	 */
+	static descendants(mapId) {
+		return MapTree.orderedList(mapId).map(entry => entry.info);
+	}
+
+	/**
+	 * Lists the maps the way the editor shows them, with their depth in
+	 * the tree.
+	 *
+	 * @static
+	 * @method orderedList
+	 * @param {Number} [mapId=0] The map to list the descendants of
+	 * @return {Array} Objects with the MapInfos entry (info) and the depth,
+	 *                 which is 0 for the children of mapId
+	 */
+	static orderedList(mapId) {
+		var list = [];
+		var visited = {};
+		var visit = (parentId, depth) => {
+			MapTree.children(parentId).forEach(info => {
+				if (!visited[info.id]) {
+					visited[info.id] = true;
+					list.push({ info: info, depth: depth });
+					visit(info.id, depth + 1);
+				}
+			});
+		};
+		visit(mapId || 0, 0);
+		return list;
+	}
+
+	/**
+	 * @static
+	 * @method _infos
+	 * @return {Array}
+	 * @private
+	 */
+	static _infos() {
+		return $dataMapInfos.filter(info => !!info);
+	}
+
+	/**
+	 * @static
+	 * @method _compare
+	 * @param {Object} a
+	 * @param {Object} b
+	 * @return {Number}
+	 * @private
+	 */
+	static _compare(a, b) {
+		return a.order - b.order;
+	}
+}
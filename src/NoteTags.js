@@ -0,0 +1,261 @@
+//-----------------------------------------------------------------------------
+/**
+ * The static class that parses the note fields of the database into `meta`
+ * objects.
+ *
+ * Notes may contain single tags and multi-line blocks:
+ *
+ *     <boss>
+ *     <hpBar:large>
+ *     <intro>
+ *     You dare enter my tower?
+ *     </intro>
+ *
+ * which gives `{ boss: true, hpBar: 'large', intro: 'You dare enter my tower?' }`.
+ *
+ * Tags that have not been registered keep the values RPG Maker gives them:
+ * true for a bare tag and a string otherwise. Code that relies on a tag
+ * registers it with a type, a default and an optional validator, and gets
+ * a value of that type in every record the tag applies to:
+ *
+ *     NoteTags.register('maxStack', {
+ *       type: 'number',
+ *       default: 99,
+ *       files: ['Items.json'],
+ *       validate: value => value > 0 ? null : 'must be positive'
+ *     });
+ *
+ * @class NoteTags
+ */
+//-----------------------------------------------------------------------------
+
+export default class NoteTags {
+	constructor() {
+		throw new Error('This is a static class');
+	}
+
+	static _registry = {};
+	static _warnings = [];
+
+	static _blockPattern = /<([^<>:\/\s]+)>([\s\S]*?)<\/\1>/g;
+	static _tagPattern = /<([^<>:\/]+)(:?)([^>]*)>/g;
+
+	/**
+	 * The functions that convert the raw value of a tag to each type. A raw
+	 * value is true for a bare tag and a string otherwise. They throw an
+	 * error when the value cannot be converted.
+	 *
+	 * @static
+	 * @property types
+	 * @type Object
+	 */
+	static types = {
+		string(raw) {
+			return raw === true ? '' : raw;
+		},
+		number(raw) {
+			var value = Number(raw);
+			if (raw === true || raw.trim() === '' || isNaN(value)) {
+				throw new Error('expected a number but got "' + raw + '"');
+			}
+			return value;
+		},
+		boolean(raw) {
+			if (raw === true || /^(true|on|yes)$/i.test(raw)) {
+				return true;
+			} else if (/^(false|off|no)$/i.test(raw)) {
+				return false;
+			}
+			throw new Error('expected true or false but got "' + raw + '"');
+		},
+		list(raw) {
+			if (raw === true) {
+				return [];
+			}
+			return raw.split(',').map(item => item.trim()).filter(item => item !== '');
+		},
+		json(raw) {
+			try {
+				return JSON.parse(raw);
+			} catch (e) {
+				throw new Error('expected JSON but got "' + raw + '"');
+			}
+		}
+	};
+
+	/**
+	 * Declares a tag that the game expects.
+	 *
+	 * @static
+	 * @method register
+	 * @param {String} name The name of the tag
+	 * @param {Object} [options] The options of the tag
+	 * @param {String|Function} [options.type] One of the keys of types, or a
+	 *        function that converts the raw value
+	 * @param {Any} [options.default] The value used when the tag is absent
+	 *        or invalid
+	 * @param {Array} [options.files] The database files the tag applies to,
+	 *        such as 'Actors.json'; all of them by default
+	 * @param {Function} [options.validate] Called with the value and the
+	 *        record; returns a warning message, or null if the value is fine
+	 */
+	static register(name, options) {
+		options = options || {};
+		var type = options.type || 'string';
+		if (typeof type !== 'function' && !NoteTags.types[type]) {
+			throw new Error('Unknown note tag type: ' + type);
+		}
+		NoteTags._registry[name] = {
+			name: name,
+			type: type,
+			default: options.default,
+			files: options.files || null,
+			validate: options.validate || null
+		};
+	}
+
+	/**
+	 * Removes a tag from the registry.
+	 *
+	 * @static
+	 * @method unregister
+	 * @param {String} name The name of the tag
+	 */
+	static unregister(name) {
+		delete NoteTags._registry[name];
+	}
+
+	/**
+	 * Gets the declaration of a registered tag.
+	 *
+	 * @static
+	 * @method definition
+	 * @param {String} name The name of the tag
+	 * @return {Object} The declaration, or null if the tag is not registered
+	 */
+	static definition(name) {
+		return NoteTags._registry[name] || null;
+	}
+
+	/**
+	 * Parses a note into the raw values of its tags.
+	 *
+	 * @static
+	 * @method parse
+	 * @param {String} note The note
+	 * @return {Object} The raw value of each tag
+	 */
+	static parse(note) {
+		var meta = {};
+		var rest = (note || '').replace(NoteTags._blockPattern, (match, name, body) => {
+			meta[name] = body.replace(/^\r?\n/, '').replace(/\r?\n$/, '');
+			return '';
+		});
+		rest.replace(NoteTags._tagPattern, (match, name, colon, value) => {
+			meta[name] = colon ? value : true;
+			return '';
+		});
+		return meta;
+	}
+
+	/**
+	 * Sets the `meta` property of a record from its note. Registered tags
+	 * are converted, defaulted and validated; problems are logged as
+	 * warnings and kept in warnings().
+	 *
+	 * @static
+	 * @method extract
+	 * @param {Object} record The record, which has a `note` field
+	 * @param {String} [file] The file the record comes from, for the files
+	 *        option and the warnings
+	 */
+	static extract(record, file) {
+		var meta = NoteTags.parse(record.note);
+		Object.keys(NoteTags._registry).forEach(name => {
+			var tag = NoteTags._registry[name];
+			if (tag.files && file && tag.files.indexOf(file.replace(/^Test_/, '')) < 0) {
+				return;
+			}
+			if (!meta.hasOwnProperty(name)) {
+				if (tag.default !== undefined) {
+					meta[name] = tag.default;
+				}
+				return;
+			}
+			try {
+				var convert = typeof tag.type === 'function' ? tag.type : NoteTags.types[tag.type];
+				meta[name] = convert(meta[name]);
+				var warning = tag.validate ? tag.validate(meta[name], record) : null;
+				if (warning) {
+					NoteTags._warn(file, record, name, warning);
+				}
+			} catch (e) {
+				NoteTags._warn(file, record, name, e.message);
+				if (tag.default !== undefined) {
+					meta[name] = tag.default;
+				} else {
+					delete meta[name];
+				}
+			}
+		});
+		record.meta = meta;
+	}
+
+	/**
+	 * Sets the `meta` property of every record in a database file that has
+	 * a note.
+	 *
+	 * @static
+	 * @method extractAll
+	 * @param {Array|Object} data The contents of the file
+	 * @param {String} [file] The file name
+	 */
+	static extractAll(data, file) {
+		var records = Array.isArray(data) ? data : [data];
+		records.forEach(record => {
+			if (record && typeof record.note === 'string') {
+				NoteTags.extract(record, file);
+			}
+		});
+	}
+
+	/**
+	 * Gets the warnings reported since the last clearWarnings.
+	 *
+	 * @static
+	 * @method warnings
+	 * @return {Array} The warnings, each with the file, id, tag and message
+	 */
+	static warnings() {
+		return NoteTags._warnings.slice();
+	}
+
+	/**
+	 * @static
+	 * @method clearWarnings
+	 */
+	static clearWarnings() {
+		NoteTags._warnings = [];
+	}
+
+	/**
+	 * @static
+	 * @method _warn
+	 * @param {String} file
+	 * @param {Object} record
+	 * @param {String} tag
+	 * @param {String} message
+	 * @private
+	 */
+	static _warn(file, record, tag, message) {
+		var warning = {
+			file: file || null,
+			id: record.id !== undefined ? record.id : null,
+			tag: tag,
+			message: message
+		};
+		NoteTags._warnings.push(warning);
+		var location = [warning.file, warning.id !== null ? 'id ' + warning.id : null];
+		console.warn(location.filter(part => part).join(', ') + ': <' + tag + '> ' + message);
+	}
+}
@@ -0,0 +1,346 @@
+import AudioManager from './AudioManager';
+import Graphics from './Graphics';
+import Input from './core/Input';
+import SceneManager from './SceneManager';
+
+//-----------------------------------------------------------------------------
+/**
+ * The static class that loads the plugins.
+ *
+ * The plugin list (src/plugins/plugins.json) has the same entries as the
+ * $plugins of RPG Maker MV, in load order:
+ *
+ *     [
+ *       { "name": "BattleHud", "status": true, "description": "",
+ *         "parameters": { "Max Rows": "4", "Show TP": "true" } }
+ *     ]
+ *
+ * Each plugin is a module in src/plugins with the same name. Its default
+ * export is called with the parsed parameters and the hook functions, and
+ * it may export the names of the plugins it depends on:
+ *
+ *     export const dependencies = ['CoreEngine'];
+ *
+ *     export default function install(params, hooks) {
+ *       hooks.after('SceneManager', 'onSceneStart', () => { ... });
+ *     }
+ *
+ * A plugin that cannot be loaded, fails to install or misses a dependency
+ * is skipped, and the problem is reported by checkErrors when the game
+ * boots. The hooks that a plugin set up before its install failed are
+ * removed again.
+ *
+ * @class PluginManager
+ */
+//-----------------------------------------------------------------------------
+
+export default class PluginManager {
+	constructor() {
+		throw new Error('This is a static class');
+	}
+
+	static _loaded = [];
+	static _parameters = {};
+	static _errors = [];
+	static _hookTargets = null;
+
+	/**
+	 * Gets the objects whose methods plugins can hook, by name.
+	 *
+	 * @static
+	 * @method hookTargets
+	 * @return {Object} The hook targets
+	 */
+	static hookTargets() {
+		if (!PluginManager._hookTargets) {
+			PluginManager._hookTargets = {
+				SceneManager: SceneManager,
+				Graphics: Graphics,
+				AudioManager: AudioManager,
+				Input: Input
+			};
+		}
+		return PluginManager._hookTargets;
+	}
+
+	/**
+	 * Lets plugins hook the methods of another object.
+	 *
+	 * @static
+	 * @method addHookTarget
+	 * @param {String} name The name plugins refer to the object by
+	 * @param {Object} target The object
+	 */
+	static addHookTarget(name, target) {
+		PluginManager.hookTargets()[name] = target;
+	}
+
+	/**
+	 * Loads the enabled plugins of a plugin list, in order.
+	 *
+	 * @static
+	 * @method setup
+	 * @param {Array} plugins The plugin list
+	 * @param {Function} resolve Gets the module of a plugin from its name
+	 */
+	static setup(plugins, resolve) {
+		window.$plugins = plugins;
+		plugins.forEach(plugin => {
+			if (plugin.status && PluginManager._loaded.indexOf(plugin.name) < 0) {
+				PluginManager.loadPlugin(plugin, resolve);
+			}
+		});
+	}
+
+	/**
+	 * Loads and installs one plugin.
+	 *
+	 * @static
+	 * @method loadPlugin
+	 * @param {Object} plugin The entry of the plugin list
+	 * @param {Function} resolve Gets the module of a plugin from its name
+	 * @return {Boolean} True if the plugin has been installed
+	 */
+	static loadPlugin(plugin, resolve) {
+		var name = plugin.name;
+		var module;
+		try {
+			module = resolve(name);
+		} catch (e) {
+			PluginManager._addError(name, 'could not be loaded (' + e.message + ')');
+			return false;
+		}
+		if (!module) {
+			PluginManager._addError(name, 'could not be loaded (the module is missing or empty)');
+			return false;
+		}
+		var install = module.__esModule ? module.default : module;
+		if (typeof install !== 'function') {
+			PluginManager._addError(name, 'could not be loaded (the module has no default export to install it)');
+			return false;
+		}
+		var missing = (module.dependencies || []).filter(dependency => {
+			return !PluginManager.isLoaded(dependency);
+		});
+		if (missing.length > 0) {
+			PluginManager._addError(name, 'requires ' + missing.join(', ') +
+				', which must be enabled and listed before it');
+			return false;
+		}
+		PluginManager.setParameters(name, plugin.parameters || {});
+		var wraps = [];
+		try {
+			install(PluginManager.parameters(name), PluginManager._makeHooks(wraps));
+		} catch (e) {
+			console.error(e);
+			PluginManager._unwrap(wraps);
+			PluginManager._addError(name, 'failed to install (' + e.message + ')');
+			return false;
+		}
+		PluginManager._loaded.push(name);
+		return true;
+	}
+
+	/**
+	 * Checks whether a plugin has been installed.
+	 *
+	 * @static
+	 * @method isLoaded
+	 * @param {String} name The name of the plugin
+	 * @return {Boolean} True if the plugin is loaded
+	 */
+	static isLoaded(name) {
+		return PluginManager._loaded.indexOf(name) >= 0;
+	}
+
+	/**
+	 * Gets the plugins that have been installed.
+	 *
+	 * @static
+	 * @method loadedPlugins
+	 * @return {Array} The names, in load order
+	 */
+	static loadedPlugins() {
+		return PluginManager._loaded.slice();
+	}
+
+	/**
+	 * Stores the parameters of a plugin.
+	 *
+	 * @static
+	 * @method setParameters
+	 * @param {String} name The name of the plugin
+	 * @param {Object} parameters The parameters as strings, like in the
+	 *        plugin list
+	 */
+	static setParameters(name, parameters) {
+		PluginManager._parameters[name.toLowerCase()] = parameters;
+	}
+
+	/**
+	 * Gets the parameters of a plugin as the strings of the plugin list.
+	 *
+	 * @static
+	 * @method rawParameters
+	 * @param {String} name The name of the plugin
+	 * @return {Object} The parameters
+	 */
+	static rawParameters(name) {
+		return PluginManager._parameters[name.toLowerCase()] || {};
+	}
+
+	/**
+	 * Gets the parameters of a plugin with their values parsed: numbers,
+	 * true and false, and the JSON that the editor writes for lists and
+	 * structures.
+	 *
+	 * @static
+	 * @method parameters
+	 * @param {String} name The name of the plugin
+	 * @return {Object} The parsed parameters
+	 */
+	static parameters(name) {
+		var raw = PluginManager.rawParameters(name);
+		var parameters = {};
+		Object.keys(raw).forEach(key => {
+			parameters[key] = PluginManager.parseValue(raw[key]);
+		});
+		return parameters;
+	}
+
+	/**
+	 * Parses the value of a parameter. The lists and structures of the
+	 * editor hold their values as strings too, so they are parsed again.
+	 *
+	 * @static
+	 * @method parseValue
+	 * @param {String} value The value as a string
+	 * @return {Any} The parsed value
+	 */
+	static parseValue(value) {
+		if (Array.isArray(value)) {
+			return value.map(PluginManager.parseValue);
+		} else if (value !== null && typeof value === 'object') {
+			var object = {};
+			Object.keys(value).forEach(key => {
+				object[key] = PluginManager.parseValue(value[key]);
+			});
+			return object;
+		} else if (typeof value !== 'string') {
+			return value;
+		}
+		var text = value.trim();
+		if (/^-?\d+(\.\d+)?$/.test(text)) {
+			return Number(text);
+		} else if (text === 'true' || text === 'false') {
+			return text === 'true';
+		} else if (/^[\[{"]/.test(text)) {
+			try {
+				return PluginManager.parseValue(JSON.parse(text));
+			} catch (e) {
+				return value;
+			}
+		} else {
+			return value;
+		}
+	}
+
+	/**
+	 * Throws an error listing every plugin that could not be loaded.
+	 *
+	 * @static
+	 * @method checkErrors
+	 */
+	static checkErrors() {
+		if (PluginManager._errors.length > 0) {
+			throw new Error('Some plugins could not be loaded:\n' + PluginManager._errors.join('\n'));
+		}
+	}
+
+	/**
+	 * Gets the problems found while loading the plugins.
+	 *
+	 * @static
+	 * @method errors
+	 * @return {Array} The messages
+	 */
+	static errors() {
+		return PluginManager._errors.slice();
+	}
+
+	/**
+	 * @static
+	 * @method _makeHooks
+	 * @param {Array} wraps Gets the target, method and original function of
+	 *        every method the hooks replace
+	 * @return {Object}
+	 * @private
+	 */
+	static _makeHooks(wraps) {
+		var wrap = (targetName, method, makeWrapper) => {
+			var target = PluginManager.hookTargets()[targetName];
+			if (!target) {
+				throw new Error('Cannot hook ' + targetName + ', which is not a hook target');
+			}
+			var original = target[method];
+			if (typeof original !== 'function') {
+				throw new Error('Cannot hook ' + targetName + '.' + method + ', which is not a function');
+			}
+			target[method] = makeWrapper(original);
+			wraps.push({ target: target, method: method, original: original });
+		};
+		return {
+			// calls the hook before the method, with the same arguments
+			before(targetName, method, hook) {
+				wrap(targetName, method, original => function() {
+					hook.apply(this, arguments);
+					return original.apply(this, arguments);
+				});
+			},
+			// calls the hook after the method, with its result and the arguments
+			after(targetName, method, hook) {
+				wrap(targetName, method, original => function() {
+					var result = original.apply(this, arguments);
+					hook.apply(this, [result].concat(Array.prototype.slice.call(arguments)));
+					return result;
+				});
+			},
+			// calls the hook instead of the method, with the original method
+			// bound to the target followed by the arguments
+			around(targetName, method, hook) {
+				wrap(targetName, method, original => function() {
+					var args = Array.prototype.slice.call(arguments);
+					return hook.apply(this, [original.bind(this)].concat(args));
+				});
+			}
+		};
+	}
+
+	/**
+	 * Puts back the methods that the hooks of a plugin replaced, newest
+	 * first.
+	 *
+	 * @static
+	 * @method _unwrap
+	 * @param {Array} wraps The wraps collected by _makeHooks
+	 * @private
+	 */
+	static _unwrap(wraps) {
+		wraps.slice().reverse().forEach(wrap => {
+			wrap.target[wrap.method] = wrap.original;
+		});
+	}
+
+	/**
+	 * @static
+	 * @method _addError
+	 * @param {String} name
+	 * @param {String} message
+	 * @private
+	 */
+	static _addError(name, message) {
+		var error = 'Plugin ' + name + ' ' + message;
+		console.error(error);
+		PluginManager._errors.push(error);
+	}
+}
@@ -1,9 +1,19 @@
 import React from 'react';
 import ReactPIXI from 'react-pixi';
 import AudioManager from './AudioManager';
+import Bitmap from './core/Bitmap';
 import Input from './core/Input';
+import GameState from './GameState';
 import Graphics from './Graphics';
+import ImageManager from './ImageManager';
+import LaunchOptions from './LaunchOptions';
+import MapTree from './MapTree';
+import PluginManager from './PluginManager';
+import StorageManager from './StorageManager';
 import Utils from './Utils';
+import SceneTransition from './SceneTransition';
+import SceneBase from './scenes/SceneBase';
+import SceneThanks from './scenes/SceneThanks';
 
 //-----------------------------------------------------------------------------
 // SceneManager
@@ -14,20 +24,30 @@ import Utils from './Utils';
 export default class SceneManager {
 
 	static _scene = null;
+	static _sceneContainer = null;
 	static _nextScene = null;
+	static _transition = null;
 	static _stack = [];
+	static _maxSuspendedScenes = 2;
 	static _stopped = false;
 	static _sceneStarted = false;
 	static _exiting = false;
+	static _exitPending = false;
+	static _exitScene = SceneThanks;
+	static _beforeExitHooks = [];
 	static _previousClass = null;
+	static _titleScene = null;
 	static _backgroundBitmap = null;
 	static _screenWidth = 816;
 	static _screenHeight = 624;
 	static _boxWidth = 816;
 	static _boxHeight = 624;
 	static _deltaTime = 1.0 / 60.0;
-	static _currentTime = performance.now();
+	static _currentTime = 0;
 	static _accumulator = 0.0;
+	static _ticks = 0;
+	static _clock = null;
+	static _headless = false;
 
 	constructor() {
 		throw new Error('This is a static class');
@@ -38,36 +58,123 @@ export default class SceneManager {
 	 * @private
 	 */
 	static _getTimeInMs() {
-		return performance.now();
+		return SceneManager._clock ? SceneManager._clock() : performance.now();
+	}
+
+	/**
+	 * Replaces the clock that the loop measures elapsed time with.
+	 *
+	 * @static
+	 * @method setClock
+	 * @param {Function} clock A function returning the current time in ms,
+	 *                   or null for performance.now
+	 */
+	static setClock(clock) {
+		SceneManager._clock = clock;
+		SceneManager._currentTime = SceneManager._getTimeInMs();
 	}
 
 	static run(sceneClass) {
 		try {
+			if (!SceneManager._titleScene) {
+				SceneManager.setTitleScene(sceneClass);
+			}
 			SceneManager.initialize();
 			SceneManager.goto(sceneClass);
-			// SceneManager.requestUpdate();
+			SceneManager._currentTime = SceneManager._getTimeInMs();
+			SceneManager.requestUpdate();
 		} catch (e) {
 			SceneManager.catchException(e);
+			if (SceneManager._headless) {
+				throw e;
+			}
+		}
+	}
+
+	/**
+	 * Starts the game without the browser animation loop, for scripts and
+	 * tests running under jsdom. The game only advances when step is called,
+	 * and the canvas renderer is used. An error while starting is thrown to
+	 * the caller, as it is by step.
+	 *
+	 * @static
+	 * @method runHeadless
+	 * @param {Function} sceneClass The first scene
+	 * @param {Object} [options] The headless options
+	 * @param {Function} [options.clock] The clock passed to setClock
+	 */
+	static runHeadless(sceneClass, options) {
+		options = options || {};
+		SceneManager._headless = true;
+		if (options.clock) {
+			SceneManager.setClock(options.clock);
+		}
+		SceneManager.run(sceneClass);
+	}
+
+	/**
+	 * Checks whether the game has been started by runHeadless.
+	 *
+	 * @static
+	 * @method isHeadless
+	 * @return {Boolean} True in headless mode
+	 */
+	static isHeadless() {
+		return SceneManager._headless;
+	}
+
+	/**
+	 * Advances the game by the given number of fixed steps. Each step
+	 * updates the input, changes and updates the scene and renders it, the
+	 * same as one tick of the animation loop. Exceptions stop the game and
+	 * are thrown to the caller.
+	 *
+	 * @static
+	 * @method step
+	 * @param {Number} [frames] The number of steps, 1 by default
+	 */
+	static step(frames) {
+		frames = frames === undefined ? 1 : frames;
+		for (var i = 0; i < frames && !SceneManager._stopped; i++) {
+			try {
+				SceneManager.tickStart();
+				SceneManager.updateFrame();
+				SceneManager.renderScene();
+				SceneManager.tickEnd();
+			} catch (e) {
+				SceneManager.catchException(e);
+				throw e;
+			}
 		}
 	}
 
 	static initialize() {
+		LaunchOptions.initialize();
 		SceneManager.initGraphics();
-		SceneManager.checkFileAccess();
+		if (!SceneManager._headless) {
+			SceneManager.checkFileAccess();
+		}
 		// SceneManager.initAudio();
 		SceneManager.initInput();
-		// SceneManager.initNwjs();
-		// SceneManager.checkPluginErrors();
+		SceneManager.initNwjs();
+		SceneManager.initStorage();
+		SceneManager.initExitHooks();
+		SceneManager.checkPluginErrors();
 		SceneManager.setupErrorHandlers();
 	}
 
 	static initGraphics() {
 		var type = SceneManager.preferableRendererType();
+		var resolution = LaunchOptions.get('resolution');
+		if (resolution) {
+			SceneManager._screenWidth = SceneManager._boxWidth = resolution.width;
+			SceneManager._screenHeight = SceneManager._boxHeight = resolution.height;
+		}
 		Graphics.initialize(SceneManager._screenWidth, SceneManager._screenHeight, type);
 		Graphics.boxWidth = SceneManager._boxWidth;
 		Graphics.boxHeight = SceneManager._boxHeight;
 		Graphics.setLoadingImage('img/system/Loading.png');
-		if (Utils.isOptionValid('showfps')) {
+		if (LaunchOptions.get('showfps')) {
 			Graphics.showFps();
 		}
 		if (type === 'webgl') {
@@ -76,10 +183,11 @@ export default class SceneManager {
 	}
 
 	static preferableRendererType() {
-		if (Utils.isOptionValid('canvas')) {
+		var renderer = LaunchOptions.get('renderer');
+		if (SceneManager._headless) {
 			return 'canvas';
-		} else if (Utils.isOptionValid('webgl')) {
-			return 'webgl';
+		} else if (renderer !== 'auto') {
+			return renderer;
 		} else if (SceneManager.shouldUseCanvasRenderer()) {
 			return 'canvas';
 		} else {
@@ -104,7 +212,7 @@ export default class SceneManager {
 	}
 
 	static initAudio() {
-		var noAudio = Utils.isOptionValid('noaudio');
+		var noAudio = LaunchOptions.get('noaudio');
 		if (!WebAudio.initialize(noAudio) && !noAudio) {
 			throw new Error('Your browser does not support Web Audio API.');
 		}
@@ -119,7 +227,7 @@ export default class SceneManager {
 		if (Utils.isNwjs()) {
 			var gui = window.require('nw.gui');
 			var win = gui.Window.get();
-			if (process.platform === 'darwin' && !win.menu) {
+			if (window.process.platform === 'darwin' && !win.menu) {
 				var menubar = new gui.Menu({
 					type: 'menubar'
 				});
@@ -130,9 +238,88 @@ export default class SceneManager {
 				menubar.createMacBuiltin('Game', option);
 				win.menu = menubar;
 			}
+			win.on('close', () => {
+				SceneManager.exit();
+			});
 		}
 	}
 
+	/**
+	 * Registers the game state, the party and the BGM and BGS that are
+	 * playing as parts of the save contents. The name of the map from
+	 * MapInfos.json and the faces of the party go to the header for the
+	 * file list. The party is left out until a game has started, and
+	 * DataManager.loadGame creates it before a savefile is loaded into it.
+	 *
+	 * @static
+	 * @method initStorage
+	 */
+	static initStorage() {
+		StorageManager.registerContents('state', {
+			save() {
+				return GameState.getState();
+			},
+			load(state) {
+				GameState.replaceState(state);
+			},
+			header(state) {
+				var info = MapTree.info(state.mapId);
+				return { mapName: info ? info.name : '' };
+			}
+		});
+		StorageManager.registerContents('party', {
+			save() {
+				var gameParty = SceneManager._gameParty();
+				return gameParty ? gameParty.save() : null;
+			},
+			load(party) {
+				var gameParty = SceneManager._gameParty();
+				if (gameParty && party) {
+					gameParty.restore(party);
+				}
+			},
+			header() {
+				var gameParty = SceneManager._gameParty();
+				return { faces: gameParty ? gameParty.faces() : [] };
+			}
+		});
+		StorageManager.registerContents('audio', {
+			save() {
+				return {
+					bgm: AudioManager.saveBgm(),
+					bgs: AudioManager.saveBgs()
+				};
+			},
+			load(audio) {
+				AudioManager.replayBgm(audio.bgm);
+				AudioManager.replayBgs(audio.bgs);
+			}
+		});
+	}
+
+	/**
+	 * Gets the party of the game that is being played.
+	 *
+	 * @static
+	 * @method _gameParty
+	 * @return {GameParty} $gameParty, or null before a game has started
+	 * @private
+	 */
+	static _gameParty() {
+		return typeof $gameParty !== 'undefined' ? $gameParty : null;
+	}
+
+	/**
+	 * Registers the default hooks that run before the game exits.
+	 *
+	 * @static
+	 * @method initExitHooks
+	 */
+	static initExitHooks() {
+		SceneManager.addBeforeExitHook(SceneManager.autosaveBeforeExit);
+		SceneManager.addBeforeExitHook(SceneManager.fadeOutAudioBeforeExit);
+	}
+
 	static checkPluginErrors() {
 		PluginManager.checkErrors();
 	}
@@ -143,7 +330,7 @@ export default class SceneManager {
 	}
 
 	static requestUpdate() {
-		if (!SceneManager._stopped) {
+		if (!SceneManager._stopped && !SceneManager._headless) {
 			requestAnimationFrame(SceneManager.update.bind(SceneManager));
 		}
 	}
@@ -151,9 +338,6 @@ export default class SceneManager {
 	static update() {
 		try {
 			SceneManager.tickStart();
-			if (Utils.isMobileSafari()) {
-				SceneManager.updateInputData();
-			}
 			SceneManager.updateMain();
 			SceneManager.tickEnd();
 		} catch (e) {
@@ -161,8 +345,114 @@ export default class SceneManager {
 		}
 	}
 
+	/**
+	 * Closes the window under NW.js. Browsers do not let a page close its
+	 * tab, so the exit scene is shown instead.
+	 *
+	 * @static
+	 * @method terminate
+	 */
 	static terminate() {
-		window.close();
+		if (Utils.isNwjs()) {
+			window.require('nw.gui').Window.get().close(true);
+		} else {
+			SceneManager._exiting = false;
+			SceneManager.clearStack();
+			SceneManager.goto(SceneManager._exitScene);
+		}
+	}
+
+	/**
+	 * Sets the scene shown when the game exits in a browser.
+	 *
+	 * @static
+	 * @method setExitScene
+	 * @param {Function} sceneClass The exit scene
+	 */
+	static setExitScene(sceneClass) {
+		SceneManager._exitScene = sceneClass;
+	}
+
+	/**
+	 * Registers a function that runs when the game is about to exit, e.g. to
+	 * autosave or flush the config. Hooks run one after another in the order
+	 * they were added. A hook vetoes the exit by returning false, and delays
+	 * it by returning a promise; a promise resolving to false also vetoes.
+	 * A hook that throws or rejects is logged and does not stop the exit.
+	 *
+	 * @static
+	 * @method addBeforeExitHook
+	 * @param {Function} hook The function to run
+	 */
+	static addBeforeExitHook(hook) {
+		if (!SceneManager._beforeExitHooks.contains(hook)) {
+			SceneManager._beforeExitHooks.push(hook);
+		}
+	}
+
+	/**
+	 * Removes a hook added by addBeforeExitHook.
+	 *
+	 * @static
+	 * @method removeBeforeExitHook
+	 * @param {Function} hook The function to remove
+	 */
+	static removeBeforeExitHook(hook) {
+		var index = SceneManager._beforeExitHooks.indexOf(hook);
+		if (index >= 0) {
+			SceneManager._beforeExitHooks.splice(index, 1);
+		}
+	}
+
+	/**
+	 * Runs the hooks added by addBeforeExitHook.
+	 *
+	 * @static
+	 * @method runBeforeExitHooks
+	 * @return {Promise} A promise resolving to false if a hook vetoed the exit
+	 */
+	static runBeforeExitHooks() {
+		return SceneManager._beforeExitHooks.reduce((promise, hook) => {
+			return promise.then(proceed => {
+				if (!proceed) {
+					return false;
+				}
+				return Promise.resolve().then(hook).then(result => result !== false, e => {
+					console.error(e);
+					return true;
+				});
+			});
+		}, Promise.resolve(true));
+	}
+
+	/**
+	 * Saves the game to the autosave if autosave is enabled. A failed save
+	 * does not stop the exit.
+	 *
+	 * @static
+	 * @method autosaveBeforeExit
+	 */
+	static autosaveBeforeExit() {
+		StorageManager.autosave();
+	}
+
+	/**
+	 * Fades out the BGM and BGS and waits for the fade to end.
+	 *
+	 * @static
+	 * @method fadeOutAudioBeforeExit
+	 * @return {Promise} A promise resolving after the fade
+	 */
+	static fadeOutAudioBeforeExit() {
+		var duration = 1;
+		if (!AudioManager._currentBgm && !AudioManager._currentBgs) {
+			return null;
+		}
+		AudioManager.fadeOutBgm(duration);
+		AudioManager.fadeOutBgs(duration);
+		return new Promise(resolve => {
+			setTimeout(resolve, duration * 1000);
+		});
 	}
 
 	static onError(e) {
@@ -170,7 +460,7 @@ export default class SceneManager {
 		console.error(e.filename, e.lineno);
 		try {
 			SceneManager.stop();
-			Graphics.printError('Error', e.message);
+			SceneManager.showErrorReport(SceneManager.makeErrorReport(e.error || e));
 			AudioManager.stopAll();
 		} catch (e2) {}
 	}
@@ -184,7 +474,7 @@ export default class SceneManager {
 					}
 					break;
 				case 119: // F8
-					if (Utils.isNwjs() && Utils.isOptionValid('test')) {
+					if (Utils.isNwjs() && LaunchOptions.get('test')) {
 						window.require('nw.gui').Window.get().showDevTools();
 					}
 					break;
@@ -194,15 +484,220 @@ export default class SceneManager {
 
 	static catchException(e) {
 		if (e instanceof Error) {
-			Graphics.printError(e.name, e.message);
 			console.error(e.stack);
-		} else {
-			Graphics.printError('UnknownError', e);
 		}
+		SceneManager.showErrorReport(SceneManager.makeErrorReport(e));
 		AudioManager.stopAll();
 		SceneManager.stop();
 	}
 
+	/**
+	 * Collects what is known about an error for the error screen and for
+	 * onErrorReport.
+	 *
+	 * @static
+	 * @method makeErrorReport
+	 * @param {Error|ErrorEvent|String} e The error
+	 * @return {Object} The error report
+	 */
+	static makeErrorReport(e) {
+		var report = {
+			name: 'UnknownError',
+			message: String(e),
+			stack: '',
+			scene: SceneManager._currentSceneName(),
+			input: Input.recentEvents(),
+			plugins: SceneManager._loadedPluginNames(),
+			time: new Date().toISOString()
+		};
+		if (e instanceof Error) {
+			report.name = e.name;
+			report.message = e.message;
+			report.stack = e.stack || '';
+		} else if (e && e.message) {
+			report.name = 'Error';
+			report.message = e.message;
+			report.stack = e.filename ? e.filename + ':' + e.lineno : '';
+		}
+		return report;
+	}
+
+	/**
+	 * Formats an error report as plain text.
+	 *
+	 * @static
+	 * @method formatErrorReport
+	 * @param {Object} report The error report
+	 * @return {String} The text of the report
+	 */
+	static formatErrorReport(report) {
+		var input = report.input.map(event => {
+			return event.type + ' ' + (event.name || event.keyCode);
+		});
+		return [
+			report.name + ': ' + report.message,
+			'Scene: ' + (report.scene || '(none)'),
+			'Time: ' + report.time,
+			'Plugins: ' + (report.plugins.join(', ') || '(none)'),
+			'Recent input: ' + (input.join(', ') || '(none)'),
+			'',
+			report.stack
+		].join('\n');
+	}
+
+	/**
+	 * Shows the error screen and passes the report to onErrorReport.
+	 *
+	 * @static
+	 * @method showErrorReport
+	 * @param {Object} report The error report
+	 */
+	static showErrorReport(report) {
+		Graphics.printErrorReport(report.name, report.message, SceneManager.formatErrorReport(report), [
+			{ label: 'Retry scene', handler: SceneManager.retryScene },
+			{ label: 'Return to title', handler: SceneManager.returnToTitle },
+			{ label: 'Copy report', handler: () => SceneManager.copyErrorReport(report) }
+		]);
+		try {
+			SceneManager.onErrorReport(report);
+		} catch (e) {
+			console.error(e);
+		}
+	}
+
+	/**
+	 * Called with every error report. Does nothing by default; replace it to
+	 * collect crash reports.
+	 *
+	 * @static
+	 * @method onErrorReport
+	 * @param {Object} report The error report
+	 */
+	static onErrorReport(report) {
+	}
+
+	/**
+	 * Recovers from an error by mounting a new instance of the scene in
+	 * which the error occurred.
+	 *
+	 * @static
+	 * @method retryScene
+	 */
+	static retryScene() {
+		var sceneClass = null;
+		if (SceneManager._nextScene) {
+			sceneClass = SceneManager._nextScene.sceneClass;
+		} else if (SceneManager._scene) {
+			sceneClass = SceneManager._scene.constructor;
+		}
+		SceneManager.recover(sceneClass || SceneManager._titleScene);
+	}
+
+	/**
+	 * Recovers from an error by going back to the title scene.
+	 *
+	 * @static
+	 * @method returnToTitle
+	 */
+	static returnToTitle() {
+		SceneManager.clearStack();
+		SceneManager.recover(SceneManager._titleScene);
+	}
+
+	/**
+	 * Copies the text of an error report to the clipboard.
+	 *
+	 * @static
+	 * @method copyErrorReport
+	 * @param {Object} report The error report
+	 */
+	static copyErrorReport(report) {
+		var text = SceneManager.formatErrorReport(report);
+		if (navigator.clipboard && navigator.clipboard.writeText) {
+			navigator.clipboard.writeText(text);
+		} else {
+			var textarea = document.createElement('textarea');
+			textarea.value = text;
+			document.body.appendChild(textarea);
+			textarea.select();
+			document.execCommand('copy');
+			document.body.removeChild(textarea);
+		}
+	}
+
+	/**
+	 * Drops the scene that failed, clears the error screen and restarts the
+	 * game loop with the given scene.
+	 *
+	 * @static
+	 * @method recover
+	 * @param {Function} sceneClass The scene to go to
+	 */
+	static recover(sceneClass) {
+		if (SceneManager._sceneContainer) {
+			SceneManager.unmountScene(SceneManager._sceneContainer);
+		}
+		SceneManager._scene = null;
+		SceneManager._sceneContainer = null;
+		SceneManager._nextScene = null;
+		SceneManager._transition = null;
+		SceneManager._stopped = false;
+		Graphics.clearOverlay();
+		Graphics.clearError();
+		SceneManager.goto(sceneClass);
+		SceneManager._currentTime = SceneManager._getTimeInMs();
+		SceneManager.requestUpdate();
+	}
+
+	/**
+	 * Sets the scene that "Return to title" goes to. It defaults to the
+	 * scene passed to run.
+	 *
+	 * @static
+	 * @method setTitleScene
+	 * @param {Function} sceneClass The title scene
+	 */
+	static setTitleScene(sceneClass) {
+		SceneManager._titleScene = sceneClass;
+	}
+
+	/**
+	 * Gets the scene that "Return to title" and the boot scene go to.
+	 *
+	 * @static
+	 * @method titleScene
+	 * @return {Function} The title scene
+	 */
+	static titleScene() {
+		return SceneManager._titleScene;
+	}
+
+	/**
+	 * @static
+	 * @method _currentSceneName
+	 * @return {String}
+	 * @private
+	 */
+	static _currentSceneName() {
+		var sceneClass = null;
+		if (SceneManager._scene) {
+			sceneClass = SceneManager._scene.constructor;
+		} else if (SceneManager._nextScene) {
+			sceneClass = SceneManager._nextScene.sceneClass;
+		}
+		return sceneClass ? sceneClass.displayName || sceneClass.name : null;
+	}
+
+	/**
+	 * @static
+	 * @method _loadedPluginNames
+	 * @return {Array}
+	 * @private
+	 */
+	static _loadedPluginNames() {
+		return PluginManager.loadedPlugins();
+	}
+
 	static tickStart() {
 		Graphics.tickStart();
 	}
@@ -216,10 +711,17 @@ export default class SceneManager {
 		// TouchInput.update();
 	}
 
+	/**
+	 * Runs the fixed steps that the time since the last animation frame
+	 * makes up for, then renders the scene. Mobile Safari runs one step per
+	 * animation frame instead.
+	 *
+	 * @static
+	 * @method updateMain
+	 */
 	static updateMain() {
 		if (Utils.isMobileSafari()) {
-			SceneManager.changeScene();
-			// SceneManager.updateScene();
+			SceneManager.updateFrame();
 		} else {
 			var newTime = SceneManager._getTimeInMs();
 			var fTime = (newTime - SceneManager._currentTime) / 1000;
@@ -227,9 +729,7 @@ export default class SceneManager {
 			SceneManager._currentTime = newTime;
 			SceneManager._accumulator += fTime;
 			while (SceneManager._accumulator >= SceneManager._deltaTime) {
-				SceneManager.updateInputData();
-				SceneManager.changeScene();
-				// SceneManager.updateScene();
+				SceneManager.updateFrame();
 				SceneManager._accumulator -= SceneManager._deltaTime;
 			}
 		}
@@ -237,18 +737,48 @@ export default class SceneManager {
 		SceneManager.requestUpdate();
 	}
 
+	/**
+	 * Runs one fixed step of the game logic.
+	 *
+	 * @static
+	 * @method updateFrame
+	 */
+	static updateFrame() {
+		SceneManager._ticks++;
+		SceneManager.updateManagers(SceneManager._ticks, SceneManager._deltaTime);
+		SceneManager.updateInputData();
+		SceneManager.changeScene();
+		SceneManager.updateScene();
+		SceneManager.updateTransition();
+	}
+
 	static updateManagers(ticks, delta) {
 		ImageManager.cache.update(ticks, delta);
 	}
 
 	static changeScene() {
 		if (SceneManager.isSceneChanging() && !SceneManager.isCurrentSceneBusy()) {
+			var nextScene = SceneManager._nextScene;
+			var transition = SceneManager._transition;
 			if (SceneManager._scene) {
-				SceneManager._scene.terminate();
+				if (transition && transition.needsSnapshot()) {
+					transition.setSnapshot(SceneManager.snap());
+				}
+				if (SceneManager.isSceneSuspended(SceneManager._scene)) {
+					SceneManager.suspendScene();
+				} else {
+					SceneManager._scene.terminate();
+					SceneManager.unmountScene(SceneManager._sceneContainer);
+				}
 				SceneManager._previousClass = SceneManager._scene.constructor;
 			}
-			SceneManager._scene = SceneManager._nextScene;
-			if (SceneManager._scene) {
+			SceneManager._scene = null;
+			SceneManager._sceneContainer = null;
+			if (nextScene && nextScene.suspended) {
+				SceneManager.resumeScene(nextScene.suspended);
+			} else if (nextScene) {
+				SceneManager._scene = SceneManager.mountScene(nextScene);
+				SceneManager._scene.loadAssets();
 				SceneManager._scene.create();
 				SceneManager._nextScene = null;
 				SceneManager._sceneStarted = false;
@@ -260,25 +790,236 @@ export default class SceneManager {
 		}
 	}
 
+	/**
+	 * Mounts the component of a scene requested by goto into a container of
+	 * its own and returns its instance, with the arguments of
+	 * prepareNextScene already applied.
+	 *
+	 * @static
+	 * @method mountScene
+	 * @param {Object} nextScene The pending scene made by goto
+	 * @return {SceneBase} The mounted scene
+	 */
+	static mountScene(nextScene) {
+		var sceneClass = nextScene.sceneClass;
+		var container = SceneManager.createSceneContainer();
+		var element = React.createElement(sceneClass);
+		var scene = ReactPIXI.render(element, container);
+		SceneManager._sceneContainer = container;
+		if (!(scene instanceof SceneBase)) {
+			var name = sceneClass.displayName || sceneClass.name;
+			throw new Error(name + ' is not a scene. Scene components must extend SceneBase.');
+		}
+		if (nextScene.prepareArgs) {
+			scene.prepare.apply(scene, nextScene.prepareArgs);
+		}
+		SceneManager.attachRenderer(scene);
+		return scene;
+	}
+
+	/**
+	 * Makes the renderer of the scene's stage the one Graphics renders with.
+	 *
+	 * @static
+	 * @method attachRenderer
+	 * @param {SceneBase} scene The scene being shown
+	 */
+	static attachRenderer(scene) {
+		var stage = scene.stage();
+		Graphics.setRenderer(stage ? stage.renderer() : null);
+	}
+
+	/**
+	 * Unmounts the scene component in the given container and removes the
+	 * container from the page.
+	 *
+	 * @static
+	 * @method unmountScene
+	 * @param {HTMLElement} container The container of the scene
+	 */
+	static unmountScene(container) {
+		ReactPIXI.unmountComponentAtNode(container);
+		if (container.parentNode) {
+			container.parentNode.removeChild(container);
+		}
+	}
+
+	/**
+	 * Creates the DOM element that a scene component is mounted into.
+	 *
+	 * @static
+	 * @method createSceneContainer
+	 * @return {HTMLElement} The scene container
+	 */
+	static createSceneContainer() {
+		var container = document.createElement('div');
+		document.getElementById('game').appendChild(container);
+		return container;
+	}
+
+	/**
+	 * Hides the current scene, which has been pushed onto the stack, and
+	 * keeps its component mounted so that pop can resume it.
+	 *
+	 * @static
+	 * @method suspendScene
+	 */
+	static suspendScene() {
+		var entry = SceneManager._findStackEntry(SceneManager._scene);
+		entry.started = SceneManager._sceneStarted;
+		entry.container.style.display = 'none';
+		SceneManager._scene.onSuspend();
+		SceneManager.trimSuspendedScenes();
+	}
+
+	/**
+	 * Shows a suspended scene again and makes it the current scene.
+	 *
+	 * @static
+	 * @method resumeScene
+	 * @param {Object} entry The stack entry of the suspended scene
+	 */
+	static resumeScene(entry) {
+		SceneManager._scene = entry.scene;
+		SceneManager._sceneContainer = entry.container;
+		SceneManager._nextScene = null;
+		SceneManager._sceneStarted = entry.started;
+		entry.container.style.display = '';
+		SceneManager.attachRenderer(entry.scene);
+		SceneManager._scene.onResume();
+	}
+
+	/**
+	 * Terminates the oldest suspended scenes while more than
+	 * _maxSuspendedScenes are kept mounted. Popping back to one of them
+	 * mounts a new instance instead.
+	 *
+	 * @static
+	 * @method trimSuspendedScenes
+	 */
+	static trimSuspendedScenes() {
+		var entries = SceneManager._stack.filter(entry => !!entry.scene);
+		while (entries.length > SceneManager._maxSuspendedScenes) {
+			SceneManager._releaseStackEntry(entries.shift());
+		}
+	}
+
+	/**
+	 * Checks whether the scene is kept on the stack.
+	 *
+	 * @static
+	 * @method isSceneSuspended
+	 * @param {SceneBase} scene The scene to check
+	 * @return {Boolean} True if the scene is on the stack
+	 */
+	static isSceneSuspended(scene) {
+		return !!SceneManager._findStackEntry(scene);
+	}
+
+	/**
+	 * @static
+	 * @method _findStackEntry
+	 * @param {SceneBase} scene
+	 * @return {Object}
+	 * @private
+	 */
+	static _findStackEntry(scene) {
+		var stack = SceneManager._stack;
+		for (var i = 0; i < stack.length; i++) {
+			if (stack[i].scene === scene) {
+				return stack[i];
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * @static
+	 * @method _releaseStackEntry
+	 * @param {Object} entry
+	 * @private
+	 */
+	static _releaseStackEntry(entry) {
+		if (entry.scene && entry.scene !== SceneManager._scene) {
+			entry.scene.terminate();
+			SceneManager.unmountScene(entry.container);
+		}
+		entry.scene = null;
+		entry.container = null;
+	}
+
 	static updateScene() {
 		if (SceneManager._scene) {
-			if (!SceneManager._sceneStarted && SceneManager._scene.isReady()) {
+			if (!SceneManager._sceneStarted && SceneManager.isCurrentSceneLoaded() &&
+				SceneManager._scene.isReady()) {
 				SceneManager._scene.start();
 				SceneManager._sceneStarted = true;
 				SceneManager.onSceneStart();
 			}
 			if (SceneManager.isCurrentSceneStarted()) {
-				SceneManager._scene.update();
+				SceneManager._scene.update(SceneManager._deltaTime);
+			}
+		}
+	}
+
+	/**
+	 * Advances the scene transition and starts uncovering the next scene
+	 * once it has started.
+	 *
+	 * @static
+	 * @method updateTransition
+	 */
+	static updateTransition() {
+		var transition = SceneManager._transition;
+		if (transition) {
+			if (!SceneManager.isSceneChanging() && SceneManager.isCurrentSceneStarted()) {
+				transition.fadeIn();
 			}
+			transition.update();
 		}
 	}
 
+	/**
+	 * Checks whether the assets of the current scene and the images it has
+	 * requested from ImageManager have been loaded, and passes the progress
+	 * on to the loading screen.
+	 *
+	 * @static
+	 * @method isCurrentSceneLoaded
+	 * @return {Boolean} True if the assets have been loaded
+	 */
+	static isCurrentSceneLoaded() {
+		var scene = SceneManager._scene;
+		var loaded = scene.isLoaded() && ImageManager.isReady();
+		if (scene.assets()) {
+			Graphics.setLoadingProgress(scene.assets().progress());
+		}
+		return loaded;
+	}
+
 	static renderScene() {
 		if (SceneManager.isCurrentSceneStarted()) {
-			Graphics.render(SceneManager._scene);
+			var stage = SceneManager._scene.stage();
+			Bitmap.updateDirty();
+			Graphics.render(stage ? stage.displayObject() : null);
 		} else if (SceneManager._scene) {
 			SceneManager.onSceneLoading();
 		}
+		SceneManager.renderTransition();
+	}
+
+	/**
+	 * @static
+	 * @method renderTransition
+	 */
+	static renderTransition() {
+		var transition = SceneManager._transition;
+		if (transition) {
+			transition.draw();
+			if (transition.isDone()) {
+				SceneManager._transition = null;
+			}
+		}
 	}
 
 	static onSceneCreate() {
@@ -298,7 +1039,19 @@ export default class SceneManager {
 	}
 
 	static isCurrentSceneBusy() {
-		return SceneManager._scene && SceneManager._scene.isBusy();
+		return ((!!SceneManager._scene && SceneManager._scene.isBusy()) ||
+			SceneManager.isTransitionBusy());
+	}
+
+	/**
+	 * Checks whether a scene transition is fading out or fading in.
+	 *
+	 * @static
+	 * @method isTransitionBusy
+	 * @return {Boolean} True while the transition is playing
+	 */
+	static isTransitionBusy() {
+		return !!SceneManager._transition && SceneManager._transition.isBusy();
 	}
 
 	static isCurrentSceneStarted() {
@@ -306,46 +1059,123 @@ export default class SceneManager {
 	}
 
 	static isNextScene(sceneClass) {
-		return SceneManager._nextScene && SceneManager._nextScene.constructor === sceneClass;
+		return !!SceneManager._nextScene && SceneManager._nextScene.sceneClass === sceneClass;
 	}
 
 	static isPreviousScene(sceneClass) {
 		return SceneManager._previousClass === sceneClass;
 	}
 
-	static goto(sceneClass) {
+	/**
+	 * Requests a scene change. The component is mounted by changeScene once
+	 * the current scene is no longer busy.
+	 *
+	 * The options may name a transition: 'fadeBlack', 'fadeWhite' or
+	 * 'crossfade', with a duration in frames.
+	 *
+	 * @static
+	 * @method goto
+	 * @param {Function} sceneClass The scene component, a subclass of SceneBase
+	 * @param {Object} [options] The transition options
+	 * @param {String} [options.transition] The type of the transition
+	 * @param {Number} [options.duration] The duration of each half in frames
+	 */
+	static goto(sceneClass, options) {
+		options = options || {};
 		if (sceneClass) {
-			const renderelement = document.getElementById('game');
-			const stageElement = sceneClass;
-			ReactPIXI.render(React.createElement(stageElement), renderelement);
-
-			// SceneManager._nextScene = new sceneClass();
-			// console.log(SceneManager._nextScene.render());
+			SceneManager._nextScene = {
+				sceneClass: sceneClass,
+				prepareArgs: null
+			};
+		}
+		if (options.transition) {
+			SceneManager._transition = new SceneTransition(options.transition, options.duration);
 		}
 		if (SceneManager._scene) {
 			SceneManager._scene.stop();
 		}
 	}
 
-	static push(sceneClass) {
-		SceneManager._stack.push(SceneManager._scene.constructor);
-		SceneManager.goto(sceneClass);
+	/**
+	 * Requests a scene change and keeps the current scene mounted on the
+	 * stack, so that pop resumes it with its component state intact.
+	 *
+	 * Besides the options of goto, options.background takes a blurred
+	 * snapshot of the current scene for backgroundBitmap.
+	 *
+	 * @static
+	 * @method push
+	 * @param {Function} sceneClass The scene component, a subclass of SceneBase
+	 * @param {Object} [options] The transition options
+	 * @param {Boolean} [options.background] Whether to snap for the background
+	 */
+	static push(sceneClass, options) {
+		if (options && options.background) {
+			SceneManager.snapForBackground();
+		}
+		SceneManager._stack.push({
+			sceneClass: SceneManager._scene.constructor,
+			scene: SceneManager._scene,
+			container: SceneManager._sceneContainer,
+			started: false
+		});
+		SceneManager.goto(sceneClass, options);
 	}
 
-	static pop() {
+	/**
+	 * Returns to the scene on top of the stack. A scene that is still mounted
+	 * is resumed; one that has been trimmed is mounted again.
+	 *
+	 * @static
+	 * @method pop
+	 * @param {Object} [options] The transition options, as for goto
+	 */
+	static pop(options) {
 		if (SceneManager._stack.length > 0) {
-			SceneManager.goto(SceneManager._stack.pop());
+			var entry = SceneManager._stack.pop();
+			SceneManager.goto(entry.sceneClass, options);
+			if (entry.scene && entry.scene !== SceneManager._scene) {
+				SceneManager._nextScene.suspended = entry;
+			}
 		} else {
 			SceneManager.exit();
 		}
 	}
 
+	/**
+	 * Requests the game to exit once the hooks added by addBeforeExitHook
+	 * have run and none of them has vetoed it.
+	 *
+	 * @static
+	 * @method exit
+	 */
 	static exit() {
-		SceneManager.goto(null);
-		SceneManager._exiting = true;
+		if (SceneManager._exitPending || SceneManager._exiting) {
+			return;
+		}
+		SceneManager._exitPending = true;
+		SceneManager.runBeforeExitHooks().then(proceed => {
+			SceneManager._exitPending = false;
+			if (proceed) {
+				SceneManager.goto(null);
+				SceneManager._exiting = true;
+			}
+		});
+	}
+
+	/**
+	 * Checks whether the game is running the hooks before exiting.
+	 *
+	 * @static
+	 * @method isExitPending
+	 * @return {Boolean} True while the hooks are running
+	 */
+	static isExitPending() {
+		return SceneManager._exitPending;
 	}
 
 	static clearStack() {
+		SceneManager._stack.forEach(SceneManager._releaseStackEntry);
 		SceneManager._stack = [];
 	}
 
@@ -354,11 +1184,12 @@ export default class SceneManager {
 	}
 
 	static prepareNextScene() {
-		SceneManager._nextScene.prepare.apply(SceneManager._nextScene, arguments);
+		SceneManager._nextScene.prepareArgs = Array.prototype.slice.call(arguments);
 	}
 
 	static snap() {
-		return Bitmap.snap(SceneManager._scene);
+		var stage = SceneManager._scene && SceneManager._scene.stage();
+		return Bitmap.snap(stage ? stage.displayObject() : null);
 	}
 
 	static snapForBackground() {
@@ -0,0 +1,172 @@
+import Graphics from './Graphics';
+
+//-----------------------------------------------------------------------------
+/**
+ * A screen effect played by SceneManager while it changes scenes.
+ *
+ * A fade leaves the current scene by covering it with a color, waits for
+ * the next scene to start and then uncovers it. A crossfade draws a
+ * snapshot of the previous scene over the next one and fades it out. The
+ * effects are drawn on the upper canvas, so they work across the separate
+ * stages of the two scenes.
+ *
+ * @class SceneTransition
+ * @constructor
+ * @param {String} type The type of the transition
+ * @param {Number} [duration] The duration of each half in frames
+ */
+//-----------------------------------------------------------------------------
+
+export default class SceneTransition {
+
+	static FADE_BLACK = 'fadeBlack';
+	static FADE_WHITE = 'fadeWhite';
+	static CROSSFADE = 'crossfade';
+
+	static DEFAULT_DURATION = 24;
+
+	static _colors = {
+		fadeBlack: 'black',
+		fadeWhite: 'white'
+	};
+
+	constructor(type, duration) {
+		if (!SceneTransition.isValidType(type)) {
+			throw new Error('Unknown scene transition: ' + type);
+		}
+		this._type = type;
+		this._duration = duration || SceneTransition.DEFAULT_DURATION;
+		this._count = 0;
+		this._phase = this.needsSnapshot() ? 'wait' : 'out';
+		this._snapshot = null;
+	}
+
+	/**
+	 * Checks whether the transition type is known.
+	 *
+	 * @static
+	 * @method isValidType
+	 * @param {String} type The type of the transition
+	 * @return {Boolean} True if the type is known
+	 */
+	static isValidType(type) {
+		return (type === SceneTransition.FADE_BLACK ||
+			type === SceneTransition.FADE_WHITE ||
+			type === SceneTransition.CROSSFADE);
+	}
+
+	/**
+	 * Checks whether the transition needs a snapshot of the scene it leaves.
+	 *
+	 * @method needsSnapshot
+	 * @return {Boolean} True for a crossfade
+	 */
+	needsSnapshot() {
+		return this._type === SceneTransition.CROSSFADE;
+	}
+
+	/**
+	 * Sets the snapshot of the scene being left.
+	 *
+	 * @method setSnapshot
+	 * @param {Bitmap} snapshot The snapshot
+	 */
+	setSnapshot(snapshot) {
+		this._snapshot = snapshot;
+	}
+
+	/**
+	 * Checks whether the transition is still covering the scene being left.
+	 * SceneManager does not change scenes until this returns false.
+	 *
+	 * @method isLeaving
+	 * @return {Boolean} True while fading out
+	 */
+	isLeaving() {
+		return this._phase === 'out';
+	}
+
+	/**
+	 * Checks whether the transition is playing, i.e. fading out the scene
+	 * being left or fading in the scene that has started.
+	 *
+	 * @method isBusy
+	 * @return {Boolean} True while fading
+	 */
+	isBusy() {
+		return this._phase === 'out' || this._phase === 'in';
+	}
+
+	/**
+	 * Checks whether the transition has finished.
+	 *
+	 * @method isDone
+	 * @return {Boolean} True if the transition has finished
+	 */
+	isDone() {
+		return this._phase === 'done';
+	}
+
+	/**
+	 * Starts uncovering the next scene once it has started.
+	 *
+	 * @method fadeIn
+	 */
+	fadeIn() {
+		if (this._phase === 'wait') {
+			this._phase = 'in';
+			this._count = 0;
+		}
+	}
+
+	/**
+	 * Advances the transition by one frame.
+	 *
+	 * @method update
+	 */
+	update() {
+		if (this.isBusy()) {
+			this._count++;
+			if (this._count >= this._duration) {
+				this._phase = this._phase === 'out' ? 'wait' : 'done';
+			}
+		}
+	}
+
+	/**
+	 * Draws the transition on the upper canvas.
+	 *
+	 * @method draw
+	 */
+	draw() {
+		if (this.isDone()) {
+			Graphics.clearOverlay();
+		} else if (this.needsSnapshot()) {
+			if (this._snapshot) {
+				Graphics.drawOverlay(this._snapshot.canvas, this.opacity());
+			}
+		} else {
+			Graphics.drawOverlay(SceneTransition._colors[this._type], this.opacity());
+		}
+	}
+
+	/**
+	 * Gets the opacity of the overlay in the range (0, 1).
+	 *
+	 * @method opacity
+	 * @return {Number} The opacity of the overlay
+	 */
+	opacity() {
+		var rate = this._count / this._duration;
+		switch (this._phase) {
+			case 'out':
+				return rate;
+			case 'wait':
+				return 1;
+			case 'in':
+				return 1 - rate;
+			default:
+				return 0;
+		}
+	}
+}
@@ -0,0 +1,537 @@
+import LZString from 'lz-string';
+import Utils from './Utils';
+import FileSystemBackend from './storage/FileSystemBackend';
+import LocalStorageBackend from './storage/LocalStorageBackend';
+
+//-----------------------------------------------------------------------------
+/**
+ * The static class that saves and loads the game.
+ *
+ * Savefile 0 is the autosave and savefiles 1 to maxSavefiles are the slots
+ * of the file list. Each savefile holds a header for the file list, the
+ * contents, and the version of the save format. The headers of all the
+ * savefiles are also kept together in the global file, so the file list
+ * does not have to read every savefile.
+ *
+ * The state of the game is collected from the parts registered with
+ * registerContents. Savefiles from older versions are brought up to date
+ * with the migrations added with addMigration.
+ *
+ * The savefiles go to a folder under NW.js and to localStorage in browsers.
+ * Another backend, such as a MemoryBackend, can be set with setBackend.
+ *
+ * @class StorageManager
+ */
+//-----------------------------------------------------------------------------
+
+export default class StorageManager {
+	constructor() {
+		throw new Error('This is a static class');
+	}
+
+	/**
+	 * The ID of the autosave.
+	 *
+	 * @static
+	 * @property AUTOSAVE_ID
+	 * @type Number
+	 * @final
+	 */
+	static AUTOSAVE_ID = 0;
+
+	/**
+	 * The number of slots in the file list.
+	 *
+	 * @static
+	 * @property maxSavefiles
+	 * @type Number
+	 */
+	static maxSavefiles = 20;
+
+	/**
+	 * The version of the save format. Increase it, and add a migration from
+	 * the previous version, whenever the contents change shape.
+	 *
+	 * @static
+	 * @property version
+	 * @type Number
+	 */
+	static version = 1;
+
+	static _backend = null;
+	static _contents = {};
+	static _migrations = {};
+	static _globalInfo = null;
+	static _autosaveEnabled = false;
+	static _playtimeBase = 0;
+	static _playtimeStart = Date.now();
+
+	/**
+	 * Gets the storage backend, choosing one for the platform the first
+	 * time.
+	 *
+	 * @static
+	 * @method backend
+	 * @return {Object} The backend
+	 */
+	static backend() {
+		if (!StorageManager._backend) {
+			if (Utils.isNwjs()) {
+				StorageManager._backend = new FileSystemBackend();
+			} else {
+				StorageManager._backend = new LocalStorageBackend();
+			}
+		}
+		return StorageManager._backend;
+	}
+
+	/**
+	 * Sets the storage backend. A backend has the methods exists, load, save
+	 * and remove, which take the name of a savefile such as 'file1'.
+	 *
+	 * @static
+	 * @method setBackend
+	 * @param {Object} backend The backend
+	 */
+	static setBackend(backend) {
+		StorageManager._backend = backend;
+		StorageManager._globalInfo = null;
+	}
+
+	/**
+	 * Registers a part of the game state to save.
+	 *
+	 * @static
+	 * @method registerContents
+	 * @param {String} name The key of the part in the save contents
+	 * @param {Object} part The functions of the part
+	 * @param {Function} part.save Returns the data to save, which must be
+	 *        plain JSON
+	 * @param {Function} part.load Restores the state from the saved data
+	 * @param {Function} [part.header] Returns fields for the header, such
+	 *        as faces or mapName, from the saved data
+	 */
+	static registerContents(name, part) {
+		StorageManager._contents[name] = part;
+	}
+
+	/**
+	 * @static
+	 * @method unregisterContents
+	 * @param {String} name The key of the part
+	 */
+	static unregisterContents(name) {
+		delete StorageManager._contents[name];
+	}
+
+	/**
+	 * Adds a migration that brings a savefile from one version of the save
+	 * format to the next.
+	 *
+	 * @static
+	 * @method addMigration
+	 * @param {Number} fromVersion The version the migration starts from
+	 * @param {Function} migrate Called with the savefile, which has the
+	 *        header and the contents; returns it, or a replacement, in the
+	 *        format of the next version
+	 */
+	static addMigration(fromVersion, migrate) {
+		StorageManager._migrations[fromVersion] = migrate;
+	}
+
+	/**
+	 * Saves the game.
+	 *
+	 * @static
+	 * @method saveGame
+	 * @param {Number} savefileId The savefile ID, 0 for the autosave
+	 * @return {Boolean} True if the game has been saved
+	 */
+	static saveGame(savefileId) {
+		try {
+			var contents = StorageManager.makeSaveContents();
+			var header = StorageManager.makeSavefileInfo(contents);
+			var savefile = {
+				version: StorageManager.version,
+				header: header,
+				contents: contents
+			};
+			StorageManager.backend().save(StorageManager.savefileName(savefileId),
+				StorageManager.serialize(savefile));
+			var globalInfo = StorageManager.loadGlobalInfo();
+			globalInfo[savefileId] = header;
+			StorageManager.saveGlobalInfo(globalInfo);
+			return true;
+		} catch (e) {
+			console.error(e);
+			return false;
+		}
+	}
+
+	/**
+	 * Loads the game, and enables the autosave for the loaded game.
+	 *
+	 * @static
+	 * @method loadGame
+	 * @param {Number} savefileId The savefile ID, 0 for the autosave
+	 * @return {Boolean} True if the game has been loaded
+	 */
+	static loadGame(savefileId) {
+		try {
+			var savefile = StorageManager.loadSavefile(savefileId);
+			StorageManager.extractSaveContents(savefile.contents);
+			StorageManager.setAutosaveEnabled(true);
+			return true;
+		} catch (e) {
+			console.error(e);
+			return false;
+		}
+	}
+
+	/**
+	 * Saves the game to the autosave, if autosave is enabled.
+	 *
+	 * @static
+	 * @method autosave
+	 * @return {Boolean} True if the game has been saved
+	 */
+	static autosave() {
+		if (StorageManager._autosaveEnabled) {
+			return StorageManager.saveGame(StorageManager.AUTOSAVE_ID);
+		}
+		return false;
+	}
+
+	/**
+	 * Enables or disables the autosave. It is disabled until the game has
+	 * something worth saving; DataManager.setupNewGame and loadGame enable
+	 * it.
+	 *
+	 * @static
+	 * @method setAutosaveEnabled
+	 * @param {Boolean} enabled True to enable the autosave
+	 */
+	static setAutosaveEnabled(enabled) {
+		StorageManager._autosaveEnabled = enabled;
+	}
+
+	/**
+	 * @static
+	 * @method isAutosaveEnabled
+	 * @return {Boolean} True if autosave is enabled
+	 */
+	static isAutosaveEnabled() {
+		return StorageManager._autosaveEnabled;
+	}
+
+	/**
+	 * Reads a savefile and brings it up to the current version. Throws an
+	 * error if the savefile is missing, corrupt or too new.
+	 *
+	 * @static
+	 * @method loadSavefile
+	 * @param {Number} savefileId The savefile ID
+	 * @return {Object} The savefile, with the version, header and contents
+	 */
+	static loadSavefile(savefileId) {
+		var name = StorageManager.savefileName(savefileId);
+		var data = StorageManager.backend().load(name);
+		if (data === null || data === undefined) {
+			throw new Error('Savefile ' + savefileId + ' does not exist');
+		}
+		var savefile;
+		try {
+			savefile = StorageManager.deserialize(data);
+		} catch (e) {
+			throw new Error('Savefile ' + savefileId + ' is corrupt: ' + e.message);
+		}
+		return StorageManager.migrate(savefile);
+	}
+
+	/**
+	 * Brings a savefile up to the current version of the save format.
+	 *
+	 * @static
+	 * @method migrate
+	 * @param {Object} savefile The savefile
+	 * @return {Object} The migrated savefile
+	 */
+	static migrate(savefile) {
+		var version = savefile.version || 1;
+		if (version > StorageManager.version) {
+			throw new Error('The savefile is from a newer version (' + version + ') of the game');
+		}
+		while (version < StorageManager.version) {
+			var migrate = StorageManager._migrations[version];
+			if (!migrate) {
+				throw new Error('No migration from version ' + version + ' of the save format');
+			}
+			savefile = migrate(savefile) || savefile;
+			version++;
+			savefile.version = version;
+		}
+		return savefile;
+	}
+
+	/**
+	 * Collects the state of every registered part of the game.
+	 *
+	 * @static
+	 * @method makeSaveContents
+	 * @return {Object} The save contents
+	 */
+	static makeSaveContents() {
+		var contents = {
+			playtime: StorageManager.playtime()
+		};
+		Object.keys(StorageManager._contents).forEach(name => {
+			contents[name] = StorageManager._contents[name].save();
+		});
+		return contents;
+	}
+
+	/**
+	 * Restores the state of every registered part that is in the contents.
+	 *
+	 * @static
+	 * @method extractSaveContents
+	 * @param {Object} contents The save contents
+	 */
+	static extractSaveContents(contents) {
+		Object.keys(StorageManager._contents).forEach(name => {
+			if (contents.hasOwnProperty(name)) {
+				StorageManager._contents[name].load(contents[name]);
+			}
+		});
+		StorageManager.resetPlaytime(contents.playtime || 0);
+	}
+
+	/**
+	 * Makes the header that the file list shows for a savefile.
+	 *
+	 * @static
+	 * @method makeSavefileInfo
+	 * @param {Object} contents The save contents
+	 * @return {Object} The header, with the title, playtime (seconds),
+	 *                  faces, mapName and timestamp
+	 */
+	static makeSavefileInfo(contents) {
+		var header = {
+			title: typeof $dataSystem !== 'undefined' ? $dataSystem.gameTitle : '',
+			playtime: contents.playtime,
+			faces: [],
+			mapName: '',
+			timestamp: Date.now()
+		};
+		Object.keys(StorageManager._contents).forEach(name => {
+			var part = StorageManager._contents[name];
+			if (part.header && contents.hasOwnProperty(name)) {
+				Object.assign(header, part.header(contents[name]));
+			}
+		});
+		return header;
+	}
+
+	/**
+	 * Gets the header of a savefile.
+	 *
+	 * @static
+	 * @method loadSavefileInfo
+	 * @param {Number} savefileId The savefile ID
+	 * @return {Object} The header, or null if there is no such savefile
+	 */
+	static loadSavefileInfo(savefileId) {
+		return StorageManager.loadGlobalInfo()[savefileId] || null;
+	}
+
+	/**
+	 * Lists the savefiles for the file list.
+	 *
+	 * @static
+	 * @method savefileInfos
+	 * @return {Array} Objects with the savefileId and the header, for the
+	 *                 savefiles that exist
+	 */
+	static savefileInfos() {
+		var globalInfo = StorageManager.loadGlobalInfo();
+		var infos = [];
+		for (var id = 0; id <= StorageManager.maxSavefiles; id++) {
+			if (globalInfo[id]) {
+				infos.push({ savefileId: id, header: globalInfo[id] });
+			}
+		}
+		return infos;
+	}
+
+	/**
+	 * @static
+	 * @method exists
+	 * @param {Number} savefileId The savefile ID
+	 * @return {Boolean} True if the savefile exists
+	 */
+	static exists(savefileId) {
+		return StorageManager.backend().exists(StorageManager.savefileName(savefileId));
+	}
+
+	/**
+	 * @static
+	 * @method isAnySavefileExists
+	 * @return {Boolean} True if there is at least one savefile
+	 */
+	static isAnySavefileExists() {
+		return StorageManager.savefileInfos().length > 0;
+	}
+
+	/**
+	 * Gets the savefile that was written last.
+	 *
+	 * @static
+	 * @method latestSavefileId
+	 * @return {Number} The savefile ID, or -1 if there are no savefiles
+	 */
+	static latestSavefileId() {
+		var latest = null;
+		StorageManager.savefileInfos().forEach(info => {
+			if (!latest || info.header.timestamp > latest.header.timestamp) {
+				latest = info;
+			}
+		});
+		return latest ? latest.savefileId : -1;
+	}
+
+	/**
+	 * Deletes a savefile.
+	 *
+	 * @static
+	 * @method remove
+	 * @param {Number} savefileId The savefile ID
+	 */
+	static remove(savefileId) {
+		StorageManager.backend().remove(StorageManager.savefileName(savefileId));
+		var globalInfo = StorageManager.loadGlobalInfo();
+		delete globalInfo[savefileId];
+		StorageManager.saveGlobalInfo(globalInfo);
+	}
+
+	/**
+	 * Gets the headers of all the savefiles, indexed by savefile ID. The
+	 * global file is rebuilt from the savefiles if it is missing or corrupt.
+	 *
+	 * @static
+	 * @method loadGlobalInfo
+	 * @return {Object} The headers
+	 */
+	static loadGlobalInfo() {
+		if (!StorageManager._globalInfo) {
+			var data = StorageManager.backend().load('global');
+			try {
+				StorageManager._globalInfo = data ? StorageManager.deserialize(data) : null;
+			} catch (e) {
+				console.warn('The global savefile is corrupt and will be rebuilt');
+			}
+			if (!StorageManager._globalInfo) {
+				StorageManager._globalInfo = StorageManager._rebuildGlobalInfo();
+			}
+		}
+		return StorageManager._globalInfo;
+	}
+
+	/**
+	 * @static
+	 * @method saveGlobalInfo
+	 * @param {Object} globalInfo The headers, indexed by savefile ID
+	 */
+	static saveGlobalInfo(globalInfo) {
+		StorageManager._globalInfo = globalInfo;
+		StorageManager.backend().save('global', StorageManager.serialize(globalInfo));
+	}
+
+	/**
+	 * Gets the name of a savefile for the backend.
+	 *
+	 * @static
+	 * @method savefileName
+	 * @param {Number} savefileId The savefile ID
+	 * @return {String} 'autosave', or 'file' followed by the ID
+	 */
+	static savefileName(savefileId) {
+		if (savefileId === StorageManager.AUTOSAVE_ID) {
+			return 'autosave';
+		}
+		return 'file' + savefileId;
+	}
+
+	/**
+	 * Converts an object to compressed JSON.
+	 *
+	 * @static
+	 * @method serialize
+	 * @param {Object} object The object
+	 * @return {String} The compressed string
+	 */
+	static serialize(object) {
+		return LZString.compressToBase64(JSON.stringify(object));
+	}
+
+	/**
+	 * Converts compressed JSON back to an object. Throws an error if the
+	 * string is not valid.
+	 *
+	 * @static
+	 * @method deserialize
+	 * @param {String} data The compressed string
+	 * @return {Object} The object
+	 */
+	static deserialize(data) {
+		var json = LZString.decompressFromBase64(data);
+		if (!json) {
+			throw new Error('the data could not be decompressed');
+		}
+		return JSON.parse(json);
+	}
+
+	/**
+	 * Gets the time played in seconds, including the time of the savefile
+	 * that was loaded.
+	 *
+	 * @static
+	 * @method playtime
+	 * @return {Number} The playtime in seconds
+	 */
+	static playtime() {
+		var elapsed = (Date.now() - StorageManager._playtimeStart) / 1000;
+		return Math.floor(StorageManager._playtimeBase + elapsed);
+	}
+
+	/**
+	 * Restarts the playtime count, such as for a new game.
+	 *
+	 * @static
+	 * @method resetPlaytime
+	 * @param {Number} [seconds=0] The playtime to count from
+	 */
+	static resetPlaytime(seconds) {
+		StorageManager._playtimeBase = seconds || 0;
+		StorageManager._playtimeStart = Date.now();
+	}
+
+	/**
+	 * @static
+	 * @method _rebuildGlobalInfo
+	 * @return {Object}
+	 * @private
+	 */
+	static _rebuildGlobalInfo() {
+		var globalInfo = {};
+		for (var id = 0; id <= StorageManager.maxSavefiles; id++) {
+			if (StorageManager.exists(id)) {
+				try {
+					globalInfo[id] = StorageManager.loadSavefile(id).header;
+				} catch (e) {
+					console.warn(e.message);
+				}
+			}
+		}
+		return globalInfo;
+	}
+}
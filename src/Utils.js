@@ -48,7 +48,9 @@ Utils.isOptionValid = function(name) {
  * @return {Boolean} True if the platform is NW.js
  */
 Utils.isNwjs = function() {
-    return typeof require === 'function' && typeof process === 'object';
+    // webpack defines require and process inside every module, so look at
+    // the globals that NW.js adds to the window instead.
+    return typeof window.require === 'function' && typeof window.process === 'object';
 };
 
 /**
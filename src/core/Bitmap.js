@@ -0,0 +1,802 @@
+import PIXI from 'pixi.js';
+import Graphics from '../Graphics';
+import Localization from '../Localization';
+
+//-----------------------------------------------------------------------------
+/**
+ * The basic object that represents an image, backed by an offscreen canvas.
+ *
+ * A bitmap owns a PIXI.BaseTexture over its canvas, and texture() gives a
+ * PIXI.Texture that can be passed to the `texture` prop of a react-pixi
+ * Sprite. Drawing only marks the bitmap dirty; the texture is uploaded to
+ * the GPU again by Bitmap.updateDirty, which SceneManager calls once per
+ * rendered frame. Bitmap.load creates a bitmap from an image file.
+ *
+ * @class Bitmap
+ * @constructor
+ * @param {Number} width The width of the bitmap
+ * @param {Number} height The height of the bitmap
+ */
+//-----------------------------------------------------------------------------
+
+export default class Bitmap {
+
+	/**
+	 * The bitmaps drawn on since the last call to updateDirty.
+	 *
+	 * @static
+	 * @property _dirtyBitmaps
+	 * @type Array
+	 * @private
+	 */
+	static _dirtyBitmaps = [];
+
+	constructor(width, height) {
+		this._canvas = document.createElement('canvas');
+		this._context = this._canvas.getContext('2d');
+		this._canvas.width = Math.max(width || 0, 1);
+		this._canvas.height = Math.max(height || 0, 1);
+		this._baseTexture = new PIXI.BaseTexture(this._canvas);
+		this._baseTexture.scaleMode = PIXI.SCALE_MODES.NEAREST;
+		this._texture = null;
+		this._paintOpacity = 255;
+		this._smooth = false;
+		this._dirty = false;
+		this._url = '';
+		this._loadingState = 'none';
+		this._loadListeners = [];
+
+		/**
+		 * The face name of the font.
+		 *
+		 * @property fontFace
+		 * @type String
+		 */
+		this.fontFace = Localization.fontFamily();
+
+		/**
+		 * The size of the font in pixels.
+		 *
+		 * @property fontSize
+		 * @type Number
+		 */
+		this.fontSize = 28;
+
+		/**
+		 * Whether the font is italic.
+		 *
+		 * @property fontItalic
+		 * @type Boolean
+		 */
+		this.fontItalic = false;
+
+		/**
+		 * The color of the text in CSS format.
+		 *
+		 * @property textColor
+		 * @type String
+		 */
+		this.textColor = '#ffffff';
+
+		/**
+		 * The color of the outline of the text in CSS format.
+		 *
+		 * @property outlineColor
+		 * @type String
+		 */
+		this.outlineColor = 'rgba(0, 0, 0, 0.5)';
+
+		/**
+		 * The width of the outline of the text.
+		 *
+		 * @property outlineWidth
+		 * @type Number
+		 */
+		this.outlineWidth = 4;
+	}
+
+	/**
+	 * Loads an image file and returns a new bitmap, which is resized to the
+	 * image once it has loaded.
+	 *
+	 * @static
+	 * @method load
+	 * @param {String} url The image url of the texture
+	 * @return {Bitmap} The bitmap
+	 */
+	static load(url) {
+		var bitmap = new Bitmap();
+		bitmap._requestImage(url);
+		return bitmap;
+	}
+
+	/**
+	 * Creates a copy of a bitmap with its hue rotated. The copy becomes ready
+	 * when the source does, and fails when the source fails.
+	 *
+	 * @static
+	 * @method hueVariant
+	 * @param {Bitmap} source The bitmap to copy
+	 * @param {Number} hue The hue offset in 360 degrees
+	 * @return {Bitmap} The new bitmap
+	 */
+	static hueVariant(source, hue) {
+		var bitmap = new Bitmap();
+		bitmap._url = source.url;
+		bitmap.smooth = source.smooth;
+		bitmap._loadingState = 'loading';
+		source.addLoadListener(() => {
+			if (source.isError()) {
+				bitmap._onError();
+			} else {
+				bitmap.resize(source.width, source.height);
+				bitmap.blt(source, 0, 0, source.width, source.height, 0, 0);
+				bitmap.rotateHue(hue);
+				bitmap._onLoad();
+			}
+		});
+		return bitmap;
+	}
+
+	/**
+	 * Renders a PIXI container and copies the result to a new bitmap of the
+	 * size of the game screen.
+	 *
+	 * @static
+	 * @method snap
+	 * @param {PIXI.Container} stage The container to be rendered
+	 * @return {Bitmap} The snapshot
+	 */
+	static snap(stage) {
+		var bitmap = new Bitmap(Graphics.width, Graphics.height);
+		var renderer = Graphics._renderer;
+		if (stage && renderer) {
+			renderer.render(stage);
+			bitmap._context.drawImage(renderer.view, 0, 0);
+		}
+		bitmap._setDirty();
+		return bitmap;
+	}
+
+	/**
+	 * Uploads the textures of the bitmaps drawn on since the last call.
+	 *
+	 * @static
+	 * @method updateDirty
+	 */
+	static updateDirty() {
+		var bitmaps = Bitmap._dirtyBitmaps;
+		Bitmap._dirtyBitmaps = [];
+		bitmaps.forEach(bitmap => {
+			if (bitmap._dirty) {
+				bitmap._dirty = false;
+				bitmap._baseTexture.update();
+			}
+		});
+	}
+
+	/**
+	 * The canvas of the bitmap.
+	 *
+	 * @property canvas
+	 * @type HTMLCanvasElement
+	 */
+	get canvas() {
+		return this._canvas;
+	}
+
+	/**
+	 * The 2d context of the bitmap canvas.
+	 *
+	 * @property context
+	 * @type CanvasRenderingContext2D
+	 */
+	get context() {
+		return this._context;
+	}
+
+	/**
+	 * The base texture over the bitmap canvas.
+	 *
+	 * @property baseTexture
+	 * @type PIXI.BaseTexture
+	 */
+	get baseTexture() {
+		return this._baseTexture;
+	}
+
+	/**
+	 * The width of the bitmap.
+	 *
+	 * @property width
+	 * @type Number
+	 */
+	get width() {
+		return this._canvas.width;
+	}
+
+	/**
+	 * The height of the bitmap.
+	 *
+	 * @property height
+	 * @type Number
+	 */
+	get height() {
+		return this._canvas.height;
+	}
+
+	/**
+	 * Whether the smooth scaling is applied.
+	 *
+	 * @property smooth
+	 * @type Boolean
+	 */
+	get smooth() {
+		return this._smooth;
+	}
+
+	set smooth(value) {
+		if (this._smooth !== value) {
+			this._smooth = value;
+			this._baseTexture.scaleMode = value ? PIXI.SCALE_MODES.LINEAR : PIXI.SCALE_MODES.NEAREST;
+			this._setDirty();
+		}
+	}
+
+	/**
+	 * The opacity of the drawing objects in the range (0, 255).
+	 *
+	 * @property paintOpacity
+	 * @type Number
+	 */
+	get paintOpacity() {
+		return this._paintOpacity;
+	}
+
+	set paintOpacity(value) {
+		if (this._paintOpacity !== value) {
+			this._paintOpacity = value;
+			this._context.globalAlpha = value / 255;
+		}
+	}
+
+	/**
+	 * The url of the image file, or an empty string for a drawn bitmap.
+	 *
+	 * @property url
+	 * @type String
+	 */
+	get url() {
+		return this._url;
+	}
+
+	/**
+	 * Checks whether the bitmap is ready to render.
+	 *
+	 * @method isReady
+	 * @return {Boolean} True if the bitmap is not loading any more
+	 */
+	isReady() {
+		return this._loadingState === 'loaded' || this._loadingState === 'none';
+	}
+
+	/**
+	 * Checks whether an error has occurred while loading.
+	 *
+	 * @method isError
+	 * @return {Boolean} True if the image failed to load
+	 */
+	isError() {
+		return this._loadingState === 'error';
+	}
+
+	/**
+	 * Adds a function that is called once the image has loaded or failed,
+	 * right away if it already has.
+	 *
+	 * @method addLoadListener
+	 * @param {Function} listener The function called with the bitmap
+	 */
+	addLoadListener(listener) {
+		if (this._loadingState === 'loading') {
+			this._loadListeners.push(listener);
+		} else {
+			listener(this);
+		}
+	}
+
+	/**
+	 * Gets a texture over the whole bitmap for a react-pixi Sprite.
+	 *
+	 * @method texture
+	 * @return {PIXI.Texture} The texture
+	 */
+	texture() {
+		if (!this._texture) {
+			this._texture = new PIXI.Texture(this._baseTexture);
+		}
+		return this._texture;
+	}
+
+	/**
+	 * Resizes the bitmap, which clears it.
+	 *
+	 * @method resize
+	 * @param {Number} width The new width of the bitmap
+	 * @param {Number} height The new height of the bitmap
+	 */
+	resize(width, height) {
+		this._canvas.width = Math.max(width || 0, 1);
+		this._canvas.height = Math.max(height || 0, 1);
+		this._context.globalAlpha = this._paintOpacity / 255;
+		this._setDirty();
+	}
+
+	/**
+	 * Performs a block transfer.
+	 *
+	 * @method blt
+	 * @param {Bitmap|HTMLImageElement|HTMLCanvasElement} source The source to draw
+	 * @param {Number} sx The x coordinate in the source
+	 * @param {Number} sy The y coordinate in the source
+	 * @param {Number} sw The width of the source image
+	 * @param {Number} sh The height of the source image
+	 * @param {Number} dx The x coordinate in the destination
+	 * @param {Number} dy The y coordinate in the destination
+	 * @param {Number} [dw=sw] The width to draw the image in the destination
+	 * @param {Number} [dh=sh] The height to draw the image in the destination
+	 */
+	blt(source, sx, sy, sw, sh, dx, dy, dw, dh) {
+		var image = source instanceof Bitmap ? source.canvas : source;
+		dw = dw || sw;
+		dh = dh || sh;
+		if (sx >= 0 && sy >= 0 && sw > 0 && sh > 0 && dw > 0 && dh > 0 &&
+				sx + sw <= image.width && sy + sh <= image.height) {
+			this._context.globalCompositeOperation = 'source-over';
+			this._context.drawImage(image, sx, sy, sw, sh, dx, dy, dw, dh);
+			this._setDirty();
+		}
+	}
+
+	/**
+	 * Returns the pixel color at the specified point.
+	 *
+	 * @method getPixel
+	 * @param {Number} x The x coordinate of the pixel
+	 * @param {Number} y The y coordinate of the pixel
+	 * @return {String} The pixel color in hex format
+	 */
+	getPixel(x, y) {
+		var data = this._context.getImageData(x, y, 1, 1).data;
+		var result = '#';
+		for (var i = 0; i < 3; i++) {
+			result += (data[i] < 16 ? '0' : '') + data[i].toString(16);
+		}
+		return result;
+	}
+
+	/**
+	 * Returns the alpha value at the specified point.
+	 *
+	 * @method getAlphaPixel
+	 * @param {Number} x The x coordinate of the pixel
+	 * @param {Number} y The y coordinate of the pixel
+	 * @return {Number} The alpha value in the range (0, 255)
+	 */
+	getAlphaPixel(x, y) {
+		return this._context.getImageData(x, y, 1, 1).data[3];
+	}
+
+	/**
+	 * Replaces the pixel at the specified point, ignoring paintOpacity.
+	 *
+	 * @method setPixel
+	 * @param {Number} x The x coordinate of the pixel
+	 * @param {Number} y The y coordinate of the pixel
+	 * @param {String} color The color of the pixel in CSS format
+	 */
+	setPixel(x, y, color) {
+		var context = this._context;
+		context.save();
+		context.globalAlpha = 1;
+		context.globalCompositeOperation = 'copy';
+		context.fillStyle = color;
+		context.fillRect(x, y, 1, 1);
+		context.restore();
+		this._setDirty();
+	}
+
+	/**
+	 * Clears the specified rectangle.
+	 *
+	 * @method clearRect
+	 * @param {Number} x The x coordinate of the upper-left corner
+	 * @param {Number} y The y coordinate of the upper-left corner
+	 * @param {Number} width The width of the rectangle to clear
+	 * @param {Number} height The height of the rectangle to clear
+	 */
+	clearRect(x, y, width, height) {
+		this._context.clearRect(x, y, width, height);
+		this._setDirty();
+	}
+
+	/**
+	 * Clears the entire bitmap.
+	 *
+	 * @method clear
+	 */
+	clear() {
+		this.clearRect(0, 0, this.width, this.height);
+	}
+
+	/**
+	 * Fills the specified rectangle.
+	 *
+	 * @method fillRect
+	 * @param {Number} x The x coordinate of the upper-left corner
+	 * @param {Number} y The y coordinate of the upper-left corner
+	 * @param {Number} width The width of the rectangle to fill
+	 * @param {Number} height The height of the rectangle to fill
+	 * @param {String} color The color of the rectangle in CSS format
+	 */
+	fillRect(x, y, width, height, color) {
+		var context = this._context;
+		context.save();
+		context.fillStyle = color;
+		context.fillRect(x, y, width, height);
+		context.restore();
+		this._setDirty();
+	}
+
+	/**
+	 * Fills the entire bitmap.
+	 *
+	 * @method fillAll
+	 * @param {String} color The color of the rectangle in CSS format
+	 */
+	fillAll(color) {
+		this.fillRect(0, 0, this.width, this.height, color);
+	}
+
+	/**
+	 * Draws the rectangle with a gradation.
+	 *
+	 * @method gradientFillRect
+	 * @param {Number} x The x coordinate of the upper-left corner
+	 * @param {Number} y The y coordinate of the upper-left corner
+	 * @param {Number} width The width of the rectangle to fill
+	 * @param {Number} height The height of the rectangle to fill
+	 * @param {String} color1 The gradient starting color
+	 * @param {String} color2 The gradient ending color
+	 * @param {Boolean} vertical Whether the gradient should be drawn as vertical or not
+	 */
+	gradientFillRect(x, y, width, height, color1, color2, vertical) {
+		var context = this._context;
+		var grad;
+		if (vertical) {
+			grad = context.createLinearGradient(x, y, x, y + height);
+		} else {
+			grad = context.createLinearGradient(x, y, x + width, y);
+		}
+		grad.addColorStop(0, color1);
+		grad.addColorStop(1, color2);
+		context.save();
+		context.fillStyle = grad;
+		context.fillRect(x, y, width, height);
+		context.restore();
+		this._setDirty();
+	}
+
+	/**
+	 * Draws a bitmap in the shape of a circle.
+	 *
+	 * @method drawCircle
+	 * @param {Number} x The x coordinate based on the circle center
+	 * @param {Number} y The y coordinate based on the circle center
+	 * @param {Number} radius The radius of the circle
+	 * @param {String} color The color of the circle in CSS format
+	 */
+	drawCircle(x, y, radius, color) {
+		var context = this._context;
+		context.save();
+		context.fillStyle = color;
+		context.beginPath();
+		context.arc(x, y, radius, 0, Math.PI * 2, false);
+		context.fill();
+		context.restore();
+		this._setDirty();
+	}
+
+	/**
+	 * Draws the outline text to the bitmap.
+	 *
+	 * @method drawText
+	 * @param {String} text The text that will be drawn
+	 * @param {Number} x The x coordinate for the left of the text
+	 * @param {Number} y The y coordinate for the top of the text
+	 * @param {Number} maxWidth The maximum allowed width of the text
+	 * @param {Number} lineHeight The height of the text line
+	 * @param {String} [align='left'] The alignment of the text
+	 */
+	drawText(text, x, y, maxWidth, lineHeight, align) {
+		if (text === undefined || text === null) {
+			return;
+		}
+		var tx = x;
+		var ty = y + lineHeight - (lineHeight - this.fontSize * 0.7) / 2;
+		var context = this._context;
+		var alpha = context.globalAlpha;
+		maxWidth = maxWidth || 0xffffffff;
+		if (align === 'center') {
+			tx += maxWidth / 2;
+		}
+		if (align === 'right') {
+			tx += maxWidth;
+		}
+		context.save();
+		context.font = this._makeFontNameText();
+		context.textAlign = align || 'left';
+		context.textBaseline = 'alphabetic';
+		context.globalAlpha = 1;
+		this._drawTextOutline(String(text), tx, ty, maxWidth);
+		context.globalAlpha = alpha;
+		this._drawTextBody(String(text), tx, ty, maxWidth);
+		context.restore();
+		this._setDirty();
+	}
+
+	/**
+	 * Returns the width of the specified text.
+	 *
+	 * @method measureTextWidth
+	 * @param {String} text The text to be measured
+	 * @return {Number} The width of the text in pixels
+	 */
+	measureTextWidth(text) {
+		var context = this._context;
+		context.save();
+		context.font = this._makeFontNameText();
+		var width = context.measureText(text).width;
+		context.restore();
+		return width;
+	}
+
+	/**
+	 * Changes the color tone of the entire bitmap.
+	 *
+	 * @method adjustTone
+	 * @param {Number} r The red strength in the range (-255, 255)
+	 * @param {Number} g The green strength in the range (-255, 255)
+	 * @param {Number} b The blue strength in the range (-255, 255)
+	 */
+	adjustTone(r, g, b) {
+		if ((r || g || b) && this.width > 0 && this.height > 0) {
+			var context = this._context;
+			var imageData = context.getImageData(0, 0, this.width, this.height);
+			var pixels = imageData.data;
+			for (var i = 0; i < pixels.length; i += 4) {
+				pixels[i + 0] += r;
+				pixels[i + 1] += g;
+				pixels[i + 2] += b;
+			}
+			context.putImageData(imageData, 0, 0);
+			this._setDirty();
+		}
+	}
+
+	/**
+	 * Rotates the hue of the entire bitmap.
+	 *
+	 * @method rotateHue
+	 * @param {Number} offset The hue offset in 360 degrees
+	 */
+	rotateHue(offset) {
+		offset = ((offset % 360) + 360) % 360;
+		if (offset && this.width > 0 && this.height > 0) {
+			var context = this._context;
+			var imageData = context.getImageData(0, 0, this.width, this.height);
+			var pixels = imageData.data;
+			for (var i = 0; i < pixels.length; i += 4) {
+				var hsl = Bitmap._rgbToHsl(pixels[i + 0], pixels[i + 1], pixels[i + 2]);
+				var h = (hsl[0] + offset) % 360;
+				var rgb = Bitmap._hslToRgb(h, hsl[1], hsl[2]);
+				pixels[i + 0] = rgb[0];
+				pixels[i + 1] = rgb[1];
+				pixels[i + 2] = rgb[2];
+			}
+			context.putImageData(imageData, 0, 0);
+			this._setDirty();
+		}
+	}
+
+	/**
+	 * Applies a blur effect to the bitmap.
+	 *
+	 * @method blur
+	 */
+	blur() {
+		var w = this.width;
+		var h = this.height;
+		var canvas = this._canvas;
+		var context = this._context;
+		var tempCanvas = document.createElement('canvas');
+		var tempContext = tempCanvas.getContext('2d');
+		tempCanvas.width = w + 2;
+		tempCanvas.height = h + 2;
+		for (var i = 0; i < 2; i++) {
+			tempContext.clearRect(0, 0, w + 2, h + 2);
+			tempContext.drawImage(canvas, 0, 0, w, h, 1, 1, w, h);
+			tempContext.drawImage(canvas, 0, 0, w, 1, 1, 0, w, 1);
+			tempContext.drawImage(canvas, 0, 0, 1, h, 0, 1, 1, h);
+			tempContext.drawImage(canvas, 0, h - 1, w, 1, 1, h + 1, w, 1);
+			tempContext.drawImage(canvas, w - 1, 0, 1, h, w + 1, 1, 1, h);
+			context.save();
+			context.fillStyle = 'black';
+			context.fillRect(0, 0, w, h);
+			context.globalCompositeOperation = 'lighter';
+			context.globalAlpha = 1 / 9;
+			for (var y = 0; y < 3; y++) {
+				for (var x = 0; x < 3; x++) {
+					context.drawImage(tempCanvas, x, y, w, h, 0, 0, w, h);
+				}
+			}
+			context.restore();
+		}
+		this._setDirty();
+	}
+
+	/**
+	 * Releases the texture of the bitmap. The bitmap must not be used after.
+	 *
+	 * @method destroy
+	 */
+	destroy() {
+		if (this._texture) {
+			this._texture.destroy(false);
+			this._texture = null;
+		}
+		this._baseTexture.destroy();
+		this._dirty = false;
+	}
+
+	/**
+	 * @method _requestImage
+	 * @param {String} url
+	 * @private
+	 */
+	_requestImage(url) {
+		var image = new Image();
+		this._url = url;
+		this._loadingState = 'loading';
+		image.onload = () => {
+			this.resize(image.width, image.height);
+			this._context.drawImage(image, 0, 0);
+			this._onLoad();
+		};
+		image.onerror = () => this._onError();
+		image.src = url;
+	}
+
+	/**
+	 * @method _onLoad
+	 * @private
+	 */
+	_onLoad() {
+		this._loadingState = 'loaded';
+		this._setDirty();
+		this._callLoadListeners();
+	}
+
+	/**
+	 * @method _onError
+	 * @private
+	 */
+	_onError() {
+		this._loadingState = 'error';
+		this._callLoadListeners();
+	}
+
+	/**
+	 * @method _callLoadListeners
+	 * @private
+	 */
+	_callLoadListeners() {
+		var listeners = this._loadListeners;
+		this._loadListeners = [];
+		listeners.forEach(listener => listener(this));
+	}
+
+	/**
+	 * Marks the texture to be uploaded again before the next frame.
+	 *
+	 * @method _setDirty
+	 * @private
+	 */
+	_setDirty() {
+		if (!this._dirty) {
+			this._dirty = true;
+			Bitmap._dirtyBitmaps.push(this);
+		}
+	}
+
+	/**
+	 * @method _makeFontNameText
+	 * @private
+	 */
+	_makeFontNameText() {
+		return (this.fontItalic ? 'Italic ' : '') + this.fontSize + 'px ' + this.fontFace;
+	}
+
+	/**
+	 * @method _drawTextOutline
+	 * @private
+	 */
+	_drawTextOutline(text, tx, ty, maxWidth) {
+		var context = this._context;
+		context.strokeStyle = this.outlineColor;
+		context.lineWidth = this.outlineWidth;
+		context.lineJoin = 'round';
+		context.strokeText(text, tx, ty, maxWidth);
+	}
+
+	/**
+	 * @method _drawTextBody
+	 * @private
+	 */
+	_drawTextBody(text, tx, ty, maxWidth) {
+		var context = this._context;
+		context.fillStyle = this.textColor;
+		context.fillText(text, tx, ty, maxWidth);
+	}
+
+	/**
+	 * @static
+	 * @method _rgbToHsl
+	 * @private
+	 */
+	static _rgbToHsl(r, g, b) {
+		var cmin = Math.min(r, g, b);
+		var cmax = Math.max(r, g, b);
+		var h = 0;
+		var s = 0;
+		var l = (cmin + cmax) / 2;
+		var delta = cmax - cmin;
+		if (delta > 0) {
+			if (r === cmax) {
+				h = 60 * (((g - b) / delta + 6) % 6);
+			} else if (g === cmax) {
+				h = 60 * ((b - r) / delta + 2);
+			} else {
+				h = 60 * ((r - g) / delta + 4);
+			}
+			s = delta / (255 - Math.abs(2 * l - 255));
+		}
+		return [h, s, l];
+	}
+
+	/**
+	 * @static
+	 * @method _hslToRgb
+	 * @private
+	 */
+	static _hslToRgb(h, s, l) {
+		var c = (255 - Math.abs(2 * l - 255)) * s;
+		var x = c * (1 - Math.abs((h / 60) % 2 - 1));
+		var m = l - c / 2;
+		var cm = c + m;
+		var xm = x + m;
+		if (h < 60) {
+			return [cm, xm, m];
+		} else if (h < 120) {
+			return [xm, cm, m];
+		} else if (h < 180) {
+			return [m, cm, xm];
+		} else if (h < 240) {
+			return [m, xm, cm];
+		} else if (h < 300) {
+			return [xm, m, cm];
+		} else {
+			return [cm, m, xm];
+		}
+	}
+}
@@ -0,0 +1,60 @@
+import { Component } from 'react';
+import GameState from '../GameState';
+
+//-----------------------------------------------------------------------------
+/**
+ * The superclass of components that show a part of the game state, such as
+ * the gold window. The subclass picks the part in selectState; it becomes
+ * the component's state, and the component only re-renders when it changes.
+ *
+ *     class GoldWindow extends GameStateComponent {
+ *       selectState(state) {
+ *         return { gold: state.gold };
+ *       }
+ *     }
+ *
+ * @class GameStateComponent
+ * @constructor
+ */
+//-----------------------------------------------------------------------------
+
+export default class GameStateComponent extends Component {
+  constructor(props, context) {
+    super(props, context);
+    this.state = this.selectState(GameState.getState(), props);
+    this._unsubscribe = null;
+  }
+
+  componentDidMount() {
+    this._unsubscribe = GameState.subscribe(
+      state => this.selectState(state, this.props),
+      selected => this.setState(selected),
+      GameState.shallowEqual
+    );
+    var selected = this.selectState(GameState.getState(), this.props);
+    if (!GameState.shallowEqual(selected, this.state)) {
+      this.setState(selected);
+    }
+  }
+
+  componentWillReceiveProps(nextProps) {
+    this.setState(this.selectState(GameState.getState(), nextProps));
+  }
+
+  componentWillUnmount() {
+    this._unsubscribe();
+  }
+
+  /**
+   * Picks the part of the game state the component shows. The values are
+   * compared one by one, so the object may be created anew on every call.
+   *
+   * @method selectState
+   * @param {Object} state The game state
+   * @param {Object} props The props of the component
+   * @return {Object} The part of the state, as an object
+   */
+  selectState(state, props) {
+    return {};
+  }
+}
@@ -0,0 +1,254 @@
+//-----------------------------------------------------------------------------
+/**
+ * The cache of the bitmaps loaded by ImageManager.
+ *
+ * The cache keeps the bitmaps within a budget of bytes, counting four bytes
+ * per pixel of every bitmap that has loaded. When it goes over the budget,
+ * update drops the bitmaps that were used least recently. Reserved bitmaps
+ * are never dropped until all their reservations have been released. A
+ * bitmap that leaves the cache is destroyed, so that its canvas and texture
+ * are freed at once, unless it is still reserved or loading, or a hue
+ * variant of it is still waiting for it to load.
+ *
+ * @class ImageCache
+ * @constructor
+ * @param {Number} limit The budget of the cache in bytes
+ */
+//-----------------------------------------------------------------------------
+
+export default class ImageCache {
+
+	/**
+	 * The default budget of a cache in bytes.
+	 *
+	 * @static
+	 * @property defaultLimit
+	 * @type Number
+	 */
+	static defaultLimit = 64 * 1024 * 1024;
+
+	constructor(limit) {
+		this._items = {};
+		this._ticks = 0;
+
+		/**
+		 * The budget of the cache in bytes.
+		 *
+		 * @property limit
+		 * @type Number
+		 */
+		this.limit = limit || ImageCache.defaultLimit;
+	}
+
+	/**
+	 * Adds a bitmap to the cache.
+	 *
+	 * @method add
+	 * @param {String} key The key of the bitmap
+	 * @param {Bitmap} bitmap The bitmap
+	 */
+	add(key, bitmap) {
+		this._items[key] = {
+			bitmap: bitmap,
+			touch: this._ticks,
+			key: key,
+			reservations: {}
+		};
+	}
+
+	/**
+	 * Gets a bitmap and marks it as used.
+	 *
+	 * @method get
+	 * @param {String} key The key of the bitmap
+	 * @return {Bitmap} The bitmap, or null if it is not cached
+	 */
+	get(key) {
+		var item = this._items[key];
+		if (item) {
+			item.touch = this._ticks;
+			return item.bitmap;
+		}
+		return null;
+	}
+
+	/**
+	 * Checks whether a bitmap is in the cache.
+	 *
+	 * @method has
+	 * @param {String} key The key of the bitmap
+	 * @return {Boolean} True if the bitmap is cached
+	 */
+	has(key) {
+		return !!this._items[key];
+	}
+
+	/**
+	 * Reserves a cached bitmap so that it is never dropped, adding it first
+	 * if a bitmap is given.
+	 *
+	 * @method reserve
+	 * @param {String} key The key of the bitmap
+	 * @param {Bitmap} bitmap The bitmap, or null if it is already cached
+	 * @param {String} reservationId The id to release the reservation with
+	 */
+	reserve(key, bitmap, reservationId) {
+		if (bitmap && !this._items[key]) {
+			this.add(key, bitmap);
+		}
+		var item = this._items[key];
+		if (item) {
+			item.touch = this._ticks;
+			item.reservations[reservationId] = true;
+		}
+	}
+
+	/**
+	 * Releases all the reservations made with an id.
+	 *
+	 * @method releaseReservation
+	 * @param {String} reservationId The id of the reservations
+	 */
+	releaseReservation(reservationId) {
+		Object.keys(this._items).forEach(key => {
+			delete this._items[key].reservations[reservationId];
+		});
+	}
+
+	/**
+	 * Checks whether a bitmap is reserved.
+	 *
+	 * @method isReserved
+	 * @param {String} key The key of the bitmap
+	 * @return {Boolean} True if any reservation holds the bitmap
+	 */
+	isReserved(key) {
+		var item = this._items[key];
+		return !!item && Object.keys(item.reservations).length > 0;
+	}
+
+	/**
+	 * Removes a bitmap from the cache, even if it is reserved, and destroys
+	 * it if nothing holds it any more.
+	 *
+	 * @method remove
+	 * @param {String} key The key of the bitmap
+	 */
+	remove(key) {
+		var item = this._items[key];
+		if (item) {
+			delete this._items[key];
+			if (!this._isHeld(item)) {
+				item.bitmap.destroy();
+			}
+		}
+	}
+
+	/**
+	 * Removes all the bitmaps, without destroying them.
+	 *
+	 * @method clear
+	 */
+	clear() {
+		this._items = {};
+	}
+
+	/**
+	 * Checks whether all the cached bitmaps have loaded. Throws an error
+	 * naming the images that failed.
+	 *
+	 * @method isReady
+	 * @return {Boolean} True if nothing is loading any more
+	 */
+	isReady() {
+		var items = this._itemList();
+		var failed = items.filter(item => item.bitmap.isError());
+		if (failed.length > 0) {
+			failed.forEach(item => this.remove(item.key));
+			var urls = failed.map(item => item.bitmap.url);
+			throw new Error('Failed to load: ' + urls.join(', '));
+		}
+		return items.every(item => item.bitmap.isReady());
+	}
+
+	/**
+	 * Gets the bytes taken by the bitmaps that have loaded.
+	 *
+	 * @method byteSize
+	 * @return {Number} The size in bytes
+	 */
+	byteSize() {
+		return this._itemList().reduce((sum, item) => sum + ImageCache._bytesOf(item), 0);
+	}
+
+	/**
+	 * Advances the clock that orders the bitmaps by their last use and drops
+	 * the least recently used ones while the cache is over its budget.
+	 * Called by SceneManager on every fixed step.
+	 *
+	 * @method update
+	 * @param {Number} ticks The number of steps since the game started
+	 */
+	update(ticks) {
+		this._ticks = ticks;
+		this._truncate();
+	}
+
+	/**
+	 * @method _truncate
+	 * @private
+	 */
+	_truncate() {
+		var items = this._itemList();
+		var size = items.reduce((sum, item) => sum + ImageCache._bytesOf(item), 0);
+		if (size <= this.limit) {
+			return;
+		}
+		items.filter(item => !this.isReserved(item.key) && item.bitmap.isReady() &&
+				item.touch < this._ticks)
+			.sort((a, b) => a.touch - b.touch)
+			.forEach(item => {
+				if (size > this.limit) {
+					size -= ImageCache._bytesOf(item);
+					this.remove(item.key);
+				}
+			});
+	}
+
+	/**
+	 * Checks whether a bitmap that has left the cache may still be used by
+	 * the cache or a bitmap loading from it.
+	 *
+	 * @method _isHeld
+	 * @param {Object} item
+	 * @return {Boolean}
+	 * @private
+	 */
+	_isHeld(item) {
+		var bitmap = item.bitmap;
+		if (Object.keys(item.reservations).length > 0 || (!bitmap.isReady() && !bitmap.isError())) {
+			return true;
+		}
+		return this._itemList().some(other => {
+			return other.bitmap.url === bitmap.url && !other.bitmap.isReady() && !other.bitmap.isError();
+		});
+	}
+
+	/**
+	 * @method _itemList
+	 * @private
+	 */
+	_itemList() {
+		return Object.keys(this._items).map(key => this._items[key]);
+	}
+
+	/**
+	 * @static
+	 * @method _bytesOf
+	 * @private
+	 */
+	static _bytesOf(item) {
+		var bitmap = item.bitmap;
+		return bitmap.isReady() ? bitmap.width * bitmap.height * 4 : 0;
+	}
+}
@@ -40,6 +40,17 @@ Input.keyRepeatWait = 24;
  */
 Input.keyRepeatInterval = 6;
 
+/**
+ * The number of recent key events kept for error reports.
+ *
+ * @static
+ * @property historySize
+ * @type Number
+ */
+Input.historySize = 20;
+
+Input._history = [];
+
 /**
  * A hash table to convert from a virtual key code to a mapped key name.
  *
@@ -204,6 +215,18 @@ Input.isLongPressed = function (keyName) {
 	}
 };
 
+/**
+ * Gets the most recent key events, oldest first. Unlike the input state,
+ * the history is kept when the input is cleared.
+ *
+ * @static
+ * @method recentEvents
+ * @return {Array} Objects with the type, keyCode, name and time of each event
+ */
+Input.recentEvents = function () {
+	return this._history.slice();
+};
+
 /**
  * [read-only] The four direction value as a number of the numpad, or 0 for neutral.
  *
@@ -282,6 +305,7 @@ Input._setupEventHandlers = function () {
  * @private
  */
 Input._onKeyDown = function (event) {
+	this._recordEvent('keydown', event.keyCode);
 	if (this._shouldPreventDefault(event.keyCode)) {
 		event.preventDefault();
 	}
@@ -321,6 +345,7 @@ Input._shouldPreventDefault = function (keyCode) {
  * @private
  */
 Input._onKeyUp = function (event) {
+	this._recordEvent('keyup', event.keyCode);
 	var buttonName = this.keyMapper[event.keyCode];
 	if (buttonName) {
 		this._currentState[buttonName] = false;
@@ -330,6 +355,25 @@ Input._onKeyUp = function (event) {
 	}
 };
 
+/**
+ * @static
+ * @method _recordEvent
+ * @param {String} type
+ * @param {Number} keyCode
+ * @private
+ */
+Input._recordEvent = function (type, keyCode) {
+	this._history.push({
+		type: type,
+		keyCode: keyCode,
+		name: this.keyMapper[keyCode] || null,
+		time: Date.now()
+	});
+	if (this._history.length > this.historySize) {
+		this._history.shift();
+	}
+};
+
 /**
  * @static
  * @method _onLostFocus
@@ -0,0 +1,55 @@
+//-----------------------------------------------------------------------------
+/**
+ * The list of listeners that receive the fixed-step updates of a scene.
+ *
+ * Every scene owns a ticker and hands it down through React context, so
+ * that sprites are updated from SceneManager's loop instead of running
+ * their own requestAnimationFrame.
+ *
+ * @class Ticker
+ * @constructor
+ */
+//-----------------------------------------------------------------------------
+
+export default class Ticker {
+	constructor() {
+		this._listeners = [];
+	}
+
+	/**
+	 * Adds a listener that is called with the delta time on every update.
+	 *
+	 * @method add
+	 * @param {Function} listener The function to call
+	 */
+	add(listener) {
+		if (this._listeners.indexOf(listener) < 0) {
+			this._listeners.push(listener);
+		}
+	}
+
+	/**
+	 * Removes a listener.
+	 *
+	 * @method remove
+	 * @param {Function} listener The function to remove
+	 */
+	remove(listener) {
+		var index = this._listeners.indexOf(listener);
+		if (index >= 0) {
+			this._listeners.splice(index, 1);
+		}
+	}
+
+	/**
+	 * Calls all the listeners.
+	 *
+	 * @method update
+	 * @param {Number} delta The fixed time step in seconds
+	 */
+	update(delta) {
+		this._listeners.slice().forEach(listener => {
+			listener(delta);
+		});
+	}
+}
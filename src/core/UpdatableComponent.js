@@ -0,0 +1,46 @@
+import { Component, PropTypes } from 'react';
+
+//-----------------------------------------------------------------------------
+/**
+ * The superclass of components that are updated for each frame, such as
+ * animated sprites. The component subscribes to the ticker of the scene it
+ * is mounted in and receives update(delta) on every fixed step of
+ * SceneManager's loop.
+ *
+ * @class UpdatableComponent
+ * @constructor
+ */
+//-----------------------------------------------------------------------------
+
+export default class UpdatableComponent extends Component {
+
+  static contextTypes = {
+    ticker: PropTypes.object
+  };
+
+  constructor(props, context) {
+    super(props, context);
+    this._onTick = this.update.bind(this);
+  }
+
+  componentDidMount() {
+    if (this.context.ticker) {
+      this.context.ticker.add(this._onTick);
+    }
+  }
+
+  componentWillUnmount() {
+    if (this.context.ticker) {
+      this.context.ticker.remove(this._onTick);
+    }
+  }
+
+  /**
+   * Updates the component for each frame.
+   *
+   * @method update
+   * @param {Number} delta The fixed time step in seconds
+   */
+  update(delta) {
+  }
+}
@@ -50,3 +50,20 @@ Object.defineProperties(Array.prototype, {
         }
     }
 });
+
+Object.defineProperties(Number.prototype, {
+    /**
+     * Returns a number whose value is limited to the given range.
+     *
+     * @method Number.prototype.clamp
+     * @param {Number} min The lower boundary
+     * @param {Number} max The upper boundary
+     * @return {Number} A number in the range (min, max)
+     */
+    clamp: {
+        enumerable: false,
+        value: function(min, max) {
+            return Math.min(Math.max(this, min), max);
+        }
+    }
+});
@@ -3,10 +3,21 @@ import { render } from 'react-dom';
 import ReactPIXI from 'react-pixi';
 import App from './App';
 import Cupcake from './Cupcake';
+import DataReloader from './DataReloader';
 import Graphics from './Graphics';
+import PluginManager from './PluginManager';
 import SceneManager from './SceneManager';
+import SceneBoot from './scenes/SceneBoot';
 import './core/jsExtensions';
 import 'script!./core/FPSMeter';
+import plugins from './plugins/plugins.json';
 
 
-SceneManager.run(App);
+if (process.env.NODE_ENV !== 'production') {
+  DataReloader.connect();
+}
+
+PluginManager.setup(plugins, name => require('./plugins/' + name + '.js'));
+
+SceneManager.setTitleScene(App);
+SceneManager.run(SceneBoot);
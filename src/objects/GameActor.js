@@ -0,0 +1,576 @@
+import GameState from '../GameState';
+import GameBattler from './GameBattler';
+import GameItem from './GameItem';
+
+//-----------------------------------------------------------------------------
+/**
+ * An actor of the game, built from Actors.json and the class, equipment and
+ * states it has.
+ *
+ * The parameters come from the curves of the class at the current level,
+ * plus the parameters of the equipment, multiplied by the traits of the
+ * actor, the class, the equipment and the states. The actor only keeps IDs
+ * of database objects, so it follows the database when it is reloaded.
+ *
+ * @class GameActor
+ * @constructor
+ * @param {Number} actorId The ID in Actors.json
+ */
+//-----------------------------------------------------------------------------
+
+export default class GameActor extends GameBattler {
+	constructor(actorId) {
+		super();
+		this.setup(actorId);
+	}
+
+	get level() { return this._level; }
+
+	/**
+	 * Sets the actor up from the database, as at the start of a new game.
+	 *
+	 * @method setup
+	 * @param {Number} actorId The ID in Actors.json
+	 */
+	setup(actorId) {
+		var actor = $dataActors[actorId];
+		if (!actor) {
+			throw new Error('Actors.json has no id ' + actorId);
+		}
+		this._actorId = actorId;
+		this._name = actor.name;
+		this._nickname = actor.nickname;
+		this._classId = actor.classId;
+		this._level = actor.initialLevel;
+		this._exp = {};
+		this._skills = [];
+		this._equips = [];
+		this.initExp();
+		this.initSkills();
+		this.initEquips(actor.equips);
+		this.recoverAll();
+	}
+
+	/**
+	 * @method actorId
+	 * @return {Number} The ID in Actors.json
+	 */
+	actorId() {
+		return this._actorId;
+	}
+
+	/**
+	 * @method actor
+	 * @return {Object} The actor in the database
+	 */
+	actor() {
+		return $dataActors[this._actorId];
+	}
+
+	/**
+	 * @method name
+	 * @return {String} The name of the actor
+	 */
+	name() {
+		return this._name;
+	}
+
+	/**
+	 * @method setName
+	 * @param {String} name The new name
+	 */
+	setName(name) {
+		this._name = name;
+	}
+
+	/**
+	 * @method nickname
+	 * @return {String} The nickname of the actor
+	 */
+	nickname() {
+		return this._nickname;
+	}
+
+	/**
+	 * @method faceName
+	 * @return {String} The face image, in img/faces
+	 */
+	faceName() {
+		return this.actor().faceName;
+	}
+
+	/**
+	 * @method faceIndex
+	 * @return {Number} The index of the face in the image
+	 */
+	faceIndex() {
+		return this.actor().faceIndex;
+	}
+
+	/**
+	 * @method currentClass
+	 * @return {Object} The class in the database
+	 */
+	currentClass() {
+		return $dataClasses[this._classId];
+	}
+
+	/**
+	 * Changes the class of the actor.
+	 *
+	 * @method changeClass
+	 * @param {Number} classId The ID in Classes.json
+	 * @param {Boolean} keepExp True to keep the EXP, false to take the EXP
+	 *        the actor has in the new class
+	 */
+	changeClass(classId, keepExp) {
+		if (keepExp) {
+			this._exp[classId] = this.currentExp();
+		}
+		this._classId = classId;
+		this.changeExp(this._exp[this._classId] || 0);
+		this.refresh();
+	}
+
+	/**
+	 * Gets the total EXP needed to reach a level in the current class.
+	 *
+	 * @method expForLevel
+	 * @param {Number} level The level
+	 * @return {Number} The EXP
+	 */
+	expForLevel(level) {
+		var c = this.currentClass();
+		var basis = c.expParams[0];
+		var extra = c.expParams[1];
+		var accelerationA = c.expParams[2];
+		var accelerationB = c.expParams[3];
+		return Math.round(basis * (Math.pow(level - 1, 0.9 + accelerationA / 250)) * level *
+			(level + 1) / (6 + Math.pow(level, 2) / 50 / accelerationB) + (level - 1) * extra);
+	}
+
+	/**
+	 * @method initExp
+	 */
+	initExp() {
+		this._exp[this._classId] = this.currentLevelExp();
+	}
+
+	/**
+	 * @method currentExp
+	 * @return {Number} The EXP in the current class
+	 */
+	currentExp() {
+		return this._exp[this._classId];
+	}
+
+	/**
+	 * @method currentLevelExp
+	 * @return {Number} The EXP at which the current level starts
+	 */
+	currentLevelExp() {
+		return this.expForLevel(this._level);
+	}
+
+	/**
+	 * @method nextLevelExp
+	 * @return {Number} The EXP at which the next level starts
+	 */
+	nextLevelExp() {
+		return this.expForLevel(this._level + 1);
+	}
+
+	/**
+	 * @method nextRequiredExp
+	 * @return {Number} The EXP still needed for the next level
+	 */
+	nextRequiredExp() {
+		return this.nextLevelExp() - this.currentExp();
+	}
+
+	/**
+	 * @method maxLevel
+	 * @return {Number} The highest level of the actor
+	 */
+	maxLevel() {
+		return this.actor().maxLevel;
+	}
+
+	/**
+	 * @method isMaxLevel
+	 * @return {Boolean} True if the actor has reached the highest level
+	 */
+	isMaxLevel() {
+		return this._level >= this.maxLevel();
+	}
+
+	/**
+	 * Sets the EXP and goes up or down to the matching level.
+	 *
+	 * @method changeExp
+	 * @param {Number} exp The new EXP
+	 * @return {Object} The number of levels gained (levels) and the IDs of
+	 *                  the skills learned on the way (skills)
+	 */
+	changeExp(exp) {
+		var lastLevel = this._level;
+		var learned = [];
+		this._exp[this._classId] = Math.max(exp, 0);
+		while (!this.isMaxLevel() && this.currentExp() >= this.nextLevelExp()) {
+			learned = learned.concat(this.levelUp());
+		}
+		while (this.currentExp() < this.currentLevelExp()) {
+			this.levelDown();
+		}
+		this.refresh();
+		return { levels: this._level - lastLevel, skills: learned };
+	}
+
+	/**
+	 * Adds EXP, multiplied by the experience rate of the traits.
+	 *
+	 * @method gainExp
+	 * @param {Number} exp The EXP to add
+	 * @return {Object} The result of changeExp
+	 */
+	gainExp(exp) {
+		return this.changeExp(this.currentExp() + Math.round(exp * this.finalExpRate()));
+	}
+
+	/**
+	 * @method finalExpRate
+	 * @return {Number} The experience rate
+	 */
+	finalExpRate() {
+		return this.sparam(9);
+	}
+
+	/**
+	 * Sets the level and the EXP at which it starts.
+	 *
+	 * @method changeLevel
+	 * @param {Number} level The new level
+	 * @return {Object} The result of changeExp
+	 */
+	changeLevel(level) {
+		level = level.clamp(1, this.maxLevel());
+		return this.changeExp(this.expForLevel(level));
+	}
+
+	/**
+	 * Goes up one level and learns the skills of the class for it.
+	 *
+	 * @method levelUp
+	 * @return {Array} The IDs of the skills learned
+	 */
+	levelUp() {
+		this._level++;
+		var learned = [];
+		this.currentClass().learnings.forEach(learning => {
+			if (learning.level === this._level && !this.isLearnedSkill(learning.skillId)) {
+				this.learnSkill(learning.skillId);
+				learned.push(learning.skillId);
+			}
+		});
+		return learned;
+	}
+
+	/**
+	 * @method levelDown
+	 */
+	levelDown() {
+		this._level--;
+	}
+
+	/**
+	 * @method initSkills
+	 */
+	initSkills() {
+		this._skills = [];
+		this.currentClass().learnings.forEach(learning => {
+			if (learning.level <= this._level) {
+				this.learnSkill(learning.skillId);
+			}
+		});
+	}
+
+	/**
+	 * @method learnSkill
+	 * @param {Number} skillId The ID in Skills.json
+	 */
+	learnSkill(skillId) {
+		if (!this.isLearnedSkill(skillId)) {
+			this._skills.push(skillId);
+			this._skills.sort((a, b) => a - b);
+		}
+	}
+
+	/**
+	 * @method forgetSkill
+	 * @param {Number} skillId The ID in Skills.json
+	 */
+	forgetSkill(skillId) {
+		var index = this._skills.indexOf(skillId);
+		if (index >= 0) {
+			this._skills.splice(index, 1);
+		}
+	}
+
+	/**
+	 * @method isLearnedSkill
+	 * @param {Number} skillId The ID in Skills.json
+	 * @return {Boolean} True if the actor has learned the skill
+	 */
+	isLearnedSkill(skillId) {
+		return this._skills.contains(skillId);
+	}
+
+	/**
+	 * @method skills
+	 * @return {Array} The learned skills from the database
+	 */
+	skills() {
+		return this._skills.map(id => $dataSkills[id]);
+	}
+
+	paramBase(paramId) {
+		return this.currentClass().params[paramId][this._level];
+	}
+
+	paramPlus(paramId) {
+		return this.equips().reduce((value, item) => {
+			return item ? value + item.params[paramId] : value;
+		}, super.paramPlus(paramId));
+	}
+
+	paramMax(paramId) {
+		return paramId === 0 ? 9999 : super.paramMax(paramId);
+	}
+
+	traitObjects() {
+		var objects = super.traitObjects().concat([this.actor(), this.currentClass()]);
+		return objects.concat(this.equips().filter(item => !!item));
+	}
+
+	/**
+	 * Gets the equipment type of each slot, from the equipment types of
+	 * System.json. Type 1 is for weapons.
+	 *
+	 * @method equipSlots
+	 * @return {Array} The equipment type IDs
+	 */
+	equipSlots() {
+		var slots = [];
+		for (var i = 1; i < $dataSystem.equipTypes.length; i++) {
+			slots.push(i);
+		}
+		if (slots.length >= 2 && this.isDualWield()) {
+			slots[1] = 1;
+		}
+		return slots;
+	}
+
+	/**
+	 * @method isDualWield
+	 * @return {Boolean} True if the second slot holds a weapon
+	 */
+	isDualWield() {
+		var set = this.traitsSet(GameBattler.TRAIT_SLOT_TYPE);
+		return set.length > 0 && Math.max.apply(null, set) === 1;
+	}
+
+	/**
+	 * Equips the initial equipment of Actors.json.
+	 *
+	 * @method initEquips
+	 * @param {Array} equips The IDs of the equipment, by slot
+	 */
+	initEquips(equips) {
+		var slots = this.equipSlots();
+		this._equips = slots.map((etypeId, slot) => {
+			var id = equips[slot] || 0;
+			return id > 0 ? { kind: etypeId === 1 ? 'weapon' : 'armor', id: id } : null;
+		});
+		this.releaseUnequippableItems(true);
+		this.refresh();
+	}
+
+	/**
+	 * @method equips
+	 * @return {Array} The weapons and armors in each slot, or null for an
+	 *                 empty slot
+	 */
+	equips() {
+		return this._equips.map(equip => equip ? GameItem.object(equip.kind, equip.id) : null);
+	}
+
+	/**
+	 * @method weapons
+	 * @return {Array} The weapons equipped
+	 */
+	weapons() {
+		return this.equips().filter(item => GameItem.kindOf(item) === 'weapon');
+	}
+
+	/**
+	 * @method armors
+	 * @return {Array} The armors equipped
+	 */
+	armors() {
+		return this.equips().filter(item => GameItem.kindOf(item) === 'armor');
+	}
+
+	/**
+	 * Checks whether the traits let the actor equip a weapon or armor.
+	 *
+	 * @method canEquip
+	 * @param {Object} item The weapon or armor
+	 * @return {Boolean} True if the actor can equip it
+	 */
+	canEquip(item) {
+		switch (GameItem.kindOf(item)) {
+			case 'weapon':
+				return this.traitsSet(GameBattler.TRAIT_EQUIP_WTYPE).contains(item.wtypeId);
+			case 'armor':
+				return this.traitsSet(GameBattler.TRAIT_EQUIP_ATYPE).contains(item.atypeId);
+			default:
+				return false;
+		}
+	}
+
+	/**
+	 * Equips a weapon or armor from the party's inventory, and puts the one
+	 * in the slot back.
+	 *
+	 * @method changeEquip
+	 * @param {Number} slot The index of the slot
+	 * @param {Object} item The weapon or armor, or null to take it off
+	 * @return {Boolean} True if the equipment has changed
+	 */
+	changeEquip(slot, item) {
+		if (item && (!this.canEquip(item) || this.equipSlots()[slot] !== item.etypeId)) {
+			return false;
+		}
+		if (!this.tradeItemWithParty(item, this.equips()[slot])) {
+			return false;
+		}
+		this.forceChangeEquip(slot, item);
+		return true;
+	}
+
+	/**
+	 * Puts a weapon or armor in a slot without checks or trading with the
+	 * party.
+	 *
+	 * @method forceChangeEquip
+	 * @param {Number} slot The index of the slot
+	 * @param {Object} item The weapon or armor, or null to empty the slot
+	 */
+	forceChangeEquip(slot, item) {
+		this._equips[slot] = item ? { kind: GameItem.kindOf(item), id: item.id } : null;
+		this.releaseUnequippableItems(true);
+		this.refresh();
+	}
+
+	/**
+	 * Takes a weapon or armor from the inventory and puts another one back.
+	 *
+	 * @method tradeItemWithParty
+	 * @param {Object} newItem The item to take, or null
+	 * @param {Object} oldItem The item to put back, or null
+	 * @return {Boolean} False if the party does not have the new item
+	 */
+	tradeItemWithParty(newItem, oldItem) {
+		if (newItem && GameState.numItems(GameItem.kindOf(newItem), newItem.id) === 0) {
+			return false;
+		}
+		if (oldItem) {
+			GameState.gainItem(GameItem.kindOf(oldItem), oldItem.id, 1);
+		}
+		if (newItem) {
+			GameState.gainItem(GameItem.kindOf(newItem), newItem.id, -1);
+		}
+		return true;
+	}
+
+	/**
+	 * Takes off the equipment that the actor can no longer equip, such as
+	 * after a change of class.
+	 *
+	 * @method releaseUnequippableItems
+	 * @param {Boolean} forcing True to discard it, false to put it back in
+	 *        the party's inventory
+	 */
+	releaseUnequippableItems(forcing) {
+		var changed;
+		do {
+			changed = false;
+			var slots = this.equipSlots();
+			this.equips().forEach((item, slot) => {
+				if (item && (!this.canEquip(item) || item.etypeId !== slots[slot])) {
+					if (!forcing) {
+						this.tradeItemWithParty(null, item);
+					}
+					this._equips[slot] = null;
+					changed = true;
+				}
+			});
+		} while (changed);
+	}
+
+	/**
+	 * Takes off all the equipment and puts it in the party's inventory.
+	 *
+	 * @method clearEquipments
+	 */
+	clearEquipments() {
+		this.equipSlots().forEach((etypeId, slot) => {
+			this.changeEquip(slot, null);
+		});
+	}
+
+	/**
+	 * Gets the state of the actor as plain JSON, for save files.
+	 *
+	 * @method save
+	 * @return {Object} The saved state
+	 */
+	save() {
+		return {
+			actorId: this._actorId,
+			name: this._name,
+			nickname: this._nickname,
+			classId: this._classId,
+			level: this._level,
+			exp: Object.assign({}, this._exp),
+			skills: this._skills.slice(),
+			equips: this._equips.map(equip => equip ? Object.assign({}, equip) : null),
+			states: this._states.slice(),
+			paramPlus: this._paramPlus.slice(),
+			hp: this._hp,
+			mp: this._mp
+		};
+	}
+
+	/**
+	 * Restores the state returned by save.
+	 *
+	 * @method restore
+	 * @param {Object} data The saved state
+	 */
+	restore(data) {
+		this._actorId = data.actorId;
+		this._name = data.name;
+		this._nickname = data.nickname;
+		this._classId = data.classId;
+		this._level = data.level;
+		this._exp = Object.assign({}, data.exp);
+		this._skills = data.skills.slice();
+		this._equips = data.equips.map(equip => equip ? Object.assign({}, equip) : null);
+		this._states = data.states.slice();
+		this._paramPlus = data.paramPlus.slice();
+		this._hp = data.hp;
+		this._mp = data.mp;
+		this.refresh();
+	}
+}
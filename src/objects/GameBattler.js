@@ -0,0 +1,337 @@
+//-----------------------------------------------------------------------------
+/**
+ * The superclass of actors and enemies: parameters, traits, states, HP and
+ * MP. It only reads the database and knows nothing about rendering.
+ *
+ * The parameters are numbered like in the database: 0 mhp, 1 mmp, 2 atk,
+ * 3 def, 4 mat, 5 mdf, 6 agi and 7 luk.
+ *
+ * @class GameBattler
+ * @constructor
+ */
+//-----------------------------------------------------------------------------
+
+export default class GameBattler {
+
+	static TRAIT_PARAM = 21;
+	static TRAIT_XPARAM = 22;
+	static TRAIT_SPARAM = 23;
+	static TRAIT_EQUIP_WTYPE = 51;
+	static TRAIT_EQUIP_ATYPE = 52;
+	static TRAIT_SLOT_TYPE = 55;
+
+	/**
+	 * The state that is added when HP reaches 0.
+	 *
+	 * @static
+	 * @property deathStateId
+	 * @type Number
+	 */
+	static deathStateId = 1;
+
+	constructor() {
+		this._hp = 1;
+		this._mp = 0;
+		this._paramPlus = [0, 0, 0, 0, 0, 0, 0, 0];
+		this._states = [];
+	}
+
+	get mhp() { return this.param(0); }
+	get mmp() { return this.param(1); }
+	get atk() { return this.param(2); }
+	get def() { return this.param(3); }
+	get mat() { return this.param(4); }
+	get mdf() { return this.param(5); }
+	get agi() { return this.param(6); }
+	get luk() { return this.param(7); }
+	get hp() { return this._hp; }
+	get mp() { return this._mp; }
+
+	/**
+	 * Gets the objects whose traits apply to the battler.
+	 *
+	 * @method traitObjects
+	 * @return {Array} Database objects with traits
+	 */
+	traitObjects() {
+		return this.states();
+	}
+
+	/**
+	 * @method allTraits
+	 * @return {Array} All the traits that apply to the battler
+	 */
+	allTraits() {
+		return this.traitObjects().reduce((traits, object) => {
+			return traits.concat(object.traits);
+		}, []);
+	}
+
+	/**
+	 * @method traits
+	 * @param {Number} code The trait code
+	 * @return {Array} The traits with the code
+	 */
+	traits(code) {
+		return this.allTraits().filter(trait => trait.code === code);
+	}
+
+	/**
+	 * Multiplies the values of the traits with a code and data ID.
+	 *
+	 * @method traitsPi
+	 * @param {Number} code The trait code
+	 * @param {Number} id The data ID
+	 * @return {Number} The product, 1 if there are none
+	 */
+	traitsPi(code, id) {
+		return this.traits(code).reduce((value, trait) => {
+			return trait.dataId === id ? value * trait.value : value;
+		}, 1);
+	}
+
+	/**
+	 * Adds up the values of the traits with a code and data ID.
+	 *
+	 * @method traitsSum
+	 * @param {Number} code The trait code
+	 * @param {Number} id The data ID
+	 * @return {Number} The sum, 0 if there are none
+	 */
+	traitsSum(code, id) {
+		return this.traits(code).reduce((value, trait) => {
+			return trait.dataId === id ? value + trait.value : value;
+		}, 0);
+	}
+
+	/**
+	 * @method traitsSet
+	 * @param {Number} code The trait code
+	 * @return {Array} The data IDs of the traits with the code
+	 */
+	traitsSet(code) {
+		return this.traits(code).map(trait => trait.dataId);
+	}
+
+	/**
+	 * @method paramBase
+	 * @param {Number} paramId The parameter ID
+	 * @return {Number} The base value, before equipment and traits
+	 */
+	paramBase(paramId) {
+		return 0;
+	}
+
+	/**
+	 * @method paramPlus
+	 * @param {Number} paramId The parameter ID
+	 * @return {Number} The amount added to the base value
+	 */
+	paramPlus(paramId) {
+		return this._paramPlus[paramId];
+	}
+
+	/**
+	 * @method paramMin
+	 * @param {Number} paramId The parameter ID
+	 * @return {Number} The lowest value
+	 */
+	paramMin(paramId) {
+		return paramId === 1 ? 0 : 1;
+	}
+
+	/**
+	 * @method paramMax
+	 * @param {Number} paramId The parameter ID
+	 * @return {Number} The highest value
+	 */
+	paramMax(paramId) {
+		if (paramId === 0) {
+			return 999999;
+		} else if (paramId === 1) {
+			return 9999;
+		}
+		return 999;
+	}
+
+	/**
+	 * @method paramRate
+	 * @param {Number} paramId The parameter ID
+	 * @return {Number} The rate from the traits
+	 */
+	paramRate(paramId) {
+		return this.traitsPi(GameBattler.TRAIT_PARAM, paramId);
+	}
+
+	/**
+	 * Gets the current value of a parameter.
+	 *
+	 * @method param
+	 * @param {Number} paramId The parameter ID
+	 * @return {Number} The value
+	 */
+	param(paramId) {
+		var value = (this.paramBase(paramId) + this.paramPlus(paramId)) * this.paramRate(paramId);
+		return Math.round(value.clamp(this.paramMin(paramId), this.paramMax(paramId)));
+	}
+
+	/**
+	 * Gets an ex-parameter, such as the hit rate (0).
+	 *
+	 * @method xparam
+	 * @param {Number} xparamId The ex-parameter ID
+	 * @return {Number} The value
+	 */
+	xparam(xparamId) {
+		return this.traitsSum(GameBattler.TRAIT_XPARAM, xparamId);
+	}
+
+	/**
+	 * Gets a sp-parameter, such as the experience rate (9).
+	 *
+	 * @method sparam
+	 * @param {Number} sparamId The sp-parameter ID
+	 * @return {Number} The value
+	 */
+	sparam(sparamId) {
+		return this.traitsPi(GameBattler.TRAIT_SPARAM, sparamId);
+	}
+
+	/**
+	 * Adds to a parameter permanently, such as with a seed item.
+	 *
+	 * @method addParam
+	 * @param {Number} paramId The parameter ID
+	 * @param {Number} value The amount
+	 */
+	addParam(paramId, value) {
+		this._paramPlus[paramId] += value;
+		this.refresh();
+	}
+
+	/**
+	 * @method states
+	 * @return {Array} The states from the database, highest priority first
+	 */
+	states() {
+		return this._states.map(id => $dataStates[id]);
+	}
+
+	/**
+	 * @method isStateAffected
+	 * @param {Number} stateId The state ID
+	 * @return {Boolean} True if the battler has the state
+	 */
+	isStateAffected(stateId) {
+		return this._states.contains(stateId);
+	}
+
+	/**
+	 * @method addState
+	 * @param {Number} stateId The state ID
+	 */
+	addState(stateId) {
+		if (!this.isStateAffected(stateId) && $dataStates[stateId]) {
+			this._states.push(stateId);
+			this._states.sort((a, b) => $dataStates[b].priority - $dataStates[a].priority);
+			if (stateId === GameBattler.deathStateId) {
+				this._hp = 0;
+			}
+			this.refresh();
+		}
+	}
+
+	/**
+	 * Removes a state. Removing the death state revives the battler with
+	 * 1 HP.
+	 *
+	 * @method removeState
+	 * @param {Number} stateId The state ID
+	 */
+	removeState(stateId) {
+		var index = this._states.indexOf(stateId);
+		if (index >= 0) {
+			this._states.splice(index, 1);
+			if (stateId === GameBattler.deathStateId && this._hp === 0) {
+				this._hp = 1;
+			}
+			this.refresh();
+		}
+	}
+
+	/**
+	 * @method clearStates
+	 */
+	clearStates() {
+		this._states = [];
+	}
+
+	/**
+	 * @method isDead
+	 * @return {Boolean} True if the battler has the death state
+	 */
+	isDead() {
+		return this.isStateAffected(GameBattler.deathStateId);
+	}
+
+	/**
+	 * @method setHp
+	 * @param {Number} hp The new HP
+	 */
+	setHp(hp) {
+		this._hp = hp;
+		this.refresh();
+	}
+
+	/**
+	 * @method setMp
+	 * @param {Number} mp The new MP
+	 */
+	setMp(mp) {
+		this._mp = mp;
+		this.refresh();
+	}
+
+	/**
+	 * @method hpRate
+	 * @return {Number} The HP as a fraction of the max HP
+	 */
+	hpRate() {
+		return this.hp / this.mhp;
+	}
+
+	/**
+	 * @method mpRate
+	 * @return {Number} The MP as a fraction of the max MP
+	 */
+	mpRate() {
+		return this.mmp > 0 ? this.mp / this.mmp : 0;
+	}
+
+	/**
+	 * Keeps HP and MP within their max values and adds or removes the
+	 * death state. Called after anything that can change the parameters.
+	 *
+	 * @method refresh
+	 */
+	refresh() {
+		this._hp = this._hp.clamp(0, this.mhp);
+		this._mp = this._mp.clamp(0, this.mmp);
+		if (this._hp === 0 && !this.isDead()) {
+			this.addState(GameBattler.deathStateId);
+		} else if (this._hp > 0 && this.isDead()) {
+			this.removeState(GameBattler.deathStateId);
+		}
+	}
+
+	/**
+	 * Removes all the states and restores HP and MP.
+	 *
+	 * @method recoverAll
+	 */
+	recoverAll() {
+		this.clearStates();
+		this._hp = this.mhp;
+		this._mp = this.mmp;
+	}
+}
@@ -0,0 +1,71 @@
+//-----------------------------------------------------------------------------
+/**
+ * The static class that tells items, weapons and armors apart and finds
+ * them in the database. The game state and the equipment refer to them by
+ * kind ('item', 'weapon' or 'armor') and ID.
+ *
+ * @class GameItem
+ */
+//-----------------------------------------------------------------------------
+
+export default class GameItem {
+	constructor() {
+		throw new Error('This is a static class');
+	}
+
+	/**
+	 * Gets the kind of a database object.
+	 *
+	 * @static
+	 * @method kindOf
+	 * @param {Object} item An item, weapon or armor from the database
+	 * @return {String} 'item', 'weapon' or 'armor', or null for anything else
+	 */
+	static kindOf(item) {
+		if (!item) {
+			return null;
+		} else if (item.hasOwnProperty('itypeId')) {
+			return 'item';
+		} else if (item.hasOwnProperty('wtypeId')) {
+			return 'weapon';
+		} else if (item.hasOwnProperty('atypeId')) {
+			return 'armor';
+		}
+		return null;
+	}
+
+	/**
+	 * Gets a database object from its kind and ID.
+	 *
+	 * @static
+	 * @method object
+	 * @param {String} kind 'item', 'weapon' or 'armor'
+	 * @param {Number} id The ID
+	 * @return {Object} The database object, or null if there is none
+	 */
+	static object(kind, id) {
+		var table = GameItem.table(kind);
+		return (table && table[id]) || null;
+	}
+
+	/**
+	 * Gets the database table of a kind.
+	 *
+	 * @static
+	 * @method table
+	 * @param {String} kind 'item', 'weapon' or 'armor'
+	 * @return {Array} $dataItems, $dataWeapons or $dataArmors
+	 */
+	static table(kind) {
+		switch (kind) {
+			case 'item':
+				return $dataItems;
+			case 'weapon':
+				return $dataWeapons;
+			case 'armor':
+				return $dataArmors;
+			default:
+				throw new Error('Unknown item kind: ' + kind);
+		}
+	}
+}
@@ -0,0 +1,300 @@
+import GameState from '../GameState';
+import GameActor from './GameActor';
+import GameItem from './GameItem';
+
+//-----------------------------------------------------------------------------
+/**
+ * The party: its members, and the gold and items it carries, which are kept
+ * in GameState.
+ *
+ * The party also owns the GameActor of every actor that has been used, so
+ * an actor keeps its level and equipment while out of the party.
+ *
+ * @class GameParty
+ * @constructor
+ */
+//-----------------------------------------------------------------------------
+
+export default class GameParty {
+
+	/**
+	 * The number of members that fight in battle.
+	 *
+	 * @static
+	 * @property maxBattleMembers
+	 * @type Number
+	 */
+	static maxBattleMembers = 4;
+
+	constructor() {
+		this._actors = {};
+		this._actorIds = [];
+	}
+
+	/**
+	 * Gets the GameActor of an actor, creating it the first time.
+	 *
+	 * @method actor
+	 * @param {Number} actorId The ID in Actors.json
+	 * @return {GameActor} The actor, or null if there is no such actor
+	 */
+	actor(actorId) {
+		if (!$dataActors[actorId]) {
+			return null;
+		}
+		if (!this._actors[actorId]) {
+			this._actors[actorId] = new GameActor(actorId);
+		}
+		return this._actors[actorId];
+	}
+
+	/**
+	 * Puts the starting party of System.json together.
+	 *
+	 * @method setupStartingMembers
+	 */
+	setupStartingMembers() {
+		this._actorIds = [];
+		$dataSystem.partyMembers.forEach(actorId => this.addActor(actorId));
+	}
+
+	/**
+	 * @method addActor
+	 * @param {Number} actorId The ID in Actors.json
+	 */
+	addActor(actorId) {
+		if (!this._actorIds.contains(actorId) && this.actor(actorId)) {
+			this._actorIds.push(actorId);
+		}
+	}
+
+	/**
+	 * @method removeActor
+	 * @param {Number} actorId The ID in Actors.json
+	 */
+	removeActor(actorId) {
+		var index = this._actorIds.indexOf(actorId);
+		if (index >= 0) {
+			this._actorIds.splice(index, 1);
+		}
+	}
+
+	/**
+	 * @method members
+	 * @return {Array} The actors in the party, in order
+	 */
+	members() {
+		return this._actorIds.map(actorId => this.actor(actorId));
+	}
+
+	/**
+	 * @method battleMembers
+	 * @return {Array} The actors that fight in battle
+	 */
+	battleMembers() {
+		return this.members().slice(0, GameParty.maxBattleMembers);
+	}
+
+	/**
+	 * @method leader
+	 * @return {GameActor} The first member, or null if the party is empty
+	 */
+	leader() {
+		return this.members()[0] || null;
+	}
+
+	/**
+	 * @method size
+	 * @return {Number} The number of members
+	 */
+	size() {
+		return this._actorIds.length;
+	}
+
+	/**
+	 * @method highestLevel
+	 * @return {Number} The highest level among the members
+	 */
+	highestLevel() {
+		return Math.max.apply(null, this.members().map(actor => actor.level).concat([0]));
+	}
+
+	/**
+	 * Gets the faces of the battle members, for the save file header.
+	 *
+	 * @method faces
+	 * @return {Array} The face name and index of each member
+	 */
+	faces() {
+		return this.battleMembers().map(actor => [actor.faceName(), actor.faceIndex()]);
+	}
+
+	/**
+	 * @method gold
+	 * @return {Number} The gold of the party
+	 */
+	gold() {
+		return GameState.gold();
+	}
+
+	/**
+	 * @method gainGold
+	 * @param {Number} amount The gold to add
+	 */
+	gainGold(amount) {
+		GameState.gainGold(amount);
+	}
+
+	/**
+	 * @method loseGold
+	 * @param {Number} amount The gold to take away
+	 */
+	loseGold(amount) {
+		GameState.gainGold(-amount);
+	}
+
+	/**
+	 * @method numItems
+	 * @param {Object} item An item, weapon or armor from the database
+	 * @return {Number} The number in the inventory
+	 */
+	numItems(item) {
+		return GameItem.kindOf(item) ? GameState.numItems(GameItem.kindOf(item), item.id) : 0;
+	}
+
+	/**
+	 * @method hasItem
+	 * @param {Object} item An item, weapon or armor from the database
+	 * @param {Boolean} [includeEquip] True to count the equipment of the
+	 *        members
+	 * @return {Boolean} True if the party has the item
+	 */
+	hasItem(item, includeEquip) {
+		return this.numItems(item) > 0 || (!!includeEquip && this.isAnyMemberEquipped(item));
+	}
+
+	/**
+	 * @method isAnyMemberEquipped
+	 * @param {Object} item A weapon or armor from the database
+	 * @return {Boolean} True if a member has it equipped
+	 */
+	isAnyMemberEquipped(item) {
+		return this.members().some(actor => actor.equips().contains(item));
+	}
+
+	/**
+	 * Adds items to the inventory, or takes them away with a negative
+	 * amount. Taking more than the inventory has can take the rest from
+	 * the members' equipment.
+	 *
+	 * @method gainItem
+	 * @param {Object} item An item, weapon or armor from the database
+	 * @param {Number} amount The amount
+	 * @param {Boolean} [includeEquip] True to take the equipment of the
+	 *        members when the inventory runs out
+	 */
+	gainItem(item, amount, includeEquip) {
+		var kind = GameItem.kindOf(item);
+		if (!kind) {
+			return;
+		}
+		var missing = -(this.numItems(item) + amount);
+		GameState.gainItem(kind, item.id, amount);
+		if (includeEquip && missing > 0) {
+			this.discardMembersEquip(item, missing);
+		}
+	}
+
+	/**
+	 * @method loseItem
+	 * @param {Object} item An item, weapon or armor from the database
+	 * @param {Number} amount The amount
+	 * @param {Boolean} [includeEquip] See gainItem
+	 */
+	loseItem(item, amount, includeEquip) {
+		this.gainItem(item, -amount, includeEquip);
+	}
+
+	/**
+	 * Takes a weapon or armor off the members and throws it away.
+	 *
+	 * @method discardMembersEquip
+	 * @param {Object} item The weapon or armor
+	 * @param {Number} amount The number to discard
+	 */
+	discardMembersEquip(item, amount) {
+		this.members().forEach(actor => {
+			actor.equips().forEach((equip, slot) => {
+				if (amount > 0 && equip === item) {
+					actor.forceChangeEquip(slot, null);
+					amount--;
+				}
+			});
+		});
+	}
+
+	/**
+	 * @method items
+	 * @return {Array} The items in the inventory
+	 */
+	items() {
+		return this._inventory('item');
+	}
+
+	/**
+	 * @method weapons
+	 * @return {Array} The weapons in the inventory
+	 */
+	weapons() {
+		return this._inventory('weapon');
+	}
+
+	/**
+	 * @method armors
+	 * @return {Array} The armors in the inventory
+	 */
+	armors() {
+		return this._inventory('armor');
+	}
+
+	/**
+	 * Gets the members and the actors as plain JSON, for save files.
+	 *
+	 * @method save
+	 * @return {Object} The saved state
+	 */
+	save() {
+		var actors = {};
+		Object.keys(this._actors).forEach(actorId => {
+			actors[actorId] = this._actors[actorId].save();
+		});
+		return { actorIds: this._actorIds.slice(), actors: actors };
+	}
+
+	/**
+	 * Restores the state returned by save.
+	 *
+	 * @method restore
+	 * @param {Object} data The saved state
+	 */
+	restore(data) {
+		this._actors = {};
+		Object.keys(data.actors).forEach(actorId => {
+			var actor = new GameActor(Number(actorId));
+			actor.restore(data.actors[actorId]);
+			this._actors[actorId] = actor;
+		});
+		this._actorIds = data.actorIds.slice();
+	}
+
+	/**
+	 * @method _inventory
+	 * @param {String} kind
+	 * @return {Array}
+	 * @private
+	 */
+	_inventory(kind) {
+		var counts = GameState.getState()[kind + 's'];
+		return Object.keys(counts).map(id => GameItem.object(kind, Number(id))).filter(item => !!item);
+	}
+}
@@ -0,0 +1,208 @@
+import { Component, PropTypes } from 'react';
+import AssetLoader from '../AssetLoader';
+import Ticker from '../core/Ticker';
+
+//-----------------------------------------------------------------------------
+/**
+ * The superclass of all scene components in the game.
+ *
+ * SceneManager mounts a scene component and drives it through the same
+ * lifecycle as Scene_Base: create, isReady, start, update, stop, isBusy
+ * and terminate. Subclasses override the hooks they need and render a
+ * SceneStage as their root element.
+ *
+ * The assets a scene needs are declared in a static `assets` manifest
+ * (see AssetLoader), or by overriding assetManifest. The scene does not
+ * start before all of them have been loaded.
+ *
+ * @class SceneBase
+ * @constructor
+ */
+//-----------------------------------------------------------------------------
+
+export default class SceneBase extends Component {
+
+  static childContextTypes = {
+    scene: PropTypes.object,
+    ticker: PropTypes.object
+  };
+
+  constructor(props) {
+    super(props);
+    this._active = false;
+    this._stage = null;
+    this._ticker = new Ticker();
+    this._assetLoader = null;
+  }
+
+  getChildContext() {
+    return {
+      scene: this,
+      ticker: this._ticker
+    };
+  }
+
+  /**
+   * Gets the SceneStage the scene renders into.
+   *
+   * @method stage
+   * @return {SceneStage} The stage, or null before it has been mounted
+   */
+  stage() {
+    return this._stage;
+  }
+
+  /**
+   * Called by SceneStage when it is mounted or unmounted.
+   *
+   * @method setStage
+   * @param {SceneStage} stage The stage of the scene
+   */
+  setStage(stage) {
+    this._stage = stage;
+  }
+
+  /**
+   * Gets the manifest of the assets the scene needs.
+   *
+   * @method assetManifest
+   * @return {Object} The manifest, the static `assets` by default
+   */
+  assetManifest() {
+    return this.constructor.assets || {};
+  }
+
+  /**
+   * Starts loading the assets in the manifest. Called by SceneManager
+   * right before create.
+   *
+   * @method loadAssets
+   */
+  loadAssets() {
+    this._assetLoader = new AssetLoader(this.assetManifest());
+    this._assetLoader.load();
+  }
+
+  /**
+   * Gets the loader of the scene's assets, which gives access to the loaded
+   * images and data.
+   *
+   * @method assets
+   * @return {AssetLoader} The asset loader
+   */
+  assets() {
+    return this._assetLoader;
+  }
+
+  /**
+   * Checks whether all the assets in the manifest have been loaded. Throws
+   * an error naming the assets that failed.
+   *
+   * @method isLoaded
+   * @return {Boolean} True if the assets have been loaded
+   */
+  isLoaded() {
+    if (this._assetLoader) {
+      this._assetLoader.checkErrors();
+      return this._assetLoader.isReady();
+    }
+    return true;
+  }
+
+  /**
+   * Called once right after the scene has been mounted.
+   *
+   * @method create
+   */
+  create() {
+  }
+
+  /**
+   * Checks whether the scene is active.
+   *
+   * @method isActive
+   * @return {Boolean} True if the scene is active
+   */
+  isActive() {
+    return this._active;
+  }
+
+  /**
+   * Checks whether the scene is ready to start. SceneManager keeps the
+   * loading screen up until this returns true.
+   *
+   * @method isReady
+   * @return {Boolean} True if the scene is ready to start
+   */
+  isReady() {
+    return true;
+  }
+
+  /**
+   * Called once when the scene becomes ready.
+   *
+   * @method start
+   */
+  start() {
+    this._active = true;
+  }
+
+  /**
+   * Updates the scene for each fixed step of SceneManager's loop and passes
+   * the step on to the components subscribed to the scene's ticker.
+   * Subclasses should call super.
+   *
+   * @method update
+   * @param {Number} delta The fixed time step in seconds
+   */
+  update(delta) {
+    this._ticker.update(delta);
+  }
+
+  /**
+   * Called when another scene has been requested.
+   *
+   * @method stop
+   */
+  stop() {
+    this._active = false;
+  }
+
+  /**
+   * Checks whether the scene is busy. SceneManager does not leave the
+   * scene while this returns true.
+   *
+   * @method isBusy
+   * @return {Boolean} True if the scene is busy
+   */
+  isBusy() {
+    return false;
+  }
+
+  /**
+   * Called when the scene has been pushed onto the stack and hidden. The
+   * component stays mounted but receives no updates until it is resumed.
+   *
+   * @method onSuspend
+   */
+  onSuspend() {
+  }
+
+  /**
+   * Called when pop returns to the scene while it is still mounted, in
+   * place of create and start. Subclasses should call super.
+   *
+   * @method onResume
+   */
+  onResume() {
+    this._active = true;
+  }
+
+  /**
+   * Called right before the scene is unmounted.
+   *
+   * @method terminate
+   */
+  terminate() {
+  }
+}
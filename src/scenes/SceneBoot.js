@@ -0,0 +1,170 @@
+import React from 'react';
+import DataManager from '../DataManager';
+import ImageManager from '../ImageManager';
+import LaunchOptions from '../LaunchOptions';
+import Localization from '../Localization';
+import SceneManager from '../SceneManager';
+import SceneBase from './SceneBase';
+import SceneStage from './SceneStage';
+
+//-----------------------------------------------------------------------------
+/**
+ * The scene that loads the database, the game font and the system images,
+ * then goes to the title or to a test mode.
+ *
+ * @class SceneBoot
+ * @constructor
+ */
+//-----------------------------------------------------------------------------
+
+export default class SceneBoot extends SceneBase {
+
+  static systemImages = [
+    'IconSet', 'Balloon', 'Shadow1', 'Shadow2', 'Damage', 'States',
+    'Weapons1', 'Weapons2', 'Weapons3', 'ButtonSet', 'Window'
+  ];
+
+  /**
+   * The scene that the battle test (btest) goes to.
+   *
+   * @static
+   * @property battleScene
+   * @type Function
+   */
+  static battleScene = null;
+
+  /**
+   * The scene that the event test (etest) goes to.
+   *
+   * @static
+   * @property mapScene
+   * @type Function
+   */
+  static mapScene = null;
+
+  /**
+   * Gets the position the player starts at, from System.json unless the
+   * startMapId, startX and startY launch options override it.
+   *
+   * @static
+   * @method startPosition
+   * @param {Object} system The contents of System.json
+   * @return {Object} The mapId, x and y of the start position
+   */
+  static startPosition(system) {
+    var mapId = LaunchOptions.get('startMapId') || system.startMapId;
+    var x = LaunchOptions.get('startX');
+    var y = LaunchOptions.get('startY');
+    return {
+      mapId: mapId,
+      x: x !== null ? x : system.startX,
+      y: y !== null ? y : system.startY
+    };
+  }
+
+  assetManifest() {
+    return {
+      fonts: [{ name: 'GameFont', url: 'fonts/mplus-1m-regular.ttf' }]
+    };
+  }
+
+  create() {
+    super.create();
+    this._localeRequested = false;
+    DataManager.loadDatabase();
+    this.loadSystemImages();
+  }
+
+  /**
+   * Reserves the system images in ImageManager, so that they stay in its
+   * cache for the whole game.
+   *
+   * @method loadSystemImages
+   */
+  loadSystemImages() {
+    SceneBoot.systemImages.forEach(name => {
+      ImageManager.reserveBitmap('system', name, 0, 'system');
+    });
+  }
+
+  isReady() {
+    if (!DataManager.isDatabaseLoaded()) {
+      return false;
+    }
+    if (!this._localeRequested) {
+      this._localeRequested = true;
+      this.loadLocale();
+    }
+    return Localization.isReady() && super.isReady();
+  }
+
+  /**
+   * Switches to the locale given by the locale launch option. The game
+   * starts in the locale of System.json if it cannot be loaded.
+   *
+   * @method loadLocale
+   */
+  loadLocale() {
+    var locale = LaunchOptions.get('locale');
+    if (locale) {
+      Localization.setLocale(locale).catch(() => {});
+    }
+  }
+
+  start() {
+    super.start();
+    this.updateDocumentTitle();
+    if (LaunchOptions.get('btest')) {
+      SceneManager.goto(this.testScene(SceneBoot.battleScene, 'battleScene', 'battle test'));
+    } else if (LaunchOptions.get('etest')) {
+      this.checkPlayerLocation();
+      SceneManager.goto(this.testScene(SceneBoot.mapScene, 'mapScene', 'event test'));
+    } else {
+      this.checkPlayerLocation();
+      SceneManager.goto(SceneManager.titleScene());
+    }
+  }
+
+  /**
+   * Throws an error if the start position does not point to an existing map.
+   *
+   * @method checkPlayerLocation
+   */
+  checkPlayerLocation() {
+    var position = SceneBoot.startPosition($dataSystem);
+    if (position.mapId === 0) {
+      throw new Error('Player\'s starting position is not set');
+    }
+    if (!$dataMapInfos[position.mapId]) {
+      throw new Error('The start map ' + position.mapId + ' is not in MapInfos.json');
+    }
+  }
+
+  /**
+   * Gets the scene of a test mode. Throws an error if the game has not set
+   * one.
+   *
+   * @method testScene
+   * @param {Function} sceneClass The scene, or null
+   * @param {String} property The static property of SceneBoot to set
+   * @param {String} mode The name of the test mode
+   * @return {Function} The scene
+   */
+  testScene(sceneClass, property, mode) {
+    if (!sceneClass) {
+      throw new Error('The ' + mode + ' cannot run: no scene has been set for it in SceneBoot.' +
+        property + '.');
+    }
+    return sceneClass;
+  }
+
+  updateDocumentTitle() {
+    document.title = Localization.system('gameTitle');
+  }
+
+  render() {
+    return (
+      <SceneStage backgroundcolor={0x000000} />
+    );
+  }
+}
@@ -0,0 +1,69 @@
+import React, { Component, PropTypes } from 'react';
+import { Stage } from 'react-pixi';
+import Graphics from '../Graphics';
+
+//-----------------------------------------------------------------------------
+/**
+ * The root element of a scene component.
+ *
+ * It wraps the react-pixi Stage, stops the Stage's own render loop and
+ * registers itself with the scene, so that SceneManager renders it through
+ * Graphics once per displayed frame.
+ *
+ * @class SceneStage
+ * @constructor
+ */
+//-----------------------------------------------------------------------------
+
+export default class SceneStage extends Component {
+
+  static contextTypes = {
+    scene: PropTypes.object
+  };
+
+  componentDidMount() {
+    const stage = this.refs.stage;
+    window.cancelAnimationFrame(stage._rAFID);
+    stage._rAFID = undefined;
+    if (this.context.scene) {
+      this.context.scene.setStage(this);
+    }
+  }
+
+  componentWillUnmount() {
+    if (this.context.scene) {
+      this.context.scene.setStage(null);
+    }
+  }
+
+  /**
+   * Gets the pixi.js renderer of the stage.
+   *
+   * @method renderer
+   * @return {PIXI.SystemRenderer} The renderer
+   */
+  renderer() {
+    return this.refs.stage._pixirenderer;
+  }
+
+  /**
+   * Gets the root display object of the stage.
+   *
+   * @method displayObject
+   * @return {PIXI.Container} The root container
+   */
+  displayObject() {
+    return this.refs.stage._displayObject;
+  }
+
+  render() {
+    return (
+      <Stage
+        ref="stage"
+        width={Graphics.width}
+        height={Graphics.height}
+        {...this.props}
+      />
+    );
+  }
+}
@@ -0,0 +1,33 @@
+import React from 'react';
+import PIXI from 'pixi.js';
+import { Text } from 'react-pixi';
+import Graphics from '../Graphics';
+import Localization from '../Localization';
+import SceneBase from './SceneBase';
+import SceneStage from './SceneStage';
+
+//-----------------------------------------------------------------------------
+/**
+ * The scene shown after the game has exited in a browser, where the window
+ * cannot be closed.
+ *
+ * @class SceneThanks
+ * @constructor
+ */
+//-----------------------------------------------------------------------------
+
+export default class SceneThanks extends SceneBase {
+  render() {
+    return (
+      <SceneStage backgroundcolor={0x000000}>
+        <Text
+          text={Localization.message('Thanks for playing!')}
+          style={{ font: '28px ' + Localization.fontFamily(), fill: 'white' }}
+          x={Graphics.width / 2}
+          y={Graphics.height / 2}
+          anchor={new PIXI.Point(0.5, 0.5)}
+        />
+      </SceneStage>
+    );
+  }
+}
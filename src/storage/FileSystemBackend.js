@@ -0,0 +1,79 @@
+//-----------------------------------------------------------------------------
+/**
+ * The storage backend that keeps the save files in a folder under NW.js,
+ * with the same names as RPG Maker MV ('save/file1.rpgsave').
+ *
+ * @class FileSystemBackend
+ * @constructor
+ * @param {String} [directory] The folder of the save files; 'save' next to
+ *        the main module by default
+ */
+//-----------------------------------------------------------------------------
+
+export default class FileSystemBackend {
+	constructor(directory) {
+		this._fs = window.require('fs');
+		this._path = window.require('path');
+		this._directory = directory || this._path.join(
+			this._path.dirname(window.process.mainModule.filename), 'save');
+	}
+
+	/**
+	 * @method exists
+	 * @param {String} name The name of the save file, such as 'file1'
+	 * @return {Boolean} True if the file exists
+	 */
+	exists(name) {
+		return this._fs.existsSync(this.filePath(name));
+	}
+
+	/**
+	 * @method load
+	 * @param {String} name The name of the save file
+	 * @return {String} The contents, or null if the file does not exist
+	 */
+	load(name) {
+		if (!this.exists(name)) {
+			return null;
+		}
+		return this._fs.readFileSync(this.filePath(name), { encoding: 'utf8' });
+	}
+
+	/**
+	 * Writes a save file. The contents go to a temporary file first, so a
+	 * crash while writing does not destroy the previous save.
+	 *
+	 * @method save
+	 * @param {String} name The name of the save file
+	 * @param {String} data The contents
+	 */
+	save(name, data) {
+		if (!this._fs.existsSync(this._directory)) {
+			this._fs.mkdirSync(this._directory);
+		}
+		var filePath = this.filePath(name);
+		this._fs.writeFileSync(filePath + '.tmp', data);
+		this._fs.renameSync(filePath + '.tmp', filePath);
+	}
+
+	/**
+	 * @method remove
+	 * @param {String} name The name of the save file
+	 */
+	remove(name) {
+		if (this.exists(name)) {
+			this._fs.unlinkSync(this.filePath(name));
+		}
+	}
+
+	/**
+	 * Gets the path of a save file.
+	 *
+	 * @method filePath
+	 * @param {String} name The name of the save file
+	 * @return {String} The path
+	 */
+	filePath(name) {
+		return this._path.join(this._directory, name + '.rpgsave');
+	}
+}
@@ -0,0 +1,62 @@
+//-----------------------------------------------------------------------------
+/**
+ * The storage backend that keeps the save files in the localStorage of the
+ * browser, under the same keys as RPG Maker MV ('RPG File1', 'RPG Global').
+ *
+ * @class LocalStorageBackend
+ * @constructor
+ * @param {String} [prefix='RPG '] The prefix of the keys
+ */
+//-----------------------------------------------------------------------------
+
+export default class LocalStorageBackend {
+	constructor(prefix) {
+		this._prefix = prefix !== undefined ? prefix : 'RPG ';
+	}
+
+	/**
+	 * @method exists
+	 * @param {String} name The name of the save file, such as 'file1'
+	 * @return {Boolean} True if the file exists
+	 */
+	exists(name) {
+		return !!localStorage.getItem(this.key(name));
+	}
+
+	/**
+	 * @method load
+	 * @param {String} name The name of the save file
+	 * @return {String} The contents, or null if the file does not exist
+	 */
+	load(name) {
+		return localStorage.getItem(this.key(name));
+	}
+
+	/**
+	 * @method save
+	 * @param {String} name The name of the save file
+	 * @param {String} data The contents
+	 */
+	save(name, data) {
+		localStorage.setItem(this.key(name), data);
+	}
+
+	/**
+	 * @method remove
+	 * @param {String} name The name of the save file
+	 */
+	remove(name) {
+		localStorage.removeItem(this.key(name));
+	}
+
+	/**
+	 * Gets the localStorage key of a save file.
+	 *
+	 * @method key
+	 * @param {String} name The name of the save file
+	 * @return {String} The key, such as 'RPG File1'
+	 */
+	key(name) {
+		return this._prefix + name.charAt(0).toUpperCase() + name.slice(1);
+	}
+}
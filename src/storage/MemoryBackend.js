@@ -0,0 +1,50 @@
+//-----------------------------------------------------------------------------
+/**
+ * The storage backend that keeps the save files in memory. Used for scripts
+ * and tests running under Node.
+ *
+ * @class MemoryBackend
+ * @constructor
+ */
+//-----------------------------------------------------------------------------
+
+export default class MemoryBackend {
+	constructor() {
+		this._files = {};
+	}
+
+	/**
+	 * @method exists
+	 * @param {String} name The name of the save file, such as 'file1'
+	 * @return {Boolean} True if the file exists
+	 */
+	exists(name) {
+		return this._files.hasOwnProperty(name);
+	}
+
+	/**
+	 * @method load
+	 * @param {String} name The name of the save file
+	 * @return {String} The contents, or null if the file does not exist
+	 */
+	load(name) {
+		return this.exists(name) ? this._files[name] : null;
+	}
+
+	/**
+	 * @method save
+	 * @param {String} name The name of the save file
+	 * @param {String} data The contents
+	 */
+	save(name, data) {
+		this._files[name] = data;
+	}
+
+	/**
+	 * @method remove
+	 * @param {String} name The name of the save file
+	 */
+	remove(name) {
+		delete this._files[name];
+	}
+}
@@ -0,0 +1,280 @@
+import Tiles from './Tiles';
+
+/**
+ * The static class that decodes autotiles, the tiles of the A1 to A4 sheets.
+ *
+ * An autotile is drawn from four quarter tiles picked out of its block in
+ * the sheet according to its shape. quarterRects gives the source and
+ * destination rectangles of those quarters. The water and waterfalls of A1
+ * animate: the frame of the animation moves the block across the sheet for
+ * water and down it for waterfalls.
+ *
+ * @class Autotiles
+ */
+
+export default class Autotiles {
+	constructor() {
+		throw new Error('This is a static class');
+	}
+
+	/**
+	 * The quarter tiles of the 48 shapes of a floor autotile, as positions
+	 * in its block of 2 by 3 tiles, given in quarter tiles.
+	 *
+	 * @static
+	 * @property FLOOR_AUTOTILE_TABLE
+	 * @type Array
+	 */
+	static FLOOR_AUTOTILE_TABLE = [
+		[[2, 4], [1, 4], [2, 3], [1, 3]], [[2, 0], [1, 4], [2, 3], [1, 3]],
+		[[2, 4], [3, 0], [2, 3], [1, 3]], [[2, 0], [3, 0], [2, 3], [1, 3]],
+		[[2, 4], [1, 4], [2, 3], [3, 1]], [[2, 0], [1, 4], [2, 3], [3, 1]],
+		[[2, 4], [3, 0], [2, 3], [3, 1]], [[2, 0], [3, 0], [2, 3], [3, 1]],
+		[[2, 4], [1, 4], [2, 1], [1, 3]], [[2, 0], [1, 4], [2, 1], [1, 3]],
+		[[2, 4], [3, 0], [2, 1], [1, 3]], [[2, 0], [3, 0], [2, 1], [1, 3]],
+		[[2, 4], [1, 4], [2, 1], [3, 1]], [[2, 0], [1, 4], [2, 1], [3, 1]],
+		[[2, 4], [3, 0], [2, 1], [3, 1]], [[2, 0], [3, 0], [2, 1], [3, 1]],
+		[[0, 4], [1, 4], [0, 3], [1, 3]], [[0, 4], [3, 0], [0, 3], [1, 3]],
+		[[0, 4], [1, 4], [0, 3], [3, 1]], [[0, 4], [3, 0], [0, 3], [3, 1]],
+		[[2, 2], [1, 2], [2, 3], [1, 3]], [[2, 2], [1, 2], [2, 3], [3, 1]],
+		[[2, 2], [1, 2], [2, 1], [1, 3]], [[2, 2], [1, 2], [2, 1], [3, 1]],
+		[[2, 4], [3, 4], [2, 3], [3, 3]], [[2, 4], [3, 4], [2, 1], [3, 3]],
+		[[2, 0], [3, 4], [2, 3], [3, 3]], [[2, 0], [3, 4], [2, 1], [3, 3]],
+		[[2, 4], [1, 4], [2, 5], [1, 5]], [[2, 0], [1, 4], [2, 5], [1, 5]],
+		[[2, 4], [3, 0], [2, 5], [1, 5]], [[2, 0], [3, 0], [2, 5], [1, 5]],
+		[[0, 4], [3, 4], [0, 3], [3, 3]], [[2, 2], [1, 2], [2, 5], [1, 5]],
+		[[0, 2], [1, 2], [0, 3], [1, 3]], [[0, 2], [1, 2], [0, 3], [3, 1]],
+		[[2, 2], [3, 2], [2, 3], [3, 3]], [[2, 2], [3, 2], [2, 1], [3, 3]],
+		[[2, 4], [3, 4], [2, 5], [3, 5]], [[2, 0], [3, 4], [2, 5], [3, 5]],
+		[[0, 4], [1, 4], [0, 5], [1, 5]], [[0, 4], [3, 0], [0, 5], [1, 5]],
+		[[0, 2], [3, 2], [0, 3], [3, 3]], [[0, 2], [1, 2], [0, 5], [1, 5]],
+		[[0, 4], [3, 4], [0, 5], [3, 5]], [[2, 2], [3, 2], [2, 5], [3, 5]],
+		[[0, 2], [3, 2], [0, 5], [3, 5]], [[0, 0], [1, 0], [0, 1], [1, 1]]
+	];
+
+	/**
+	 * The quarter tiles of the 16 shapes of a wall or roof autotile, in its
+	 * block of 2 by 2 tiles.
+	 *
+	 * @static
+	 * @property WALL_AUTOTILE_TABLE
+	 * @type Array
+	 */
+	static WALL_AUTOTILE_TABLE = [
+		[[2, 2], [1, 2], [2, 1], [1, 1]], [[0, 2], [1, 2], [0, 1], [1, 1]],
+		[[2, 0], [1, 0], [2, 1], [1, 1]], [[0, 0], [1, 0], [0, 1], [1, 1]],
+		[[2, 2], [3, 2], [2, 1], [3, 1]], [[0, 2], [3, 2], [0, 1], [3, 1]],
+		[[2, 0], [3, 0], [2, 1], [3, 1]], [[0, 0], [3, 0], [0, 1], [3, 1]],
+		[[2, 2], [1, 2], [2, 3], [1, 3]], [[0, 2], [1, 2], [0, 3], [1, 3]],
+		[[2, 0], [1, 0], [2, 3], [1, 3]], [[0, 0], [1, 0], [0, 3], [1, 3]],
+		[[2, 2], [3, 2], [2, 3], [3, 3]], [[0, 2], [3, 2], [0, 3], [3, 3]],
+		[[2, 0], [3, 0], [2, 3], [3, 3]], [[0, 0], [3, 0], [0, 3], [3, 3]]
+	];
+
+	/**
+	 * The quarter tiles of the 4 shapes of a waterfall autotile, in its
+	 * block of 2 by 1 tiles.
+	 *
+	 * @static
+	 * @property WATERFALL_AUTOTILE_TABLE
+	 * @type Array
+	 */
+	static WATERFALL_AUTOTILE_TABLE = [
+		[[2, 0], [1, 0], [2, 1], [1, 1]], [[0, 0], [1, 0], [0, 1], [1, 1]],
+		[[2, 0], [3, 0], [2, 1], [3, 1]], [[0, 0], [3, 0], [0, 1], [3, 1]]
+	];
+
+	/**
+	 * The number of updates each frame of the A1 animation is shown for.
+	 *
+	 * @static
+	 * @property animationWait
+	 * @type Number
+	 */
+	static animationWait = 30;
+
+	/**
+	 * Gets the frame of the A1 animation after a number of updates.
+	 *
+	 * @static
+	 * @method animationFrame
+	 * @param {Number} count The number of updates
+	 * @return {Number} The animation frame
+	 */
+	static animationFrame(count) {
+		return Math.floor(count / Autotiles.animationWait);
+	}
+
+	/**
+	 * Checks whether an autotile changes with the animation frame. The deep
+	 * water and the rocks of A1, kinds 2 and 3, do not.
+	 *
+	 * @static
+	 * @method isAnimated
+	 * @param {Number} tileId The tile id
+	 * @return {Boolean} True for animated water and waterfalls
+	 */
+	static isAnimated(tileId) {
+		if (Tiles.isTileA1(tileId)) {
+			var kind = Tiles.getAutotileKind(tileId);
+			return kind !== 2 && kind !== 3;
+		}
+		return false;
+	}
+
+	/**
+	 * Gets the block an autotile is drawn from.
+	 *
+	 * @static
+	 * @method block
+	 * @param {Number} tileId The tile id
+	 * @param {Number} [animationFrame=0] The frame of the A1 animation
+	 * @return {Object} The index of the sheet in tilesetNames as setNumber,
+	 *     the position of the block in tiles as bx and by, and the table of
+	 *     quarters for the shape as table, or null if it is not an autotile
+	 */
+	static block(tileId, animationFrame) {
+		if (!Tiles.isAutotile(tileId) || !Tiles.isVisibleTile(tileId)) {
+			return null;
+		}
+		var frame = animationFrame || 0;
+		var autotileTable = Autotiles.FLOOR_AUTOTILE_TABLE;
+		var kind = Tiles.getAutotileKind(tileId);
+		var tx = kind % 8;
+		var ty = Math.floor(kind / 8);
+		var bx = 0;
+		var by = 0;
+		var setNumber = 0;
+
+		if (Tiles.isTileA1(tileId)) {
+			var waterSurfaceIndex = [0, 1, 2, 1][frame % 4];
+			if (kind === 0) {
+				bx = waterSurfaceIndex * 2;
+				by = 0;
+			} else if (kind === 1) {
+				bx = waterSurfaceIndex * 2;
+				by = 3;
+			} else if (kind === 2) {
+				bx = 6;
+				by = 0;
+			} else if (kind === 3) {
+				bx = 6;
+				by = 3;
+			} else {
+				bx = Math.floor(tx / 4) * 8;
+				by = ty * 6 + Math.floor(tx / 2) % 2 * 3;
+				if (kind % 2 === 0) {
+					bx += waterSurfaceIndex * 2;
+				} else {
+					bx += 6;
+					autotileTable = Autotiles.WATERFALL_AUTOTILE_TABLE;
+					by += frame % 3;
+				}
+			}
+		} else if (Tiles.isTileA2(tileId)) {
+			setNumber = 1;
+			bx = tx * 2;
+			by = (ty - 2) * 3;
+		} else if (Tiles.isTileA3(tileId)) {
+			setNumber = 2;
+			bx = tx * 2;
+			by = (ty - 6) * 2;
+			autotileTable = Autotiles.WALL_AUTOTILE_TABLE;
+		} else {
+			setNumber = 3;
+			bx = tx * 2;
+			by = Math.floor((ty - 10) * 2.5 + (ty % 2 === 1 ? 0.5 : 0));
+			if (ty % 2 === 1) {
+				autotileTable = Autotiles.WALL_AUTOTILE_TABLE;
+			}
+		}
+
+		var table = autotileTable[Tiles.getAutotileShape(tileId)];
+		if (!table) {
+			return null;
+		}
+		return { setNumber: setNumber, bx: bx, by: by, table: table };
+	}
+
+	/**
+	 * Gets the rectangles to copy to draw an autotile. A table, an A2 tile
+	 * with the table flag, keeps the top of its legs in the bottom
+	 * quarters, so those are drawn from two half quarters.
+	 *
+	 * @static
+	 * @method quarterRects
+	 * @param {Number} tileId The tile id
+	 * @param {Number} tileWidth The width of a tile
+	 * @param {Number} tileHeight The height of a tile
+	 * @param {Number} [animationFrame=0] The frame of the A1 animation
+	 * @param {Boolean} [isTable=false] Whether the tile is a table
+	 * @return {Array} The rectangles, each with setNumber, sx, sy, w, h and
+	 *     dx, dy relative to the top left of the tile
+	 */
+	static quarterRects(tileId, tileWidth, tileHeight, animationFrame, isTable) {
+		var block = Autotiles.block(tileId, animationFrame);
+		var rects = [];
+		if (!block) {
+			return rects;
+		}
+		var w1 = tileWidth / 2;
+		var h1 = tileHeight / 2;
+		var rect = (qsx, qsy, w, h, dx, dy, offsetY) => ({
+			setNumber: block.setNumber,
+			sx: (block.bx * 2 + qsx) * w1,
+			sy: (block.by * 2 + qsy) * h1 + (offsetY || 0),
+			w: w,
+			h: h,
+			dx: dx,
+			dy: dy
+		});
+		for (var i = 0; i < 4; i++) {
+			var qsx = block.table[i][0];
+			var qsy = block.table[i][1];
+			var dx1 = (i % 2) * w1;
+			var dy1 = Math.floor(i / 2) * h1;
+			if (isTable && Tiles.isTileA2(tileId) && (qsy === 1 || qsy === 5)) {
+				var qsx2 = qsy === 1 ? [0, 3, 2, 1][qsx] : qsx;
+				rects.push(rect(qsx2, 3, w1, h1, dx1, dy1));
+				rects.push(rect(qsx, qsy, w1, h1 / 2, dx1, dy1 + h1 / 2));
+			} else {
+				rects.push(rect(qsx, qsy, w1, h1, dx1, dy1));
+			}
+		}
+		return rects;
+	}
+
+	/**
+	 * Gets the rectangles to copy to draw the bottom half of a table, which
+	 * hangs over the cell below it.
+	 *
+	 * @static
+	 * @method tableEdgeRects
+	 * @param {Number} tileId The tile id of the table
+	 * @param {Number} tileWidth The width of a tile
+	 * @param {Number} tileHeight The height of a tile
+	 * @return {Array} The rectangles, in the same form as quarterRects
+	 */
+	static tableEdgeRects(tileId, tileWidth, tileHeight) {
+		var block = Tiles.isTileA2(tileId) ? Autotiles.block(tileId) : null;
+		var rects = [];
+		if (block) {
+			var w1 = tileWidth / 2;
+			var h1 = tileHeight / 2;
+			for (var i = 0; i < 2; i++) {
+				var qsx = block.table[2 + i][0];
+				var qsy = block.table[2 + i][1];
+				rects.push({
+					setNumber: block.setNumber,
+					sx: (block.bx * 2 + qsx) * w1,
+					sy: (block.by * 2 + qsy) * h1 + h1 / 2,
+					w: w1,
+					h: h1 / 2,
+					dx: i * w1,
+					dy: 0
+				});
+			}
+		}
+		return rects;
+	}
+}
@@ -0,0 +1,341 @@
+//-----------------------------------------------------------------------------
+/**
+ * Answers questions about the cells of a map from the flags of its tileset.
+ *
+ * Each entry of tileset.flags packs the passage of a tile in its low bits:
+ * a bit set for each of the directions down, left, right and up that the
+ * tile blocks, then the star flag, which puts the tile above the characters
+ * and takes it out of passage checks, and the ladder, bush, counter and
+ * damage floor flags. The boat, ship and airship bits follow, and the
+ * terrain tag takes the top four bits.
+ *
+ * Passage is decided by the topmost tile of a cell without the star flag,
+ * so that a tile on an upper layer overrides the tiles below it. The class
+ * only reads the map data and the tileset, and does not depend on the
+ * renderer, so it can be used for movement and pathfinding anywhere.
+ *
+ * @class TileFlags
+ * @constructor
+ * @param {Object} map The map data, such as $dataMap
+ * @param {Object} tileset The tileset in $dataTilesets
+ */
+//-----------------------------------------------------------------------------
+
+export default class TileFlags {
+
+	static PASSAGE_DOWN = 0x01;
+	static PASSAGE_LEFT = 0x02;
+	static PASSAGE_RIGHT = 0x04;
+	static PASSAGE_UP = 0x08;
+	static PASSAGE_ALL = 0x0f;
+	static STAR = 0x10;
+	static LADDER = 0x20;
+	static BUSH = 0x40;
+	static COUNTER = 0x80;
+	static DAMAGE_FLOOR = 0x100;
+	static BOAT_PASSAGE = 0x200;
+	static SHIP_PASSAGE = 0x400;
+	static AIRSHIP_LANDING = 0x800;
+
+	constructor(map, tileset) {
+		this._map = map;
+		this._flags = tileset.flags;
+	}
+
+	/**
+	 * The width of the map in tiles.
+	 *
+	 * @property width
+	 * @type Number
+	 */
+	get width() {
+		return this._map.width;
+	}
+
+	/**
+	 * The height of the map in tiles.
+	 *
+	 * @property height
+	 * @type Number
+	 */
+	get height() {
+		return this._map.height;
+	}
+
+	/**
+	 * @method isLoopHorizontal
+	 * @return {Boolean} True if the map loops horizontally
+	 */
+	isLoopHorizontal() {
+		return this._map.scrollType === 2 || this._map.scrollType === 3;
+	}
+
+	/**
+	 * @method isLoopVertical
+	 * @return {Boolean} True if the map loops vertically
+	 */
+	isLoopVertical() {
+		return this._map.scrollType === 1 || this._map.scrollType === 3;
+	}
+
+	/**
+	 * Wraps an x coordinate on a map that loops horizontally.
+	 *
+	 * @method roundX
+	 * @param {Number} x The x coordinate
+	 * @return {Number} The x coordinate on the map
+	 */
+	roundX(x) {
+		return this.isLoopHorizontal() ? ((x % this.width) + this.width) % this.width : x;
+	}
+
+	/**
+	 * Wraps a y coordinate on a map that loops vertically.
+	 *
+	 * @method roundY
+	 * @param {Number} y The y coordinate
+	 * @return {Number} The y coordinate on the map
+	 */
+	roundY(y) {
+		return this.isLoopVertical() ? ((y % this.height) + this.height) % this.height : y;
+	}
+
+	/**
+	 * Gets the x coordinate of the cell next to another one.
+	 *
+	 * @method roundXWithDirection
+	 * @param {Number} x The x coordinate
+	 * @param {Number} d The direction, 4 for left or 6 for right
+	 * @return {Number} The x coordinate of the next cell
+	 */
+	roundXWithDirection(x, d) {
+		return this.roundX(x + (d === 6 ? 1 : d === 4 ? -1 : 0));
+	}
+
+	/**
+	 * Gets the y coordinate of the cell next to another one.
+	 *
+	 * @method roundYWithDirection
+	 * @param {Number} y The y coordinate
+	 * @param {Number} d The direction, 2 for down or 8 for up
+	 * @return {Number} The y coordinate of the next cell
+	 */
+	roundYWithDirection(y, d) {
+		return this.roundY(y + (d === 2 ? 1 : d === 8 ? -1 : 0));
+	}
+
+	/**
+	 * @method isValid
+	 * @param {Number} x The x coordinate
+	 * @param {Number} y The y coordinate
+	 * @return {Boolean} True if the cell is on the map
+	 */
+	isValid(x, y) {
+		return x >= 0 && y >= 0 && x < this.width && y < this.height;
+	}
+
+	/**
+	 * Reads a tile id.
+	 *
+	 * @method tileId
+	 * @param {Number} x The x coordinate
+	 * @param {Number} y The y coordinate
+	 * @param {Number} z The layer, 0 to 3 for tiles, 4 for shadows, 5 for regions
+	 * @return {Number} The tile id
+	 */
+	tileId(x, y, z) {
+		return this._map.data[(z * this.height + y) * this.width + x] || 0;
+	}
+
+	/**
+	 * Gets the tiles of a cell from the top layer down.
+	 *
+	 * @method layeredTiles
+	 * @param {Number} x The x coordinate
+	 * @param {Number} y The y coordinate
+	 * @return {Array} The tile ids of layers 3 to 0
+	 */
+	layeredTiles(x, y) {
+		return [3, 2, 1, 0].map(z => this.tileId(x, y, z));
+	}
+
+	/**
+	 * Checks whether a cell can be left or entered in a direction.
+	 *
+	 * @method isPassable
+	 * @param {Number} x The x coordinate
+	 * @param {Number} y The y coordinate
+	 * @param {Number} d The direction, 2, 4, 6 or 8
+	 * @return {Boolean} True if the tile does not block the direction
+	 */
+	isPassable(x, y, d) {
+		return this.checkPassage(x, y, (1 << (d / 2 - 1)) & TileFlags.PASSAGE_ALL);
+	}
+
+	/**
+	 * Checks whether a character can move from a cell to the next one in a
+	 * direction, which needs both the way out and the way in to be open.
+	 *
+	 * @method canMove
+	 * @param {Number} x The x coordinate
+	 * @param {Number} y The y coordinate
+	 * @param {Number} d The direction, 2, 4, 6 or 8
+	 * @return {Boolean} True if the move is possible
+	 */
+	canMove(x, y, d) {
+		var x2 = this.roundXWithDirection(x, d);
+		var y2 = this.roundYWithDirection(y, d);
+		if (!this.isValid(x2, y2)) {
+			return false;
+		}
+		return this.isPassable(x, y, d) && this.isPassable(x2, y2, 10 - d);
+	}
+
+	/**
+	 * @method isBoatPassable
+	 * @param {Number} x The x coordinate
+	 * @param {Number} y The y coordinate
+	 * @return {Boolean}
+	 */
+	isBoatPassable(x, y) {
+		return this.checkPassage(x, y, TileFlags.BOAT_PASSAGE);
+	}
+
+	/**
+	 * @method isShipPassable
+	 * @param {Number} x The x coordinate
+	 * @param {Number} y The y coordinate
+	 * @return {Boolean}
+	 */
+	isShipPassable(x, y) {
+		return this.checkPassage(x, y, TileFlags.SHIP_PASSAGE);
+	}
+
+	/**
+	 * @method isAirshipLandOk
+	 * @param {Number} x The x coordinate
+	 * @param {Number} y The y coordinate
+	 * @return {Boolean}
+	 */
+	isAirshipLandOk(x, y) {
+		return this.checkPassage(x, y, TileFlags.AIRSHIP_LANDING) &&
+				this.checkPassage(x, y, TileFlags.PASSAGE_ALL);
+	}
+
+	/**
+	 * Checks the passage bits of the topmost tile of a cell that does not
+	 * have the star flag. A tile whose bits are all clear lets through, a
+	 * tile whose bits are all set blocks, and any other tile leaves the
+	 * decision to the tiles below it.
+	 *
+	 * @method checkPassage
+	 * @param {Number} x The x coordinate
+	 * @param {Number} y The y coordinate
+	 * @param {Number} bit The bits to check
+	 * @return {Boolean} True if the passage is open
+	 */
+	checkPassage(x, y, bit) {
+		if (!this.isValid(x, y)) {
+			return false;
+		}
+		var tiles = this.layeredTiles(x, y);
+		for (var i = 0; i < tiles.length; i++) {
+			var flag = this._flags[tiles[i]];
+			if ((flag & TileFlags.STAR) !== 0) {
+				continue;
+			}
+			if ((flag & bit) === 0) {
+				return true;
+			}
+			if ((flag & bit) === bit) {
+				return false;
+			}
+		}
+		return false;
+	}
+
+	/**
+	 * Checks whether any tile of a cell has a flag set.
+	 *
+	 * @method checkLayeredTilesFlags
+	 * @param {Number} x The x coordinate
+	 * @param {Number} y The y coordinate
+	 * @param {Number} bit The flag to check
+	 * @return {Boolean} True if the flag is set on any layer
+	 */
+	checkLayeredTilesFlags(x, y, bit) {
+		return this.isValid(x, y) &&
+				this.layeredTiles(x, y).some(tileId => (this._flags[tileId] & bit) !== 0);
+	}
+
+	/**
+	 * @method isLadder
+	 * @param {Number} x The x coordinate
+	 * @param {Number} y The y coordinate
+	 * @return {Boolean}
+	 */
+	isLadder(x, y) {
+		return this.checkLayeredTilesFlags(x, y, TileFlags.LADDER);
+	}
+
+	/**
+	 * @method isBush
+	 * @param {Number} x The x coordinate
+	 * @param {Number} y The y coordinate
+	 * @return {Boolean}
+	 */
+	isBush(x, y) {
+		return this.checkLayeredTilesFlags(x, y, TileFlags.BUSH);
+	}
+
+	/**
+	 * @method isCounter
+	 * @param {Number} x The x coordinate
+	 * @param {Number} y The y coordinate
+	 * @return {Boolean}
+	 */
+	isCounter(x, y) {
+		return this.checkLayeredTilesFlags(x, y, TileFlags.COUNTER);
+	}
+
+	/**
+	 * @method isDamageFloor
+	 * @param {Number} x The x coordinate
+	 * @param {Number} y The y coordinate
+	 * @return {Boolean}
+	 */
+	isDamageFloor(x, y) {
+		return this.checkLayeredTilesFlags(x, y, TileFlags.DAMAGE_FLOOR);
+	}
+
+	/**
+	 * Gets the terrain tag of the topmost tile of a cell that has one.
+	 *
+	 * @method terrainTag
+	 * @param {Number} x The x coordinate
+	 * @param {Number} y The y coordinate
+	 * @return {Number} The terrain tag in the range (0, 7)
+	 */
+	terrainTag(x, y) {
+		if (this.isValid(x, y)) {
+			var tiles = this.layeredTiles(x, y);
+			for (var i = 0; i < tiles.length; i++) {
+				var tag = this._flags[tiles[i]] >> 12;
+				if (tag > 0) {
+					return tag;
+				}
+			}
+		}
+		return 0;
+	}
+
+	/**
+	 * @method regionId
+	 * @param {Number} x The x coordinate
+	 * @param {Number} y The y coordinate
+	 * @return {Number} The region id, or 0 outside the map
+	 */
+	regionId(x, y) {
+		return this.isValid(x, y) ? this.tileId(x, y, 5) : 0;
+	}
+}
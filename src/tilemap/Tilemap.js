@@ -0,0 +1,296 @@
+import React, { PropTypes } from 'react';
+import { DisplayObjectContainer, Sprite } from 'react-pixi';
+import Graphics from '../Graphics';
+import ImageManager from '../ImageManager';
+import Bitmap from '../core/Bitmap';
+import UpdatableComponent from '../core/UpdatableComponent';
+import Autotiles from './Autotiles';
+import TilemapPainter from './TilemapPainter';
+
+//-----------------------------------------------------------------------------
+/**
+ * The component that draws a map, such as $dataMap, with a tileset from
+ * $dataTilesets.
+ *
+ * The map is drawn in square chunks of tiles, each one painted on a bitmap
+ * the first time it comes into view and dropped once it leaves the view, so
+ * that scrolling only paints the chunks that have just become visible. The
+ * children of the tilemap are shown between the lower layer and the tiles
+ * with the star flag, which are drawn above them. The tilemap counts the
+ * updates of the scene to animate the A1 tiles, and repaints only the
+ * chunks that have any of them.
+ *
+ *     <Tilemap map={$dataMap} tileset={$dataTilesets[$dataMap.tilesetId]}
+ *         originX={scrollX} originY={scrollY}>
+ *       {characters}
+ *     </Tilemap>
+ *
+ * @class Tilemap
+ * @constructor
+ */
+//-----------------------------------------------------------------------------
+
+export default class Tilemap extends UpdatableComponent {
+
+  static propTypes = {
+    map: PropTypes.object.isRequired,
+    tileset: PropTypes.object.isRequired,
+    originX: PropTypes.number,
+    originY: PropTypes.number,
+    width: PropTypes.number,
+    height: PropTypes.number,
+    tileWidth: PropTypes.number,
+    tileHeight: PropTypes.number
+  };
+
+  static defaultProps = {
+    originX: 0,
+    originY: 0,
+    tileWidth: 48,
+    tileHeight: 48
+  };
+
+  /**
+   * The number of tiles across and down a chunk.
+   *
+   * @static
+   * @property chunkSize
+   * @type Number
+   */
+  static chunkSize = 8;
+
+  constructor(props, context) {
+    super(props, context);
+    this._animationCount = 0;
+    this._bitmaps = [];
+    this._painter = null;
+    this._chunks = {};
+    this._unmounted = false;
+  }
+
+  componentWillMount() {
+    this._loadTileset(this.props.tileset);
+    this._updateChunks(this.props);
+  }
+
+  componentWillReceiveProps(nextProps) {
+    if (nextProps.tileset !== this.props.tileset) {
+      this._loadTileset(nextProps.tileset);
+    }
+    if (nextProps.map !== this.props.map ||
+        nextProps.tileset !== this.props.tileset ||
+        nextProps.tileWidth !== this.props.tileWidth ||
+        nextProps.tileHeight !== this.props.tileHeight) {
+      this._clearChunks();
+    }
+    this._updateChunks(nextProps);
+  }
+
+  componentWillUnmount() {
+    super.componentWillUnmount();
+    this._unmounted = true;
+    this._clearChunks();
+  }
+
+  /**
+   * Advances the animation of the A1 tiles.
+   *
+   * @method update
+   * @param {Number} delta The fixed time step in seconds
+   */
+  update(delta) {
+    this._animationCount++;
+    var frame = Autotiles.animationFrame(this._animationCount);
+    if (this._painter && this._painter.animationFrame !== frame) {
+      this._painter.animationFrame = frame;
+      Object.keys(this._chunks).forEach(key => {
+        var chunk = this._chunks[key];
+        if (chunk.isAnimated) {
+          this._repaintChunk(chunk);
+        }
+      });
+    }
+  }
+
+  /**
+   * Checks whether the images of the tileset have loaded.
+   *
+   * @method isReady
+   * @return {Boolean} True if the tilemap can be drawn
+   */
+  isReady() {
+    return this._bitmaps.every(bitmap => bitmap.isReady());
+  }
+
+  /**
+   * Paints all the visible chunks again, such as after the map data has
+   * been changed in place.
+   *
+   * @method refresh
+   */
+  refresh() {
+    this._clearChunks();
+    this._updateChunks(this.props);
+    this.forceUpdate();
+  }
+
+  /**
+   * @method _loadTileset
+   * @param {Object} tileset
+   * @private
+   */
+  _loadTileset(tileset) {
+    var bitmaps = tileset.tilesetNames.map(name => ImageManager.loadTileset(name));
+    this._bitmaps = bitmaps;
+    bitmaps.forEach(bitmap => {
+      if (!bitmap.isReady()) {
+        bitmap.addLoadListener(() => {
+          if (this._bitmaps === bitmaps && !this._unmounted && this.isReady()) {
+            this.refresh();
+          }
+        });
+      }
+    });
+  }
+
+  /**
+   * Paints the chunks that have come into view and drops the ones that
+   * have left it.
+   *
+   * @method _updateChunks
+   * @param {Object} props
+   * @private
+   */
+  _updateChunks(props) {
+    if (!this.isReady()) {
+      return;
+    }
+    if (!this._painter) {
+      this._painter = new TilemapPainter(props.map, props.tileset, this._bitmaps,
+          props.tileWidth, props.tileHeight);
+      this._painter.animationFrame = Autotiles.animationFrame(this._animationCount);
+    }
+    var size = Tilemap.chunkSize;
+    var chunkWidth = size * props.tileWidth;
+    var chunkHeight = size * props.tileHeight;
+    var ox = Math.floor(props.originX);
+    var oy = Math.floor(props.originY);
+    var width = props.width || Graphics.width;
+    var height = props.height || Graphics.height;
+    var startX = Math.floor(ox / chunkWidth);
+    var startY = Math.floor(oy / chunkHeight);
+    var endX = Math.floor((ox + width - 1) / chunkWidth);
+    var endY = Math.floor((oy + height - 1) / chunkHeight);
+    var chunks = {};
+
+    for (var cy = startY; cy <= endY; cy++) {
+      for (var cx = startX; cx <= endX; cx++) {
+        if (this._painter.isAreaInside(cx * size, cy * size, size, size)) {
+          var key = cx + ',' + cy;
+          chunks[key] = this._chunks[key] || this._paintChunk(cx, cy, chunkWidth, chunkHeight);
+        }
+      }
+    }
+    Object.keys(this._chunks).forEach(key => {
+      if (!chunks[key]) {
+        this._destroyChunk(this._chunks[key]);
+      }
+    });
+    this._chunks = chunks;
+  }
+
+  /**
+   * @method _paintChunk
+   * @private
+   */
+  _paintChunk(cx, cy, chunkWidth, chunkHeight) {
+    var size = Tilemap.chunkSize;
+    var lower = new Bitmap(chunkWidth, chunkHeight);
+    var upper = new Bitmap(chunkWidth, chunkHeight);
+    var result = this._painter.paint(lower, upper, cx * size, cy * size, size, size);
+    if (!result.hasUpper) {
+      upper.destroy();
+      upper = null;
+    }
+    return {
+      cx: cx,
+      cy: cy,
+      x: cx * chunkWidth,
+      y: cy * chunkHeight,
+      lower: lower,
+      upper: upper,
+      isAnimated: result.isAnimated
+    };
+  }
+
+  /**
+   * @method _repaintChunk
+   * @private
+   */
+  _repaintChunk(chunk) {
+    var size = Tilemap.chunkSize;
+    chunk.lower.clear();
+    if (chunk.upper) {
+      chunk.upper.clear();
+    }
+    this._painter.paint(chunk.lower, chunk.upper, chunk.cx * size, chunk.cy * size, size, size);
+  }
+
+  /**
+   * @method _destroyChunk
+   * @private
+   */
+  _destroyChunk(chunk) {
+    chunk.lower.destroy();
+    if (chunk.upper) {
+      chunk.upper.destroy();
+    }
+  }
+
+  /**
+   * @method _clearChunks
+   * @private
+   */
+  _clearChunks() {
+    Object.keys(this._chunks).forEach(key => this._destroyChunk(this._chunks[key]));
+    this._chunks = {};
+    this._painter = null;
+  }
+
+  /**
+   * @method _renderLayer
+   * @param {String} layer 'lower' or 'upper'
+   * @private
+   */
+  _renderLayer(layer) {
+    const ox = Math.floor(this.props.originX);
+    const oy = Math.floor(this.props.originY);
+    return Object.keys(this._chunks)
+      .filter(key => this._chunks[key][layer])
+      .map(key => {
+        const chunk = this._chunks[key];
+        return (
+          <Sprite
+            key={key}
+            texture={chunk[layer].texture()}
+            x={chunk.x - ox}
+            y={chunk.y - oy}
+          />
+        );
+      });
+  }
+
+  render() {
+    return (
+      <DisplayObjectContainer>
+        <DisplayObjectContainer>
+          {this._renderLayer('lower')}
+        </DisplayObjectContainer>
+        {this.props.children}
+        <DisplayObjectContainer>
+          {this._renderLayer('upper')}
+        </DisplayObjectContainer>
+      </DisplayObjectContainer>
+    );
+  }
+}
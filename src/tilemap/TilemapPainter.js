@@ -0,0 +1,297 @@
+import Autotiles from './Autotiles';
+import TileFlags from './TileFlags';
+import Tiles from './Tiles';
+
+//-----------------------------------------------------------------------------
+/**
+ * Draws the tiles of a map onto bitmaps, the way the tilemap of RPG Maker MV
+ * does.
+ *
+ * Every map cell has four tile layers, a layer of shadow bits and a layer
+ * of region ids, which is not drawn. The tiles go to the lower bitmap,
+ * except the tiles whose star flag is set in the tileset, which go to the
+ * upper bitmap that is shown above the characters.
+ *
+ * @class TilemapPainter
+ * @constructor
+ * @param {Object} map The map data, such as $dataMap
+ * @param {Object} tileset The tileset in $dataTilesets
+ * @param {Array} bitmaps The bitmaps of the tileset sheets A1 to E
+ * @param {Number} tileWidth The width of a tile
+ * @param {Number} tileHeight The height of a tile
+ */
+//-----------------------------------------------------------------------------
+
+export default class TilemapPainter {
+
+	/**
+	 * The offset added to a tile id to mark the edge of a table that is drawn
+	 * below it.
+	 *
+	 * @static
+	 * @property _tableEdgeVirtualId
+	 * @type Number
+	 * @private
+	 */
+	static _tableEdgeVirtualId = 10000;
+
+	constructor(map, tileset, bitmaps, tileWidth, tileHeight) {
+		this._map = map;
+		this._flags = tileset.flags;
+		this._bitmaps = bitmaps;
+		this._tileWidth = tileWidth;
+		this._tileHeight = tileHeight;
+
+		/**
+		 * The color of the shadows of the walls in CSS format.
+		 *
+		 * @property shadowColor
+		 * @type String
+		 */
+		this.shadowColor = 'rgba(0, 0, 0, 0.5)';
+
+		/**
+		 * The frame of the animation of the A1 tiles.
+		 *
+		 * @property animationFrame
+		 * @type Number
+		 */
+		this.animationFrame = 0;
+	}
+
+	/**
+	 * Whether the map loops horizontally.
+	 *
+	 * @property horizontalWrap
+	 * @type Boolean
+	 */
+	get horizontalWrap() {
+		return this._map.scrollType === 2 || this._map.scrollType === 3;
+	}
+
+	/**
+	 * Whether the map loops vertically.
+	 *
+	 * @property verticalWrap
+	 * @type Boolean
+	 */
+	get verticalWrap() {
+		return this._map.scrollType === 1 || this._map.scrollType === 3;
+	}
+
+	/**
+	 * Checks whether a rectangle of cells has anything to draw, which is
+	 * always the case on a looping axis.
+	 *
+	 * @method isAreaInside
+	 * @param {Number} x The x coordinate of the first cell
+	 * @param {Number} y The y coordinate of the first cell
+	 * @param {Number} cols The number of cells across
+	 * @param {Number} rows The number of cells down
+	 * @return {Boolean} True if the rectangle overlaps the map
+	 */
+	isAreaInside(x, y, cols, rows) {
+		var insideX = this.horizontalWrap || (x + cols > 0 && x < this._map.width);
+		var insideY = this.verticalWrap || (y + rows > 0 && y < this._map.height);
+		return insideX && insideY;
+	}
+
+	/**
+	 * Draws a rectangle of cells. The bitmaps should be cleared and large
+	 * enough for cols by rows tiles. The upper bitmap can be null to only
+	 * draw the lower layer.
+	 *
+	 * @method paint
+	 * @param {Bitmap} lower The bitmap of the tiles below the characters
+	 * @param {Bitmap} upper The bitmap of the tiles above the characters
+	 * @param {Number} startX The x coordinate of the first cell
+	 * @param {Number} startY The y coordinate of the first cell
+	 * @param {Number} cols The number of cells across
+	 * @param {Number} rows The number of cells down
+	 * @return {Object} Whether the rectangle has tiles in the upper layer as
+	 *     hasUpper, and tiles that change with animationFrame as isAnimated
+	 */
+	paint(lower, upper, startX, startY, cols, rows) {
+		var result = { hasUpper: false, isAnimated: false };
+		for (var y = 0; y < rows; y++) {
+			for (var x = 0; x < cols; x++) {
+				this._paintTiles(lower, upper, startX + x, startY + y, x, y, result);
+			}
+		}
+		return result;
+	}
+
+	/**
+	 * Reads a tile id, wrapping the coordinates on looping axes.
+	 *
+	 * @method readMapData
+	 * @param {Number} x The x coordinate of the cell
+	 * @param {Number} y The y coordinate of the cell
+	 * @param {Number} z The layer, 0 to 3 for tiles, 4 for shadows
+	 * @return {Number} The tile id, or 0 outside the map
+	 */
+	readMapData(x, y, z) {
+		var width = this._map.width;
+		var height = this._map.height;
+		if (this.horizontalWrap) {
+			x = ((x % width) + width) % width;
+		}
+		if (this.verticalWrap) {
+			y = ((y % height) + height) % height;
+		}
+		if (x >= 0 && x < width && y >= 0 && y < height) {
+			return this._map.data[(z * height + y) * width + x] || 0;
+		}
+		return 0;
+	}
+
+	/**
+	 * @method _paintTiles
+	 * @private
+	 */
+	_paintTiles(lower, upper, mx, my, x, y, result) {
+		var tileId0 = this.readMapData(mx, my, 0);
+		var tileId1 = this.readMapData(mx, my, 1);
+		var tileId2 = this.readMapData(mx, my, 2);
+		var tileId3 = this.readMapData(mx, my, 3);
+		var shadowBits = this.readMapData(mx, my, 4);
+		var upperTileId1 = this.readMapData(mx, my - 1, 1);
+		var lowerTiles = [];
+		var upperTiles = [];
+
+		[tileId0, tileId1].forEach(tileId => {
+			(this._isHigherTile(tileId) ? upperTiles : lowerTiles).push(tileId);
+		});
+		lowerTiles.push(-shadowBits);
+		if (this._isTableTile(upperTileId1) && !this._isTableTile(tileId1)) {
+			if (!Tiles.isShadowingTile(tileId0)) {
+				lowerTiles.push(TilemapPainter._tableEdgeVirtualId + upperTileId1);
+			}
+		}
+		[tileId2, tileId3].forEach(tileId => {
+			(this._isHigherTile(tileId) ? upperTiles : lowerTiles).push(tileId);
+		});
+
+		var dx = x * this._tileWidth;
+		var dy = y * this._tileHeight;
+		lowerTiles.forEach(tileId => {
+			if (tileId < 0) {
+				this._drawShadow(lower, -tileId, dx, dy);
+			} else if (tileId >= TilemapPainter._tableEdgeVirtualId) {
+				this._drawTableEdge(lower, tileId - TilemapPainter._tableEdgeVirtualId, dx, dy);
+			} else {
+				this._drawTile(lower, tileId, dx, dy);
+			}
+		});
+		upperTiles.forEach(tileId => {
+			if (Tiles.isVisibleTile(tileId)) {
+				result.hasUpper = true;
+				if (upper) {
+					this._drawTile(upper, tileId, dx, dy);
+				}
+			}
+		});
+		if (!result.isAnimated) {
+			result.isAnimated = [tileId0, tileId1, tileId2, tileId3].some(Autotiles.isAnimated);
+		}
+	}
+
+	/**
+	 * @method _isHigherTile
+	 * @private
+	 */
+	_isHigherTile(tileId) {
+		return !!(this._flags[tileId] & TileFlags.STAR);
+	}
+
+	/**
+	 * @method _isTableTile
+	 * @private
+	 */
+	_isTableTile(tileId) {
+		return Tiles.isTileA2(tileId) && !!(this._flags[tileId] & TileFlags.COUNTER);
+	}
+
+	/**
+	 * @method _drawTile
+	 * @private
+	 */
+	_drawTile(bitmap, tileId, dx, dy) {
+		if (Tiles.isVisibleTile(tileId)) {
+			if (Tiles.isAutotile(tileId)) {
+				this._drawAutotile(bitmap, tileId, dx, dy);
+			} else {
+				this._drawNormalTile(bitmap, tileId, dx, dy);
+			}
+		}
+	}
+
+	/**
+	 * @method _drawNormalTile
+	 * @private
+	 */
+	_drawNormalTile(bitmap, tileId, dx, dy) {
+		var setNumber = Tiles.isTileA5(tileId) ? 4 : 5 + Math.floor(tileId / 256);
+		var w = this._tileWidth;
+		var h = this._tileHeight;
+		var sx = (Math.floor(tileId / 128) % 2 * 8 + tileId % 8) * w;
+		var sy = (Math.floor(tileId % 256 / 8) % 16) * h;
+		var source = this._bitmaps[setNumber];
+		if (source) {
+			bitmap.blt(source, sx, sy, w, h, dx, dy);
+		}
+	}
+
+	/**
+	 * @method _drawAutotile
+	 * @private
+	 */
+	_drawAutotile(bitmap, tileId, dx, dy) {
+		var rects = Autotiles.quarterRects(tileId, this._tileWidth, this._tileHeight,
+				this.animationFrame, this._isTableTile(tileId));
+		this._drawRects(bitmap, rects, dx, dy);
+	}
+
+	/**
+	 * Draws the bottom half of the table above, which hangs over the cell.
+	 *
+	 * @method _drawTableEdge
+	 * @private
+	 */
+	_drawTableEdge(bitmap, tileId, dx, dy) {
+		this._drawRects(bitmap, Autotiles.tableEdgeRects(tileId, this._tileWidth, this._tileHeight), dx, dy);
+	}
+
+	/**
+	 * @method _drawRects
+	 * @private
+	 */
+	_drawRects(bitmap, rects, dx, dy) {
+		rects.forEach(rect => {
+			var source = this._bitmaps[rect.setNumber];
+			if (source) {
+				bitmap.blt(source, rect.sx, rect.sy, rect.w, rect.h, dx + rect.dx, dy + rect.dy);
+			}
+		});
+	}
+
+	/**
+	 * Darkens the quarters of the cell whose bits are set.
+	 *
+	 * @method _drawShadow
+	 * @private
+	 */
+	_drawShadow(bitmap, shadowBits, dx, dy) {
+		if (shadowBits & 0x0f) {
+			var w1 = this._tileWidth / 2;
+			var h1 = this._tileHeight / 2;
+			for (var i = 0; i < 4; i++) {
+				if (shadowBits & (1 << i)) {
+					var dx1 = dx + (i % 2) * w1;
+					var dy1 = dy + Math.floor(i / 2) * h1;
+					bitmap.fillRect(dx1, dy1, w1, h1, this.shadowColor);
+				}
+			}
+		}
+	}
+}
@@ -0,0 +1,265 @@
+/**
+ * The static class that tells the kinds of tiles apart by their tile ids.
+ *
+ * A tile id packs the sheet of the tileset the tile comes from. Ids in the
+ * A1 to A4 sheets are autotiles, which also pack a kind, the position of
+ * the autotile in its sheet, and a shape, which of the 48 ways to join the
+ * neighbouring tiles is used.
+ *
+ * @class Tiles
+ */
+
+export default class Tiles {
+	constructor() {
+		throw new Error('This is a static class');
+	}
+
+	static TILE_ID_B = 0;
+	static TILE_ID_C = 256;
+	static TILE_ID_D = 512;
+	static TILE_ID_E = 768;
+	static TILE_ID_A5 = 1536;
+	static TILE_ID_A1 = 2048;
+	static TILE_ID_A2 = 2816;
+	static TILE_ID_A3 = 4352;
+	static TILE_ID_A4 = 5888;
+	static TILE_ID_MAX = 8192;
+
+	/**
+	 * @static
+	 * @method isVisibleTile
+	 * @param {Number} tileId The tile id
+	 * @return {Boolean} True if the tile draws anything
+	 */
+	static isVisibleTile(tileId) {
+		return tileId > 0 && tileId < Tiles.TILE_ID_MAX;
+	}
+
+	/**
+	 * @static
+	 * @method isAutotile
+	 * @param {Number} tileId The tile id
+	 * @return {Boolean} True for a tile of the A1 to A4 sheets
+	 */
+	static isAutotile(tileId) {
+		return tileId >= Tiles.TILE_ID_A1;
+	}
+
+	/**
+	 * @static
+	 * @method getAutotileKind
+	 * @param {Number} tileId The tile id
+	 * @return {Number} The position of the autotile in the A1 to A4 sheets
+	 */
+	static getAutotileKind(tileId) {
+		return Math.floor((tileId - Tiles.TILE_ID_A1) / 48);
+	}
+
+	/**
+	 * @static
+	 * @method getAutotileShape
+	 * @param {Number} tileId The tile id
+	 * @return {Number} The shape in the range (0, 47)
+	 */
+	static getAutotileShape(tileId) {
+		return (tileId - Tiles.TILE_ID_A1) % 48;
+	}
+
+	/**
+	 * @static
+	 * @method makeAutotileId
+	 * @param {Number} kind The position of the autotile
+	 * @param {Number} shape The shape
+	 * @return {Number} The tile id
+	 */
+	static makeAutotileId(kind, shape) {
+		return Tiles.TILE_ID_A1 + kind * 48 + shape;
+	}
+
+	/**
+	 * Checks whether two tiles are the same tile, or the same autotile in
+	 * any shape.
+	 *
+	 * @static
+	 * @method isSameKindTile
+	 * @param {Number} tileId1 A tile id
+	 * @param {Number} tileId2 Another tile id
+	 * @return {Boolean} True if the tiles are of the same kind
+	 */
+	static isSameKindTile(tileId1, tileId2) {
+		if (Tiles.isAutotile(tileId1) && Tiles.isAutotile(tileId2)) {
+			return Tiles.getAutotileKind(tileId1) === Tiles.getAutotileKind(tileId2);
+		}
+		return tileId1 === tileId2;
+	}
+
+	/**
+	 * @static
+	 * @method isTileA1
+	 * @param {Number} tileId The tile id
+	 * @return {Boolean}
+	 */
+	static isTileA1(tileId) {
+		return tileId >= Tiles.TILE_ID_A1 && tileId < Tiles.TILE_ID_A2;
+	}
+
+	/**
+	 * @static
+	 * @method isTileA2
+	 * @param {Number} tileId The tile id
+	 * @return {Boolean}
+	 */
+	static isTileA2(tileId) {
+		return tileId >= Tiles.TILE_ID_A2 && tileId < Tiles.TILE_ID_A3;
+	}
+
+	/**
+	 * @static
+	 * @method isTileA3
+	 * @param {Number} tileId The tile id
+	 * @return {Boolean}
+	 */
+	static isTileA3(tileId) {
+		return tileId >= Tiles.TILE_ID_A3 && tileId < Tiles.TILE_ID_A4;
+	}
+
+	/**
+	 * @static
+	 * @method isTileA4
+	 * @param {Number} tileId The tile id
+	 * @return {Boolean}
+	 */
+	static isTileA4(tileId) {
+		return tileId >= Tiles.TILE_ID_A4 && tileId < Tiles.TILE_ID_MAX;
+	}
+
+	/**
+	 * @static
+	 * @method isTileA5
+	 * @param {Number} tileId The tile id
+	 * @return {Boolean}
+	 */
+	static isTileA5(tileId) {
+		return tileId >= Tiles.TILE_ID_A5 && tileId < Tiles.TILE_ID_A1;
+	}
+
+	/**
+	 * @static
+	 * @method isWaterTile
+	 * @param {Number} tileId The tile id
+	 * @return {Boolean}
+	 */
+	static isWaterTile(tileId) {
+		if (Tiles.isTileA1(tileId)) {
+			return !(tileId >= Tiles.TILE_ID_A1 + 96 && tileId < Tiles.TILE_ID_A1 + 192);
+		}
+		return false;
+	}
+
+	/**
+	 * @static
+	 * @method isWaterfallTile
+	 * @param {Number} tileId The tile id
+	 * @return {Boolean}
+	 */
+	static isWaterfallTile(tileId) {
+		if (tileId >= Tiles.TILE_ID_A1 + 192 && tileId < Tiles.TILE_ID_A2) {
+			return Tiles.getAutotileKind(tileId) % 2 === 1;
+		}
+		return false;
+	}
+
+	/**
+	 * @static
+	 * @method isGroundTile
+	 * @param {Number} tileId The tile id
+	 * @return {Boolean}
+	 */
+	static isGroundTile(tileId) {
+		return Tiles.isTileA1(tileId) || Tiles.isTileA2(tileId) || Tiles.isTileA5(tileId);
+	}
+
+	/**
+	 * Checks whether a tile casts the shadow drawn on the tile layer below.
+	 *
+	 * @static
+	 * @method isShadowingTile
+	 * @param {Number} tileId The tile id
+	 * @return {Boolean} True for a roof or a wall
+	 */
+	static isShadowingTile(tileId) {
+		return Tiles.isTileA3(tileId) || Tiles.isTileA4(tileId);
+	}
+
+	/**
+	 * @static
+	 * @method isRoofTile
+	 * @param {Number} tileId The tile id
+	 * @return {Boolean}
+	 */
+	static isRoofTile(tileId) {
+		return Tiles.isTileA3(tileId) && Tiles.getAutotileKind(tileId) % 16 < 8;
+	}
+
+	/**
+	 * @static
+	 * @method isWallTopTile
+	 * @param {Number} tileId The tile id
+	 * @return {Boolean}
+	 */
+	static isWallTopTile(tileId) {
+		return Tiles.isTileA4(tileId) && Tiles.getAutotileKind(tileId) % 16 < 8;
+	}
+
+	/**
+	 * @static
+	 * @method isWallSideTile
+	 * @param {Number} tileId The tile id
+	 * @return {Boolean}
+	 */
+	static isWallSideTile(tileId) {
+		return (Tiles.isTileA3(tileId) || Tiles.isTileA4(tileId)) &&
+				Tiles.getAutotileKind(tileId) % 16 >= 8;
+	}
+
+	/**
+	 * @static
+	 * @method isWallTile
+	 * @param {Number} tileId The tile id
+	 * @return {Boolean}
+	 */
+	static isWallTile(tileId) {
+		return Tiles.isWallTopTile(tileId) || Tiles.isWallSideTile(tileId);
+	}
+
+	/**
+	 * @static
+	 * @method isFloorTypeAutotile
+	 * @param {Number} tileId The tile id
+	 * @return {Boolean}
+	 */
+	static isFloorTypeAutotile(tileId) {
+		return (Tiles.isTileA1(tileId) && !Tiles.isWaterfallTile(tileId)) ||
+				Tiles.isTileA2(tileId) || Tiles.isWallTopTile(tileId);
+	}
+
+	/**
+	 * @static
+	 * @method isWallTypeAutotile
+	 * @param {Number} tileId The tile id
+	 * @return {Boolean}
+	 */
+	static isWallTypeAutotile(tileId) {
+		return Tiles.isRoofTile(tileId) || Tiles.isWallSideTile(tileId);
+	}
+
+	/**
+	 * @static
+	 * @method isWaterfallTypeAutotile
+	 * @param {Number} tileId The tile id
+	 * @return {Boolean}
+	 */
+	static isWaterfallTypeAutotile(tileId) {
+		return Tiles.isWaterfallTile(tileId);
+	}
+}
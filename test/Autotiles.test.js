@@ -0,0 +1,127 @@
+import { describe, it } from 'node:test';
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import Autotiles from '../src/tilemap/Autotiles';
+
+// The quarters of a tile as [sx, sy, dx, dy], all 24 by 24 for 48 pixel tiles.
+function quarters(rects) {
+	return rects.map(rect => [rect.sx, rect.sy, rect.dx, rect.dy]);
+}
+
+function setNumbers(rects) {
+	return rects.map(rect => rect.setNumber);
+}
+
+describe('Autotiles.quarterRects', () => {
+	it('draws A1 water 2048 from the first block and moves it with the animation', () => {
+		var rects = Autotiles.quarterRects(2048, 48, 48, 0);
+		assert.deepEqual(setNumbers(rects), [0, 0, 0, 0]);
+		assert.deepEqual(quarters(rects), [[48, 96, 0, 0], [24, 96, 24, 0], [48, 72, 0, 24], [24, 72, 24, 24]]);
+		assert.deepEqual(quarters(Autotiles.quarterRects(2048, 48, 48, 1)),
+			[[144, 96, 0, 0], [120, 96, 24, 0], [144, 72, 0, 24], [120, 72, 24, 24]]);
+		assert.deepEqual(quarters(Autotiles.quarterRects(2048, 48, 48, 3)),
+			quarters(Autotiles.quarterRects(2048, 48, 48, 1)));
+	});
+
+	it('draws the isolated shape of A1 water 2095 from the corner of the block', () => {
+		var rects = Autotiles.quarterRects(2095, 48, 48, 0);
+		assert.deepEqual(setNumbers(rects), [0, 0, 0, 0]);
+		assert.deepEqual(quarters(rects), [[0, 0, 0, 0], [24, 0, 24, 0], [0, 24, 0, 24], [24, 24, 24, 24]]);
+	});
+
+	it('draws an A1 waterfall 2288 with the waterfall table and moves it down', () => {
+		var rects = Autotiles.quarterRects(2288, 48, 48, 0);
+		assert.deepEqual(setNumbers(rects), [0, 0, 0, 0]);
+		assert.deepEqual(quarters(rects), [[720, 0, 0, 0], [696, 0, 24, 0], [720, 24, 0, 24], [696, 24, 24, 24]]);
+		assert.deepEqual(quarters(Autotiles.quarterRects(2288, 48, 48, 1)),
+			[[720, 48, 0, 0], [696, 48, 24, 0], [720, 72, 0, 24], [696, 72, 24, 24]]);
+	});
+
+	it('draws A2 ground 2816 from the A2 sheet', () => {
+		var rects = Autotiles.quarterRects(2816, 48, 48);
+		assert.deepEqual(setNumbers(rects), [1, 1, 1, 1]);
+		assert.deepEqual(quarters(rects), [[48, 96, 0, 0], [24, 96, 24, 0], [48, 72, 0, 24], [24, 72, 24, 24]]);
+	});
+
+	it('draws every cell of Map001.json as the inside of the A2 ground', () => {
+		var map = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/Map001.json')));
+		var ground = map.data.slice(0, map.width * map.height);
+		ground.forEach(tileId => {
+			assert.equal(tileId, 2816);
+		});
+		assert.deepEqual(Autotiles.quarterRects(ground[0], 48, 48), Autotiles.quarterRects(2816, 48, 48));
+	});
+
+	it('splits the bottom quarters of an A2 table into the leg and the edge', () => {
+		var rects = Autotiles.quarterRects(2892, 48, 48, 0, true);
+		assert.deepEqual(setNumbers(rects), [1, 1, 1, 1, 1, 1]);
+		assert.deepEqual(rects.map(rect => [rect.sx, rect.sy, rect.w, rect.h, rect.dx, rect.dy]), [
+			[144, 96, 24, 24, 0, 0],
+			[120, 96, 24, 24, 24, 0],
+			[144, 72, 24, 24, 0, 24],
+			[144, 120, 24, 12, 0, 36],
+			[120, 72, 24, 24, 24, 24],
+			[120, 120, 24, 12, 24, 36]
+		]);
+		var corner = Autotiles.quarterRects(2868, 48, 48, 0, true);
+		assert.deepEqual(corner.slice(3).map(rect => [rect.sx, rect.sy, rect.h, rect.dx, rect.dy]), [
+			[120, 72, 24, 24, 24],
+			[168, 24, 12, 24, 36]
+		]);
+		assert.equal(Autotiles.quarterRects(2892, 48, 48, 0, false).length, 4);
+	});
+
+	it('draws an A3 roof from the A3 sheet with the wall table', () => {
+		var rects = Autotiles.quarterRects(4352, 48, 48);
+		assert.deepEqual(setNumbers(rects), [2, 2, 2, 2]);
+		assert.deepEqual(quarters(rects), [[48, 48, 0, 0], [24, 48, 24, 0], [48, 24, 0, 24], [24, 24, 24, 24]]);
+		assert.deepEqual(quarters(Autotiles.quarterRects(4367, 48, 48)),
+			[[0, 0, 0, 0], [72, 0, 24, 0], [0, 72, 0, 24], [72, 72, 24, 24]]);
+	});
+
+	it('draws an A4 wall top with the floor table and a wall side with the wall table', () => {
+		var top = Autotiles.quarterRects(5888, 48, 48);
+		assert.deepEqual(setNumbers(top), [3, 3, 3, 3]);
+		assert.deepEqual(quarters(top), [[48, 96, 0, 0], [24, 96, 24, 0], [48, 72, 0, 24], [24, 72, 24, 24]]);
+		var side = Autotiles.quarterRects(6272, 48, 48);
+		assert.deepEqual(setNumbers(side), [3, 3, 3, 3]);
+		assert.deepEqual(quarters(side), [[48, 192, 0, 0], [24, 192, 24, 0], [48, 168, 0, 24], [24, 168, 24, 24]]);
+	});
+
+	it('gives nothing for tiles that are not autotiles', () => {
+		assert.deepEqual(Autotiles.quarterRects(0, 48, 48), []);
+		assert.deepEqual(Autotiles.quarterRects(1536, 48, 48), []);
+	});
+});
+
+describe('Autotiles.tableEdgeRects', () => {
+	it('draws the bottom half of the front quarters of a table', () => {
+		assert.deepEqual(Autotiles.tableEdgeRects(2892, 48, 48), [
+			{ setNumber: 1, sx: 144, sy: 132, w: 24, h: 12, dx: 0, dy: 0 },
+			{ setNumber: 1, sx: 120, sy: 132, w: 24, h: 12, dx: 24, dy: 0 }
+		]);
+	});
+
+	it('gives nothing for tiles outside the A2 sheet', () => {
+		assert.deepEqual(Autotiles.tableEdgeRects(2048, 48, 48), []);
+		assert.deepEqual(Autotiles.tableEdgeRects(4352, 48, 48), []);
+	});
+});
+
+describe('Autotiles.animationFrame', () => {
+	it('advances one frame every animationWait updates', () => {
+		assert.equal(Autotiles.animationWait, 30);
+		assert.equal(Autotiles.animationFrame(0), 0);
+		assert.equal(Autotiles.animationFrame(29), 0);
+		assert.equal(Autotiles.animationFrame(30), 1);
+		assert.equal(Autotiles.animationFrame(95), 3);
+	});
+
+	it('only animates A1 water and waterfalls', () => {
+		assert.equal(Autotiles.isAnimated(2048), true);
+		assert.equal(Autotiles.isAnimated(2288), true);
+		assert.equal(Autotiles.isAnimated(2144), false);
+		assert.equal(Autotiles.isAnimated(2816), false);
+	});
+});
@@ -0,0 +1,76 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import GameState from '../src/GameState';
+import GameBattler from '../src/objects/GameBattler';
+import GameParty from '../src/objects/GameParty';
+
+['Actors', 'Classes', 'Skills', 'Items', 'Weapons', 'Armors', 'States', 'System'].forEach(name => {
+	var file = path.join(__dirname, '..', 'data', name + '.json');
+	global['$data' + name] = JSON.parse(fs.readFileSync(file, 'utf8'));
+});
+
+describe('GameParty', () => {
+	var party;
+	var harold;
+
+	beforeEach(() => {
+		GameState.reset();
+		party = new GameParty();
+		party.setupStartingMembers();
+		harold = party.leader();
+	});
+
+	it('puts the starting party of System.json together', () => {
+		assert.deepEqual(party.members().map(actor => actor.name()), ['Harold', 'Therese', 'Marsha', 'Lucius']);
+		assert.deepEqual(party.faces(), [['Actor1', 0], ['Actor1', 7], ['Actor3', 7], ['Actor2', 6]]);
+	});
+
+	it('reads the params of Harold at level 1 from the class curves and the equipment', () => {
+		assert.equal(harold.level, 1);
+		assert.deepEqual([harold.mhp, harold.mmp, harold.atk, harold.def, harold.mat, harold.mdf, harold.agi, harold.luk],
+			[450, 90, 26, 46, 16, 16, 32, 32]);
+		assert.equal(harold.hp, 450);
+		assert.equal(harold.equips()[0].name, 'Sword');
+	});
+
+	it('adds the params of a weapon only while it is equipped', () => {
+		var atk = harold.atk;
+		var sword = harold.equips()[0];
+		assert.equal(harold.changeEquip(0, null), true);
+		assert.equal(harold.atk, atk - sword.params[2]);
+		assert.equal(party.numItems(sword), 1);
+		assert.equal(harold.changeEquip(0, sword), true);
+		assert.equal(harold.atk, atk);
+		assert.equal(party.numItems(sword), 0);
+	});
+
+	it('levels up with gainExp', () => {
+		assert.equal(harold.currentExp(), 0);
+		assert.equal(harold.nextLevelExp(), 50);
+		harold.gainExp(1000);
+		assert.equal(harold.level, 5);
+		assert.equal(harold.mhp, 650);
+		assert.equal(harold.atk, 31);
+	});
+
+	it('dies at 0 HP and comes back with 1 HP when the death state is removed', () => {
+		harold.setHp(0);
+		assert.equal(harold.isDead(), true);
+		assert.equal(harold.isStateAffected(GameBattler.deathStateId), true);
+		harold.removeState(GameBattler.deathStateId);
+		assert.equal(harold.isDead(), false);
+		assert.equal(harold.hp, 1);
+	});
+
+	it('restores the members and actors it has saved', () => {
+		harold.gainExp(1000);
+		var saved = JSON.parse(JSON.stringify(party.save()));
+		var restored = new GameParty();
+		restored.restore(saved);
+		assert.deepEqual(restored.faces(), party.faces());
+		assert.equal(restored.leader().level, 5);
+		assert.equal(restored.leader().mhp, 650);
+	});
+});
@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'assert';
+import ImageCache from '../src/core/ImageCache';
+
+// A stand-in for Bitmap with the parts the cache reads.
+function fakeBitmap(url, size, state) {
+	return {
+		url: url,
+		width: size,
+		height: size,
+		destroyed: false,
+		state: state || 'loaded',
+		isReady() { return this.state === 'loaded'; },
+		isError() { return this.state === 'error'; },
+		destroy() { this.destroyed = true; }
+	};
+}
+
+describe('ImageCache', () => {
+	it('drops and destroys the least recently used bitmaps over the budget', () => {
+		var cache = new ImageCache(2 * 10 * 10 * 4);
+		var a = fakeBitmap('a', 10);
+		var b = fakeBitmap('b', 10);
+		var c = fakeBitmap('c', 10);
+		cache.add('a', a);
+		cache.update(1);
+		cache.add('b', b);
+		cache.update(2);
+		cache.add('c', c);
+		cache.update(3);
+		assert.equal(cache.has('a'), false);
+		assert.equal(a.destroyed, true);
+		assert.equal(cache.has('b'), true);
+		assert.equal(cache.has('c'), true);
+		assert.equal(cache.byteSize(), 2 * 10 * 10 * 4);
+	});
+
+	it('keeps reserved bitmaps until their reservation is released', () => {
+		var cache = new ImageCache(1);
+		var a = fakeBitmap('a', 10);
+		cache.reserve('a', a, 'scene');
+		cache.update(1);
+		assert.equal(cache.has('a'), true);
+		cache.releaseReservation('scene');
+		cache.update(2);
+		assert.equal(cache.has('a'), false);
+		assert.equal(a.destroyed, true);
+	});
+
+	it('does not destroy a removed bitmap that a hue variant is still loading from', () => {
+		var cache = new ImageCache();
+		var source = fakeBitmap('img/faces/Actor1.png', 10);
+		var variant = fakeBitmap('img/faces/Actor1.png', 10, 'loading');
+		cache.add('img/faces/Actor1.png:0', source);
+		cache.add('img/faces/Actor1.png:90', variant);
+		cache.remove('img/faces/Actor1.png:0');
+		assert.equal(source.destroyed, false);
+		variant.state = 'loaded';
+		cache.remove('img/faces/Actor1.png:90');
+		assert.equal(variant.destroyed, true);
+	});
+
+	it('throws for the bitmaps that failed to load and drops them', () => {
+		var cache = new ImageCache();
+		var missing = fakeBitmap('img/system/Missing.png', 0, 'error');
+		cache.add('missing', missing);
+		assert.throws(() => cache.isReady(), /Failed to load: img\/system\/Missing.png/);
+		assert.equal(cache.has('missing'), false);
+		assert.equal(missing.destroyed, true);
+		assert.equal(cache.isReady(), true);
+	});
+});
@@ -0,0 +1,20 @@
+import { describe, it } from 'node:test';
+import assert from 'assert';
+import LaunchOptions from '../src/LaunchOptions';
+
+describe('LaunchOptions', () => {
+	it('parses the query string and lets the command line win', () => {
+		var result = LaunchOptions.parse('?renderer=canvas&showfps&startMapId=3', ['--startMapId=5', 'game.html']);
+		assert.equal(result.options.renderer, 'canvas');
+		assert.equal(result.options.showfps, true);
+		assert.equal(result.options.startMapId, 5);
+		assert.deepEqual(result.unknown, []);
+		assert.deepEqual(result.invalid, []);
+	});
+
+	it('turns the battle and event tests on from the editor arguments', () => {
+		assert.equal(LaunchOptions.parse('?btest').options.btest, true);
+		assert.equal(LaunchOptions.parse('', ['--etest']).options.etest, true);
+		assert.equal(LaunchOptions.parse('?btest=false').options.btest, false);
+	});
+});
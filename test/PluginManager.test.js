@@ -0,0 +1,84 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'assert';
+
+// PluginManager offers SceneManager and Graphics as hook targets, which need
+// a browser. Plain objects stand in for them in the module cache.
+function stub(id, exports) {
+	var file = require.resolve(id);
+	require.cache[file] = { id: file, filename: file, loaded: true, exports: exports };
+}
+
+stub('../src/SceneManager', {});
+stub('../src/Graphics', {});
+
+var PluginManager = require('../src/PluginManager');
+
+describe('PluginManager.loadPlugin', () => {
+	var error = console.error;
+	var counter = {
+		count: 0,
+		increment() {
+			this.count++;
+		}
+	};
+	var increment = counter.increment;
+
+	before(() => {
+		console.error = () => {};
+		PluginManager.addHookTarget('Counter', counter);
+	});
+
+	after(() => {
+		console.error = error;
+	});
+
+	function load(name, module) {
+		return PluginManager.loadPlugin({ name: name, parameters: { Step: '2' } }, () => module);
+	}
+
+	it('installs a plugin with its parsed parameters and hooks', () => {
+		var installed = load('Doubler', {
+			__esModule: true,
+			default(params, hooks) {
+				hooks.after('Counter', 'increment', function() {
+					this.count += params.Step - 1;
+				});
+			}
+		});
+		assert.equal(installed, true);
+		assert.equal(PluginManager.isLoaded('Doubler'), true);
+		counter.increment();
+		assert.equal(counter.count, 2);
+		counter.increment = increment;
+	});
+
+	it('removes the hooks of a plugin whose install fails', () => {
+		var installed = load('Broken', {
+			__esModule: true,
+			default(params, hooks) {
+				hooks.before('Counter', 'increment', () => {});
+				throw new Error('Oops');
+			}
+		});
+		assert.equal(installed, false);
+		assert.equal(PluginManager.isLoaded('Broken'), false);
+		assert.equal(counter.increment, increment);
+		assert.ok(PluginManager.errors().contains('Plugin Broken failed to install (Oops)'));
+	});
+
+	it('reports a missing module and a module without a default export', () => {
+		assert.equal(load('Missing', null), false);
+		assert.equal(load('NoDefault', { __esModule: true, dependencies: [] }), false);
+		assert.equal(PluginManager.isLoaded('NoDefault'), false);
+		var errors = PluginManager.errors();
+		assert.ok(errors.contains('Plugin Missing could not be loaded (the module is missing or empty)'));
+		assert.ok(errors.contains('Plugin NoDefault could not be loaded (the module has no default export to install it)'));
+	});
+
+	it('reports a plugin whose dependencies are not loaded', () => {
+		var module = { __esModule: true, dependencies: ['CoreEngine'], default() {} };
+		assert.equal(load('NeedsCore', module), false);
+		assert.ok(PluginManager.errors().contains(
+			'Plugin NeedsCore requires CoreEngine, which must be enabled and listed before it'));
+	});
+});
@@ -0,0 +1,119 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'assert';
+
+// SceneManager draws through pixi.js, react-pixi and Graphics, which need a
+// browser. They are replaced in the module cache before it is loaded, and
+// react-pixi mounts a scene by creating its component.
+function stub(id, exports) {
+	var file = require.resolve(id);
+	require.cache[file] = { id: file, filename: file, loaded: true, exports: exports };
+}
+
+function noop() {
+}
+
+var graphics = {
+	width: 816,
+	height: 624,
+	failInitialize: false,
+	rendered: 0,
+	initialize() {
+		if (graphics.failInitialize) {
+			throw new Error('No canvas');
+		}
+	},
+	render() {
+		graphics.rendered++;
+	}
+};
+['setLoadingImage', 'setRenderer', 'setLoadingProgress', 'startLoading', 'updateLoading',
+	'endLoading', 'tickStart', 'tickEnd', 'printErrorReport', 'clearError', 'clearOverlay',
+	'drawOverlay', 'showFps'].forEach(name => {
+	graphics[name] = noop;
+});
+
+function PixiObject() {
+}
+
+stub('pixi.js', {
+	BaseTexture: PixiObject,
+	Texture: PixiObject,
+	Point: PixiObject,
+	Container: PixiObject,
+	SCALE_MODES: { LINEAR: 0, NEAREST: 1 }
+});
+stub('react-pixi', {
+	render: element => new element.type(element.props),
+	unmountComponentAtNode: noop
+});
+stub('../src/Graphics', graphics);
+
+var SceneManager = require('../src/SceneManager');
+var SceneBase = require('../src/scenes/SceneBase');
+
+// The page is set up after React has been loaded, so that React does not
+// take it for a real DOM.
+var element = { style: {}, appendChild: noop, getContext: () => ({}) };
+global.window = global;
+global.window.addEventListener = noop;
+global.document = {
+	body: element,
+	createElement: () => element,
+	getElementById: () => element,
+	addEventListener: noop
+};
+global.location = { search: '' };
+if (typeof navigator === 'undefined') {
+	global.navigator = { userAgent: 'Node' };
+}
+
+class CountingScene extends SceneBase {
+	create() {
+		super.create();
+		this.updates = 0;
+		this.deltas = 0;
+	}
+
+	update(delta) {
+		super.update(delta);
+		this.updates++;
+		this.deltas += delta;
+	}
+
+	render() {
+		return null;
+	}
+}
+
+describe('SceneManager in headless mode', () => {
+	var error = console.error;
+
+	before(() => {
+		console.error = noop;
+	});
+
+	after(() => {
+		console.error = error;
+	});
+
+	it('steps a scene a fixed number of frames with an injected clock', () => {
+		var time = 1000;
+		SceneManager.runHeadless(CountingScene, { clock: () => time });
+		assert.equal(SceneManager.isHeadless(), true);
+		SceneManager.step(10);
+		var scene = SceneManager._scene;
+		assert.ok(scene instanceof CountingScene);
+		assert.equal(scene.updates, 10);
+		assert.equal(Math.round(scene.deltas * 60), 10);
+		assert.equal(graphics.rendered, 10);
+		time += 5000;
+		SceneManager.step(5);
+		assert.equal(scene.updates, 15);
+		assert.equal(SceneManager._getTimeInMs(), 6000);
+	});
+
+	it('throws an error that stops the game from starting', () => {
+		graphics.failInitialize = true;
+		assert.throws(() => SceneManager.runHeadless(CountingScene), /No canvas/);
+	});
+});
@@ -0,0 +1,60 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'assert';
+import StorageManager from '../src/StorageManager';
+import MemoryBackend from '../src/storage/MemoryBackend';
+
+describe('StorageManager', () => {
+	var state;
+
+	beforeEach(() => {
+		state = { gold: 100, switches: [false, true] };
+		StorageManager.setBackend(new MemoryBackend());
+		StorageManager.registerContents('test', {
+			save: () => ({ gold: state.gold, switches: state.switches.slice() }),
+			load: data => { state = data; },
+			header: data => ({ mapName: 'Gold ' + data.gold })
+		});
+	});
+
+	afterEach(() => {
+		StorageManager.unregisterContents('test');
+		StorageManager.setAutosaveEnabled(false);
+	});
+
+	it('saves a slot and loads it back through a MemoryBackend', () => {
+		assert.equal(StorageManager.saveGame(1), true);
+		assert.equal(StorageManager.exists(1), true);
+		state = { gold: 0, switches: [] };
+		assert.equal(StorageManager.loadGame(1), true);
+		assert.deepEqual(state, { gold: 100, switches: [false, true] });
+	});
+
+	it('enables the autosave once a game has been loaded', () => {
+		StorageManager.saveGame(1);
+		assert.equal(StorageManager.autosave(), false);
+		StorageManager.loadGame(1);
+		assert.equal(StorageManager.isAutosaveEnabled(), true);
+		assert.equal(StorageManager.autosave(), true);
+		assert.equal(StorageManager.exists(StorageManager.AUTOSAVE_ID), true);
+	});
+
+	it('keeps the header of the slot in the global info', () => {
+		StorageManager.saveGame(3);
+		var header = StorageManager.loadSavefileInfo(3);
+		assert.equal(header.title, '');
+		assert.equal(header.mapName, 'Gold 100');
+		assert.deepEqual(StorageManager.savefileInfos().map(info => info.savefileId), [3]);
+		assert.equal(StorageManager.latestSavefileId(), 3);
+	});
+
+	it('fails to load a slot that was never saved', () => {
+		assert.equal(StorageManager.exists(2), false);
+		var error = console.error;
+		console.error = () => {};
+		try {
+			assert.equal(StorageManager.loadGame(2), false);
+		} finally {
+			console.error = error;
+		}
+	});
+});
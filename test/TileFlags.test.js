@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'assert';
+import TileFlags from '../src/tilemap/TileFlags';
+
+// The tiles of the hand-built tileset.
+var GRASS = 1;
+var WALL = 2;
+var BRIDGE = 3;
+var ROOF = 4;
+var FENCE = 5;
+var SAND = 6;
+
+var flags = [];
+flags[0] = TileFlags.STAR;
+flags[GRASS] = 0;
+flags[WALL] = TileFlags.PASSAGE_ALL;
+flags[BRIDGE] = 0;
+flags[ROOF] = TileFlags.STAR | TileFlags.PASSAGE_ALL;
+flags[FENCE] = TileFlags.PASSAGE_DOWN;
+flags[SAND] = 3 << 12;
+
+// A 3 by 2 map, given as its six layers of rows.
+function makeMap(layers, scrollType) {
+	var data = [];
+	layers.forEach(layer => layer.forEach(row => data.push.apply(data, row)));
+	return { width: 3, height: 2, scrollType: scrollType || 0, data: data };
+}
+
+var map = makeMap([
+	[[GRASS, WALL, GRASS], [GRASS, SAND, WALL]],
+	[[0, 0, 0], [0, 0, 0]],
+	[[0, BRIDGE, ROOF], [FENCE, 0, 0]],
+	[[0, 0, 0], [0, 0, 0]],
+	[[0, 0, 0], [0, 0, 0]],
+	[[0, 0, 5], [0, 7, 0]]
+]);
+
+describe('TileFlags', () => {
+	var tileFlags = new TileFlags(map, { flags: flags });
+
+	it('lets a tile on an upper layer override the tiles below it', () => {
+		assert.equal(tileFlags.isPassable(1, 0, 2), true);
+		assert.equal(tileFlags.isPassable(1, 0, 8), true);
+	});
+
+	it('skips the star tiles when checking the passage', () => {
+		assert.equal(tileFlags.isPassable(2, 0, 4), true);
+		assert.equal(tileFlags.isPassable(2, 1, 8), false);
+	});
+
+	it('blocks only the directions whose bits are set', () => {
+		assert.equal(tileFlags.isPassable(0, 1, 2), false);
+		assert.equal(tileFlags.isPassable(0, 1, 8), true);
+		assert.equal(tileFlags.isPassable(0, 1, 6), true);
+	});
+
+	it('needs both the way out and the way in to be open to move', () => {
+		assert.equal(tileFlags.canMove(0, 0, 6), true);
+		assert.equal(tileFlags.canMove(1, 1, 6), false);
+		assert.equal(tileFlags.canMove(0, 0, 2), true);
+		assert.equal(tileFlags.canMove(0, 1, 2), false);
+		assert.equal(tileFlags.canMove(0, 0, 4), false);
+	});
+
+	it('moves across the edge of a looping map', () => {
+		var looping = new TileFlags(Object.assign({}, map, { scrollType: 2 }), { flags: flags });
+		assert.equal(looping.roundXWithDirection(0, 4), 2);
+		assert.equal(looping.canMove(0, 0, 4), true);
+		assert.equal(looping.canMove(0, 1, 4), false);
+	});
+
+	it('reads the terrain tag of the topmost tile that has one', () => {
+		assert.equal(tileFlags.terrainTag(1, 1), 3);
+		assert.equal(tileFlags.terrainTag(0, 0), 0);
+		assert.equal(tileFlags.terrainTag(5, 5), 0);
+	});
+
+	it('reads the region id from the sixth layer', () => {
+		assert.equal(tileFlags.regionId(2, 0), 5);
+		assert.equal(tileFlags.regionId(1, 1), 7);
+		assert.equal(tileFlags.regionId(0, 0), 0);
+		assert.equal(tileFlags.regionId(-1, 0), 0);
+	});
+});
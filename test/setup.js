@@ -0,0 +1,6 @@
+// Compiles the sources with the same Babel 5 settings as the webpack build,
+// so that the tests can import them directly in Node. The hot reloading
+// transforms of the development environment are left out.
+process.env.BABEL_ENV = process.env.BABEL_ENV || 'test';
+require('babel-core/register')({ stage: 0 });
+require('../src/core/jsExtensions');
@@ -0,0 +1,322 @@
+#!/usr/bin/env node
+// Checks the references between the files in data/ and from them to the
+// images and audio of the game. Prints every problem with the file, record
+// id and field path, and exits with 1 if there are any.
+//
+//   node tools/checkData.js [--data=dir] [--no-audio]
+
+var fs = require('fs');
+var path = require('path');
+
+require('babel-core/register')({ only: /src/ });
+var DataSchema = require('../src/DataSchema');
+
+var root = path.join(__dirname, '..');
+var options = { data: path.join(root, 'data'), audio: true };
+
+process.argv.slice(2).forEach(function(arg) {
+  if (arg === '--no-audio') {
+    options.audio = false;
+  } else if (arg.indexOf('--data=') === 0) {
+    options.data = path.resolve(arg.slice(7));
+  } else {
+    console.error('Unknown option: ' + arg);
+    process.exit(2);
+  }
+});
+
+var audioExtensions = ['.ogg', '.m4a'];
+var databaseFiles = Object.keys(DataSchema.schemas);
+var db = {};
+var problems = [];
+
+function report(file, id, field, message) {
+  var location = file;
+  if (id !== null) {
+    location += ', id ' + id;
+  }
+  if (field) {
+    location += ', ' + field;
+  }
+  problems.push(location + ': ' + message);
+}
+
+function loadFile(file) {
+  var text;
+  try {
+    text = fs.readFileSync(path.join(options.data, file), 'utf8');
+  } catch (e) {
+    report(file, null, null, 'the file is missing');
+    return null;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    report(file, null, null, 'the file is not valid JSON (' + e.message + ')');
+    return null;
+  }
+}
+
+// A context for the checks of one record.
+function Record(file, id) {
+  this.file = file;
+  this.id = id;
+}
+
+// Reports an id of 1 or more that is not in the target file.
+Record.prototype.ref = function(field, targetFile, targetId) {
+  if (typeof targetId !== 'number' || targetId <= 0 || !db[targetFile]) {
+    return;
+  }
+  if (!db[targetFile][targetId]) {
+    report(this.file, this.id, field, targetFile + ' has no id ' + targetId);
+  }
+};
+
+// Reports a non-empty image name that has no file in img/<dir>.
+Record.prototype.image = function(field, dir, name) {
+  if (!name) {
+    return;
+  }
+  var file = path.join('img', dir, name + '.png');
+  if (!fs.existsSync(path.join(root, file))) {
+    report(this.file, this.id, field, file + ' does not exist');
+  }
+};
+
+// Reports a non-empty audio object whose file is not in audio/<dir>.
+Record.prototype.audio = function(field, dir, audio) {
+  if (!options.audio || !audio || !audio.name) {
+    return;
+  }
+  var base = path.join('audio', dir, audio.name);
+  var found = audioExtensions.some(function(extension) {
+    return fs.existsSync(path.join(root, base + extension));
+  });
+  if (!found) {
+    report(this.file, this.id, field + '.name', base + ' (' + audioExtensions.join(' or ') + ') does not exist');
+  }
+};
+
+// Checks the commands of an event list that refer to other data or assets.
+Record.prototype.commands = function(field, list) {
+  var record = this;
+  (list || []).forEach(function(command, index) {
+    var params = command.parameters;
+    var at = field + '[' + index + '].parameters';
+    switch (command.code) {
+      case 117:
+        record.ref(at + '[0]', 'CommonEvents.json', params[0]);
+        break;
+      case 129:
+        record.ref(at + '[0]', 'Actors.json', params[0]);
+        break;
+      case 201:
+        if (params[0] === 0) {
+          record.ref(at + '[1]', 'MapInfos.json', params[1]);
+        }
+        break;
+      case 241:
+        record.audio(at + '[0]', 'bgm', params[0]);
+        break;
+      case 245:
+        record.audio(at + '[0]', 'bgs', params[0]);
+        break;
+      case 249:
+        record.audio(at + '[0]', 'me', params[0]);
+        break;
+      case 250:
+        record.audio(at + '[0]', 'se', params[0]);
+        break;
+      case 301:
+        if (params[0] === 0) {
+          record.ref(at + '[1]', 'Troops.json', params[1]);
+        }
+        break;
+    }
+  });
+};
+
+function checkUsableItem(item, r) {
+  if (item.animationId > 0) {
+    r.ref('animationId', 'Animations.json', item.animationId);
+  }
+  item.effects.forEach(function(effect, index) {
+    var at = 'effects[' + index + '].dataId';
+    switch (effect.code) {
+      case 21:
+      case 22:
+        r.ref(at, 'States.json', effect.dataId);
+        break;
+      case 43:
+        r.ref(at, 'Skills.json', effect.dataId);
+        break;
+      case 44:
+        r.ref(at, 'CommonEvents.json', effect.dataId);
+        break;
+    }
+  });
+}
+
+var dropKinds = { 1: 'Items.json', 2: 'Weapons.json', 3: 'Armors.json' };
+
+var checks = {
+  'Actors.json': function(actor, r) {
+    r.ref('classId', 'Classes.json', actor.classId);
+    actor.equips.forEach(function(itemId, slot) {
+      r.ref('equips[' + slot + ']', slot === 0 ? 'Weapons.json' : 'Armors.json', itemId);
+    });
+    r.image('characterName', 'characters', actor.characterName);
+    r.image('faceName', 'faces', actor.faceName);
+    r.image('battlerName', 'sv_actors', actor.battlerName);
+  },
+  'Classes.json': function(klass, r) {
+    klass.learnings.forEach(function(learning, index) {
+      r.ref('learnings[' + index + '].skillId', 'Skills.json', learning.skillId);
+    });
+  },
+  'Skills.json': checkUsableItem,
+  'Items.json': checkUsableItem,
+  'Weapons.json': function(weapon, r) {
+    r.ref('animationId', 'Animations.json', weapon.animationId);
+  },
+  'Enemies.json': function(enemy, r) {
+    r.image('battlerName', 'enemies', enemy.battlerName);
+    enemy.dropItems.forEach(function(drop, index) {
+      if (dropKinds[drop.kind]) {
+        r.ref('dropItems[' + index + '].dataId', dropKinds[drop.kind], drop.dataId);
+      }
+    });
+    enemy.actions.forEach(function(action, index) {
+      r.ref('actions[' + index + '].skillId', 'Skills.json', action.skillId);
+    });
+  },
+  'Troops.json': function(troop, r) {
+    troop.members.forEach(function(member, index) {
+      r.ref('members[' + index + '].enemyId', 'Enemies.json', member.enemyId);
+    });
+    troop.pages.forEach(function(page, index) {
+      r.commands('pages[' + index + '].list', page.list);
+    });
+  },
+  'Animations.json': function(animation, r) {
+    r.image('animation1Name', 'animations', animation.animation1Name);
+    r.image('animation2Name', 'animations', animation.animation2Name);
+    animation.timings.forEach(function(timing, index) {
+      r.audio('timings[' + index + '].se', 'se', timing.se);
+    });
+  },
+  'Tilesets.json': function(tileset, r) {
+    tileset.tilesetNames.forEach(function(name, index) {
+      r.image('tilesetNames[' + index + ']', 'tilesets', name);
+    });
+  },
+  'CommonEvents.json': function(event, r) {
+    r.commands('list', event.list);
+  },
+  'System.json': function(system, r) {
+    system.partyMembers.forEach(function(actorId, index) {
+      r.ref('partyMembers[' + index + ']', 'Actors.json', actorId);
+    });
+    r.ref('startMapId', 'MapInfos.json', system.startMapId);
+    r.image('title1Name', 'titles1', system.title1Name);
+    r.image('title2Name', 'titles2', system.title2Name);
+    r.audio('titleBgm', 'bgm', system.titleBgm);
+    r.audio('battleBgm', 'bgm', system.battleBgm);
+    r.audio('victoryMe', 'me', system.victoryMe);
+    r.audio('defeatMe', 'me', system.defeatMe);
+    r.audio('gameoverMe', 'me', system.gameoverMe);
+    ['boat', 'ship', 'airship'].forEach(function(name) {
+      if (system[name]) {
+        r.audio(name + '.bgm', 'bgm', system[name].bgm);
+        r.image(name + '.characterName', 'characters', system[name].characterName);
+      }
+    });
+    system.sounds.forEach(function(sound, index) {
+      r.audio('sounds[' + index + ']', 'se', sound);
+    });
+  },
+  'MapInfos.json': function(info, r) {
+    r.ref('parentId', 'MapInfos.json', info.parentId);
+  }
+};
+
+function checkMap(file, map) {
+  var r = new Record(file, null);
+  r.ref('tilesetId', 'Tilesets.json', map.tilesetId);
+  r.audio('bgm', 'bgm', map.bgm);
+  r.audio('bgs', 'bgs', map.bgs);
+  r.image('parallaxName', 'parallaxes', map.parallaxName);
+  r.image('battleback1Name', 'battlebacks1', map.battleback1Name);
+  r.image('battleback2Name', 'battlebacks2', map.battleback2Name);
+  map.encounterList.forEach(function(encounter, index) {
+    r.ref('encounterList[' + index + '].troopId', 'Troops.json', encounter.troopId);
+  });
+  map.events.forEach(function(event, eventId) {
+    if (event) {
+      event.pages.forEach(function(page, index) {
+        var at = 'events[' + eventId + '].pages[' + index + ']';
+        r.image(at + '.image.characterName', 'characters', page.image.characterName);
+        r.commands(at + '.list', page.list);
+      });
+    }
+  });
+}
+
+function validate(file, data) {
+  var found = DataSchema.validate(file, data);
+  found.forEach(function(problem) {
+    problems.push(problem.text);
+  });
+  return found.length === 0;
+}
+
+databaseFiles.forEach(function(file) {
+  var data = loadFile(file);
+  if (data && validate(file, data)) {
+    db[file] = data;
+  }
+});
+
+databaseFiles.forEach(function(file) {
+  var data = db[file];
+  if (!data || !checks[file]) {
+    return;
+  }
+  if (Array.isArray(data)) {
+    data.forEach(function(record, id) {
+      if (record) {
+        checks[file](record, new Record(file, id));
+      }
+    });
+  } else {
+    checks[file](data, new Record(file, null));
+  }
+});
+
+if (db['MapInfos.json']) {
+  db['MapInfos.json'].forEach(function(info, mapId) {
+    if (info) {
+      var id = String(mapId);
+      while (id.length < 3) {
+        id = '0' + id;
+      }
+      var file = 'Map' + id + '.json';
+      var map = loadFile(file);
+      if (map && validate(file, map)) {
+        checkMap(file, map);
+      }
+    }
+  });
+}
+
+problems.forEach(function(problem) {
+  console.log(problem);
+});
+
+if (problems.length > 0) {
+  console.log('\n' + problems.length + ' problem' + (problems.length === 1 ? '' : 's') + ' found');
+  process.exit(1);
+} else {
+  console.log('No problems found');
+}